@@ -9,20 +9,79 @@ const ODFContext = (() => {
     return { region, sub, initialPortId };
 })();
 
+// ========== FIELD SCHEMA ==========
+// Field types and their names in the UI; matches FIELD_TYPES in server.js
+const FIELD_TYPE_LABELS = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    select: 'Dropdown',
+    gps: 'GPS coordinate',
+    phone: 'Phone'
+};
+
+// Custom field definitions (extraFieldDefs) used to be bare labels; read those as text fields
+const toCustomFieldDef = (def) => {
+    if (typeof def === 'string') return { label: def, type: 'text' };
+    const type = def && FIELD_TYPE_LABELS[def.type] ? def.type : 'text';
+    return {
+        label: String((def && def.label) || ''),
+        type,
+        ...(type === 'select' ? { options: Array.isArray(def.options) ? def.options : [] } : {})
+    };
+};
+
 // ========== DATABASE SERVICE ==========
 class DatabaseService {
+    static saveQueue = Promise.resolve();
+    static saveGeneration = 0;
+
+    // Saves run one at a time so each request carries the version returned by the
+    // previous one. Saves queued before a conflict reload are dropped.
+    static enqueueSave(task) {
+        const generation = this.saveGeneration;
+        const run = () => (generation === this.saveGeneration
+            ? task()
+            : { ok: false, error: 'Discarded after reloading the latest data' });
+        const result = this.saveQueue.then(run, run);
+        this.saveQueue = result.catch(() => null);
+        return result;
+    }
+
+    static statePayload(ports, displayCount, extraFieldDefs) {
+        return {
+            region: ODFContext.region,
+            sub: ODFContext.sub,
+            ports,
+            displayCount,
+            extraFieldDefs
+        };
+    }
+
     static async saveStateWithResult(ports, displayCount, extraFieldDefs = []) {
+        return this.enqueueSave(() => this.sendVersioned('/api/odf', 'POST', this.statePayload(ports, displayCount, extraFieldDefs)));
+    }
+
+    static async saveState(ports, displayCount, extraFieldDefs = []) {
+        const result = await this.saveStateWithResult(ports, displayCount, extraFieldDefs);
+        return result.ok;
+    }
+
+    static odfQuery() {
+        return `region=${encodeURIComponent(ODFContext.region)}&sub=${encodeURIComponent(ODFContext.sub)}`;
+    }
+
+    // Send a save with If-Match set to the loaded version; a 409 opens the conflict dialog.
+    // `scope` marks a save of some ports only: { portIds, extra } (see handleConflict).
+    static async sendVersioned(url, method, payload, scope = null) {
         try {
-            const res = await fetch('/api/odf', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    region: ODFContext.region,
-                    sub: ODFContext.sub,
-                    ports,
-                    displayCount,
-                    extraFieldDefs
-                })
+            const res = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${AppState.version}"`
+                },
+                body: JSON.stringify(payload)
             });
 
             let data = null;
@@ -32,21 +91,297 @@ class DatabaseService {
                 data = null;
             }
 
+            if (res.status === 409) {
+                return this.handleConflict(data, scope);
+            }
+
             if (!res.ok) {
                 const errorMessage = (data && (data.details || data.error)) ? (data.details || data.error) : `HTTP ${res.status}`;
-                return { ok: false, error: errorMessage };
+                return { ok: false, error: errorMessage, data };
             }
 
+            if (data && Number.isInteger(data.version)) {
+                AppState.version = data.version;
+            }
             this.updateLastSaveTime(data && data.lastSave);
-            return { ok: true, error: null };
+            return { ok: true, error: null, data };
         } catch (error) {
-            return { ok: false, error: error && error.message ? error.message : 'Network error' };
+            return { ok: false, error: error && error.message ? error.message : 'Network error', data: null };
         }
     }
 
-    static async saveState(ports, displayCount, extraFieldDefs = []) {
-        const result = await this.saveStateWithResult(ports, displayCount, extraFieldDefs);
-        return result.ok;
+    /**
+     * Resolve a 409. A full save (no `scope`) is sent again as a whole. A save
+     * of some ports only compares and resends those ports, with `scope.extra`
+     * (e.g. fault details) added to each; every other port takes the server
+     * copy, so changes made there by someone else are kept.
+     */
+    static async handleConflict(conflict, scope = null) {
+        const current = conflict && conflict.current;
+        if (!current) {
+            return { ok: false, error: 'This ODF no longer exists on the server.', data: conflict };
+        }
+
+        const diff = AppState.diffAgainst(current);
+        if (scope) {
+            diff.diffs = diff.diffs.filter(entry => scope.portIds.includes(entry.id));
+        }
+        const choice = diff.diffs.length === 0
+            ? { action: 'overwrite' }
+            : await UIRenderer.showConflictDialog(diff);
+
+        if (choice.action === 'reload') {
+            this.saveGeneration += 1;
+            AppState.applyLoadedState(current);
+            AppState.isEditing = false;
+            UIRenderer.renderPortGrid();
+            UIRenderer.renderPortDetails();
+            return { ok: false, error: 'Your changes were discarded and the latest data was reloaded.', data: conflict };
+        }
+
+        if (choice.action === 'merge' || scope) {
+            const merged = AppState.mergeWith(diff, choice.action === 'merge' ? choice.choices : null);
+            AppState.ports = merged.ports;
+            AppState.displayCount = merged.displayCount;
+            AppState.extraFieldDefs = merged.extraFieldDefs;
+        }
+
+        AppState.version = Number(conflict.version) || 0;
+        const result = scope
+            ? await this.sendVersioned(`/api/odf/ports?${this.odfQuery()}`, 'PATCH', {
+                ports: AppState.ports
+                    .filter(port => scope.portIds.includes(port.id))
+                    .map(port => ({ ...port, ...scope.extra }))
+            }, scope)
+            : await this.sendVersioned('/api/odf', 'POST', this.statePayload(AppState.ports, AppState.displayCount, AppState.extraFieldDefs));
+        UIRenderer.renderPortGrid();
+        UIRenderer.renderPortDetails();
+        return result;
+    }
+
+    // Save a single port; the server only writes the fields that changed.
+    // `extra` carries request-only data such as new fault details.
+    static async savePort(port, extra = {}) {
+        const { id, ...fields } = port;
+        return this.enqueueSave(() => this.sendVersioned(`/api/odf/ports/${encodeURIComponent(id)}?${this.odfQuery()}`, 'PATCH', { ...fields, ...extra }, { portIds: [id], extra }));
+    }
+
+    // Set the same values on several ports in one all-or-nothing request.
+    // `changes` is { set, customFields, fault }.
+    static async bulkUpdatePorts(portIds, changes) {
+        const scope = { portIds, extra: changes.fault ? { fault: changes.fault } : {} };
+        return this.enqueueSave(() => this.sendVersioned(`/api/odf/ports/bulk?${this.odfQuery()}`, 'POST', { ports: portIds, ...changes }, scope));
+    }
+
+    // Save several ports in one request (e.g. after switching port data)
+    static async savePorts(ports) {
+        const scope = { portIds: ports.map(port => port.id), extra: {} };
+        return this.enqueueSave(() => this.sendVersioned(`/api/odf/ports?${this.odfQuery()}`, 'PATCH', { ports }, scope));
+    }
+
+    static async loadPortHistory(portId) {
+        try {
+            const res = await fetch(`/api/odf/history?${this.odfQuery()}&port=${encodeURIComponent(portId)}`);
+            if (!res.ok) return null;
+            const data = await res.json();
+            return Array.isArray(data.items) ? data.items : [];
+        } catch {
+            return null;
+        }
+    }
+
+    static async loadOpenFaults() {
+        try {
+            const res = await fetch(`/api/faults?${this.odfQuery()}&status=open`);
+            if (!res.ok) return null;
+            const data = await res.json();
+            return Array.isArray(data.items) ? data.items : [];
+        } catch {
+            return null;
+        }
+    }
+
+    static async loadFault(faultId) {
+        try {
+            const res = await fetch(`/api/faults/${encodeURIComponent(faultId)}`);
+            return res.ok ? await res.json() : null;
+        } catch {
+            return null;
+        }
+    }
+
+    static async loadFaultAssignees() {
+        try {
+            const res = await fetch('/api/faults/assignees');
+            if (!res.ok) return [];
+            const data = await res.json();
+            return Array.isArray(data.items) ? data.items : [];
+        } catch {
+            return [];
+        }
+    }
+
+    // action is 'assign', 'comments' or 'close'; returns { ok, error }
+    static async faultAction(faultId, action, payload) {
+        try {
+            const res = await fetch(`/api/faults/${encodeURIComponent(faultId)}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            if (res.ok) return { ok: true };
+            const data = await res.json().catch(() => ({}));
+            return { ok: false, error: data.details || data.error || res.statusText };
+        } catch {
+            return { ok: false, error: 'Unable to reach the server' };
+        }
+    }
+
+    static async loadFieldDefinitions() {
+        try {
+            const res = await fetch(`/api/fields?region=${encodeURIComponent(ODFContext.region)}`);
+            if (!res.ok) return null;
+            const data = await res.json();
+            return Array.isArray(data.items) ? data.items : null;
+        } catch {
+            return null;
+        }
+    }
+
+    static async loadStatuses() {
+        try {
+            const res = await fetch('/api/statuses');
+            if (!res.ok) return null;
+            const data = await res.json();
+            return Array.isArray(data.items) ? data.items : null;
+        } catch {
+            return null;
+        }
+    }
+
+    static async loadPortTrace(portId) {
+        try {
+            const res = await fetch(`/api/trace?${this.odfQuery()}&port=${encodeURIComponent(portId)}`);
+            if (!res.ok) return null;
+            return await res.json();
+        } catch {
+            return null;
+        }
+    }
+
+    // Returns { ok, error } so the trace panel can show why a link was refused
+    static async createLink(portId, target, type, notes) {
+        try {
+            const res = await fetch('/api/links', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    from: { region: ODFContext.region, sub: ODFContext.sub, port: portId },
+                    to: target,
+                    type,
+                    notes
+                })
+            });
+            if (res.ok) return { ok: true };
+            const data = await res.json().catch(() => ({}));
+            return { ok: false, error: data.details || data.error || res.statusText };
+        } catch {
+            return { ok: false, error: 'Unable to reach the server' };
+        }
+    }
+
+    static async deleteLink(linkId) {
+        try {
+            const res = await fetch(`/api/links/${encodeURIComponent(linkId)}`, { method: 'DELETE' });
+            return res.ok;
+        } catch {
+            return false;
+        }
+    }
+
+    // Every attachment of the sub ODF as { items, maxBytes, types }, or null
+    static async loadAttachments() {
+        try {
+            const res = await fetch(`/api/attachments?${this.odfQuery()}`);
+            if (!res.ok) return null;
+            return await res.json();
+        } catch {
+            return null;
+        }
+    }
+
+    // Returns { ok, attachment, error }. A null portId attaches the file to the sub ODF.
+    static async uploadAttachment(file, portId, caption) {
+        const params = new URLSearchParams({ name: file.name });
+        if (portId !== null) params.set('port', portId);
+        if (caption) params.set('caption', caption);
+        try {
+            const res = await fetch(`/api/attachments?${this.odfQuery()}&${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            });
+            const data = await res.json().catch(() => ({}));
+            if (res.ok) return { ok: true, attachment: data.attachment };
+            return { ok: false, error: data.details || data.error || res.statusText };
+        } catch {
+            return { ok: false, error: 'Unable to reach the server' };
+        }
+    }
+
+    static async deleteAttachment(attachmentId) {
+        try {
+            const res = await fetch(`/api/attachments/${encodeURIComponent(attachmentId)}`, { method: 'DELETE' });
+            return res.ok;
+        } catch {
+            return false;
+        }
+    }
+
+    // Returns { items, toleranceMetres } or null
+    static async loadOtdrTraces(portId) {
+        try {
+            const res = await fetch(`/api/otdr?${this.odfQuery()}&port=${encodeURIComponent(portId)}`);
+            if (!res.ok) return null;
+            return await res.json();
+        } catch {
+            return null;
+        }
+    }
+
+    static async loadOtdrTrace(traceId) {
+        try {
+            const res = await fetch(`/api/otdr/${encodeURIComponent(traceId)}`);
+            if (!res.ok) return null;
+            return await res.json();
+        } catch {
+            return null;
+        }
+    }
+
+    // Returns { ok, trace, error }; the server parses the file and rejects unreadable ones
+    static async uploadOtdrTrace(portId, file) {
+        try {
+            const res = await fetch(`/api/otdr?${this.odfQuery()}&port=${encodeURIComponent(portId)}&name=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            });
+            const data = await res.json().catch(() => ({}));
+            if (res.ok) return { ok: true, trace: data.trace };
+            return { ok: false, error: data.details || data.error || res.statusText };
+        } catch {
+            return { ok: false, error: 'Unable to reach the server' };
+        }
+    }
+
+    static async deleteOtdrTrace(traceId) {
+        try {
+            const res = await fetch(`/api/otdr/${encodeURIComponent(traceId)}`, { method: 'DELETE' });
+            return res.ok;
+        } catch {
+            return false;
+        }
     }
 
     static async loadState() {
@@ -80,35 +415,33 @@ class DatabaseService {
         }
 
         const extraFieldDefs = Array.isArray(AppState.extraFieldDefs) ? AppState.extraFieldDefs : [];
+        const fieldDefs = AppState.fieldDefs;
         const headers = [
             'ID',
             'Label',
             'Port Status',
-            'Customer',
-            'CCT Number',
-            'CEA/OLT port',
-            'Customer Location',
-            'Customer GPS',
-            'Live Branching joint',
-            'OTDR Distance',
+            ...fieldDefs.map(def => def.label),
             'Last Modified',
             'Notes',
-            ...extraFieldDefs
+            'Reserved For',
+            'Work Order',
+            'Reserved Until',
+            ...extraFieldDefs.map(def => def.label)
         ];
         const rows = AppState.ports.map((port) => ({
             'ID': port.id,
             'Label': port.label,
             'Port Status': port.status,
-            'Customer': port.destination,
-            'CCT Number': port.otdrDistance,
-            'CEA/OLT port': port.fiberType,
-            'Customer Location': port.connectorType,
-            'Customer GPS': port.branchingJoint,
-            'Live Branching joint': port.cxLocation,
-            'OTDR Distance': port.otdrDistanceValue || '',
+            ...fieldDefs.reduce((acc, def) => {
+                acc[def.label] = port[def.column] || '';
+                return acc;
+            }, {}),
             'Last Modified': port.lastMaintained,
             'Notes': port.notes,
-            ...extraFieldDefs.reduce((acc, label, index) => {
+            'Reserved For': port.reservedFor || '',
+            'Work Order': port.workOrder || '',
+            'Reserved Until': port.reservedUntil || '',
+            ...extraFieldDefs.reduce((acc, { label }) => {
                 const map = port && typeof port.customFields === 'object' && !Array.isArray(port.customFields)
                     ? port.customFields
                     : {};
@@ -169,6 +502,7 @@ class DatabaseService {
         });
     }
 
+    // The "Ports" sheet (or the first sheet) as { headers, rows }; rows are keyed by header
     static parseExcel(buffer) {
         const wb = XLSX.read(buffer, { type: 'array' });
         const sheetName = wb.SheetNames.includes('Ports') ? 'Ports' : wb.SheetNames[0];
@@ -176,123 +510,118 @@ class DatabaseService {
         const headerRows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
         const headerList = Array.isArray(headerRows) && headerRows.length > 0 ? headerRows[0] : [];
         const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
-        const extraFieldDefs = [];
-
-        const ports = rows.map((row, index) => this.rowToPort(row, index + 1, extraFieldDefs));
         return {
-            ports,
-            displayCount: ports.length,
-            extraFieldDefs
+            headers: headerList.map(header => String(header)).filter(header => header.trim()),
+            rows
         };
     }
 
-    static rowToPort(row, index, extraFieldDefs = []) {
-        const normalizeKey = (key) => String(key || '')
+    static normalizeHeader(key) {
+        return String(key || '')
             .trim()
             .toLowerCase()
             .replace(/[\s_\-]+/g, '');
+    }
 
-        const lookup = {};
-        Object.entries(row || {}).forEach(([key, value]) => {
-            lookup[normalizeKey(key)] = value;
+    /**
+     * Guess what each spreadsheet column holds. `target` is 'status', 'notes',
+     * 'lastMaintained', a reservation field, a port column from the field definitions,
+     * 'custom:<label>' for one of the ODF's custom fields, 'new' for a new
+     * custom field or 'ignore'. Headers match the server import in server.js.
+     */
+    static detectColumnMapping(headers, extraFieldDefs = []) {
+        const targets = new Map();
+        const add = (names, target) => names.forEach((name) => {
+            const key = this.normalizeHeader(name);
+            if (!targets.has(key)) targets.set(key, target);
+        });
+        add(['id', 'label'], 'ignore');
+        add(['status', 'port status'], 'status');
+        AppState.fieldDefs.forEach(def => add([def.label, def.key, ...(def.aliases || [])], def.column));
+        add(['notes', 'note', 'remarks', 'comment'], 'notes');
+        add(['last modified', 'last maintained', 'date', 'last maintenance date'], 'lastMaintained');
+        add(['reserved for'], 'reservedFor');
+        add(['work order'], 'workOrder');
+        add(['reserved until'], 'reservedUntil');
+        extraFieldDefs.map(toCustomFieldDef).forEach(def => add([def.label], `custom:${def.label}`));
+
+        const used = new Set();
+        return headers.map((header) => {
+            const normalized = this.normalizeHeader(header);
+            let target = targets.get(normalized) || 'new';
+            // Two columns for the same field: the first one wins
+            const usedKey = target === 'new' ? `new:${normalized}` : target;
+            if (target !== 'ignore' && used.has(usedKey)) target = 'ignore';
+            used.add(usedKey);
+            return { header, target };
         });
+    }
 
-        const pick = (keys) => {
-            for (const key of keys) {
-                const normalized = normalizeKey(key);
-                if (Object.prototype.hasOwnProperty.call(lookup, normalized)) {
-                    return lookup[normalized];
-                }
+    // Custom fields after an import: the ODF's own plus the columns mapped to 'new'
+    static importedFieldDefs(mapping, extraFieldDefs = []) {
+        const defs = extraFieldDefs.map(toCustomFieldDef);
+        mapping.forEach(({ header, target }) => {
+            const label = header.trim();
+            if (target === 'new' && !defs.some(def => def.label === label)) {
+                defs.push({ label, type: 'text' });
             }
-            return '';
-        };
+        });
+        return defs;
+    }
 
+    static rowToPort(row, index, mapping, extraFieldDefs = []) {
         const port = AppState.createDefaultPort(index);
-
-        const statusRaw = String(pick(['status', 'port status', 'portstatus']) || '').trim().toUpperCase();
-        const allowed = new Set(['ACTIVE', 'INACTIVE', 'FAULTY']);
-        if (allowed.has(statusRaw)) {
-            port.status = statusRaw;
-        }
-
         const toText = (value) => (value === null || value === undefined) ? '' : String(value);
-        const importedOtdr = toText(pick(['otdr distance', 'otdrdistance', 'otdr', 'actual otdr distance', 'actualotdrdistance']));
-        port.destination = toText(pick(['customer', 'service', 'destination', 'dest']));
-        port.otdrDistance = toText(pick(['cct number', 'cctnumber'])) || importedOtdr;
-        port.fiberType = toText(pick(['cea/olt port', 'ceaoltport', 'dab', 'fiber type', 'fibertype', 'fiber']));
-        port.connectorType = toText(pick(['customer location', 'customerlocation', 'port', 'connector type', 'connectortype', 'connector']));
-        port.branchingJoint = toText(pick(['customer gps', 'customergps', 'branching joint', 'branchingjoint', 'branch joint']));
-        port.cxLocation = toText(pick(['live branching joint', 'livebranchingjoint', 'cx location', 'cxlocation']));
-        port.otdrDistanceValue = importedOtdr;
-        port.notes = toText(pick(['notes', 'note', 'remarks', 'comment']));
-
         const customFields = {};
-        (Array.isArray(extraFieldDefs) ? extraFieldDefs : []).forEach((label) => {
-            const normalized = normalizeKey(label);
-            customFields[label] = Object.prototype.hasOwnProperty.call(lookup, normalized) ? toText(lookup[normalized]) : '';
+
+        mapping.forEach(({ header, target }) => {
+            const value = row[header];
+            if (target === 'ignore' || value === undefined) return;
+            if (target === 'status') {
+                // A status code or label; importRowToPort in server.js reads it the same way
+                const status = toText(value).trim().toUpperCase();
+                const match = AppState.statuses.find(s => s.code === status || s.label.toUpperCase() === status);
+                if (match) port.status = match.code;
+            } else if (target === 'lastMaintained') {
+                port.lastMaintained = this.normalizeDate(value, port.lastMaintained);
+            } else if (target === 'reservedUntil') {
+                port.reservedUntil = this.normalizeDate(value, '');
+            } else if (target === 'new') {
+                customFields[header.trim()] = toText(value);
+            } else if (target.startsWith('custom:')) {
+                customFields[target.slice('custom:'.length)] = toText(value);
+            } else {
+                port[target] = toText(value);
+            }
         });
+        // Older sheets only had the OTDR column where the CCT number now goes
+        if (!port.otdrDistance) port.otdrDistance = port.otdrDistanceValue;
         port.customFields = AppState.normalizeCustomFields({ customFields }, extraFieldDefs);
-
-        const lastMaintained = pick(['last modified', 'lastmodified', 'last maintained', 'lastmaintained', 'date', 'lastmaintenancedate']);
-        port.lastMaintained = this.normalizeDate(lastMaintained, port.lastMaintained);
-
         return port;
     }
 
-    static extractExtraFieldDefs(headers) {
-        const normalizeKey = (key) => String(key || '')
-            .trim()
-            .toLowerCase()
-            .replace(/[\s_\-]+/g, '');
-
-        const standard = new Set([
-            'id',
-            'label',
-            'status',
-            'portstatus',
-            'customer',
-            'service',
-            'destination',
-            'dest',
-            'cctnumber',
-            'otdrdistance',
-            'otdr',
-            'actualotdrdistance',
-            'ceaoltport',
-            'dab',
-            'fibertype',
-            'fiber',
-            'customerlocation',
-            'port',
-            'connectortype',
-            'connector',
-            'customergps',
-            'branchingjoint',
-            'branchjoint',
-            'livebranchingjoint',
-            'cxlocation',
-            'lastmodified',
-            'lastmaintained',
-            'lastmaintenancedate',
-            'date',
-            'notes',
-            'note',
-            'remarks',
-            'comment'
-        ]);
-
-        const unique = new Set();
-        const extras = [];
-        (Array.isArray(headers) ? headers : []).forEach((header) => {
-            const raw = String(header || '').trim();
-            if (!raw) return;
-            const normalized = normalizeKey(raw);
-            if (standard.has(normalized)) return;
-            if (unique.has(normalized)) return;
-            unique.add(normalized);
-            extras.push(raw);
-        });
-        return extras;
+    /**
+     * Ports from a parsed sheet under `mapping`. `fields` lists the port keys
+     * the file supplies ('customFields.<label>' for custom fields), which is
+     * all a merge import touches; `blanks[i]` has the keys whose cell is empty
+     * in row i.
+     */
+    static sheetToImport(sheet, mapping, extraFieldDefs = []) {
+        const defs = this.importedFieldDefs(mapping, extraFieldDefs);
+        const mapped = mapping
+            .filter(({ target }) => target !== 'ignore')
+            .map(({ header, target }) => ({
+                header,
+                key: target === 'new' ? `customFields.${header.trim()}`
+                    : target.startsWith('custom:') ? `customFields.${target.slice('custom:'.length)}`
+                    : target
+            }));
+        const fields = [...new Set(mapped.map(({ key }) => key))];
+        const blanks = sheet.rows.map(row => new Set(mapped
+            .filter(({ header }) => String(row[header] ?? '').trim() === '')
+            .map(({ key }) => key)));
+        const ports = sheet.rows.map((row, index) => this.rowToPort(row, index + 1, mapping, defs));
+        return { ports, extraFieldDefs: defs, fields, blanks };
     }
 
     static normalizeDate(value, fallback) {
@@ -319,6 +648,26 @@ class DatabaseService {
         return fallback;
     }
 
+    // Layout changes relabel ports on the server, so the caller reloads afterwards
+    static async saveLayout(layout) {
+        return this.enqueueSave(async () => {
+            try {
+                const res = await fetch(`/api/odf/layout?${this.odfQuery()}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ layout })
+                });
+                const data = await res.json().catch(() => null);
+                if (!res.ok) {
+                    return { ok: false, error: (data && (data.details || data.error)) || `HTTP ${res.status}`, data };
+                }
+                return { ok: true, error: null, data };
+            } catch (error) {
+                return { ok: false, error: error && error.message ? error.message : 'Network error', data: null };
+            }
+        });
+    }
+
     static async resetData() {
         try {
             const res = await fetch(`/api/odf?region=${encodeURIComponent(ODFContext.region)}&sub=${encodeURIComponent(ODFContext.sub)}`, {
@@ -339,6 +688,16 @@ const AppState = {
     maxPorts: 576,
     isEditing: false, // New: track edit mode
     extraFieldDefs: [],
+    fieldDefsDirty: false,
+    fieldDefs: [], // Port field schema for this region, from /api/fields
+    schemaLoaded: false, // False when /api/fields or /api/statuses failed; the page is then read-only
+    statuses: [], // Port statuses and their transitions, from /api/statuses
+    version: 0, // ODF version the local state is based on (sent as If-Match)
+    openFaults: [],
+    otdrFlags: [], // Ports whose latest OTDR trace moved past the tolerance
+    layout: null, // { trayCount, portsPerTray, traysPerPanel, labelPattern } or null for a flat grid
+    bulkSelection: [], // Port ids picked with ctrl/shift-click for the bulk editor
+    bulkAnchorId: null,
 
     resolveInitialPortId() {
         const fallback = 1;
@@ -350,31 +709,240 @@ const AppState = {
     },
 
     async init() {
+        const [fieldDefs, statuses] = await Promise.all([
+            DatabaseService.loadFieldDefinitions(),
+            DatabaseService.loadStatuses()
+        ]);
+        // Built-in fields and statuses are only defined on the server
+        if (fieldDefs && fieldDefs.length > 0) {
+            this.fieldDefs = fieldDefs;
+        }
+        if (statuses && statuses.length > 0) {
+            this.statuses = statuses;
+        }
+        this.schemaLoaded = this.fieldDefs.length > 0 && this.statuses.length > 0;
+
         // Load saved data or create mock data
         const saved = await DatabaseService.loadState();
         
         if (saved && Array.isArray(saved.ports) && saved.ports.length > 0) {
-            const defsFromSave = Array.isArray(saved.extraFieldDefs) ? saved.extraFieldDefs : null;
-            const defs = defsFromSave ? defsFromSave : [];
-            this.extraFieldDefs = defs;
-            const normalized = this.normalizeLoadedPorts(saved.ports, saved.displayCount, defs);
-            this.ports = normalized.ports;
-            this.displayCount = normalized.displayCount;
-            DatabaseService.updateLastSaveTime(saved.lastSave);
-            if (!defsFromSave && defs.length > 0) {
-                await DatabaseService.saveState(this.ports, this.displayCount, this.extraFieldDefs);
-            }
+            this.applyLoadedState(saved);
         } else {
+            this.version = saved ? Number(saved.version) || 0 : 0;
             this.displayCount = 96;
             this.extraFieldDefs = [];
             this.ports = this.generateDefaultPorts(this.displayCount);
-            await DatabaseService.saveState(this.ports, this.displayCount, this.extraFieldDefs);
+            if (this.canEdit()) {
+                await DatabaseService.saveState(this.ports, this.displayCount, this.extraFieldDefs);
+            }
         }
         
         this.selectedPortId = this.resolveInitialPortId();
         this.isEditing = false; // Start in view mode
     },
 
+    getStatus(code) {
+        return this.statuses.find(status => status.code === code) || null;
+    },
+
+    statusColor(code) {
+        const status = this.getStatus(code);
+        return status ? status.color : '#95a5a6';
+    },
+
+    // Statuses a port may be set to from `code`: itself plus its transitions.
+    // The server allows anything from a status that is no longer defined.
+    statusOptions(code) {
+        const current = this.getStatus(code);
+        if (!current) {
+            return [{ code, label: code, color: this.statusColor(code), description: '' }, ...this.statuses];
+        }
+        return this.statuses.filter(status => status.code === code || current.transitions.includes(status.code));
+    },
+
+    applyLoadedState(saved) {
+        const defs = Array.isArray(saved.extraFieldDefs) ? saved.extraFieldDefs.map(toCustomFieldDef) : [];
+        this.extraFieldDefs = defs;
+        this.layout = saved.layout || null;
+        const normalized = this.normalizeLoadedPorts(saved.ports, saved.displayCount, defs);
+        this.ports = normalized.ports;
+        this.displayCount = normalized.displayCount;
+        this.version = Number(saved.version) || 0;
+        this.fieldDefsDirty = false;
+        // Conflict responses carry no fault list or OTDR flags; keep the ones already loaded
+        if (Array.isArray(saved.openFaults)) {
+            this.openFaults = saved.openFaults;
+        }
+        if (Array.isArray(saved.otdrFlags)) {
+            this.otdrFlags = saved.otdrFlags;
+        }
+        if (this.selectedPortId > this.ports.length) {
+            this.selectedPortId = this.ports.length;
+        }
+        DatabaseService.updateLastSaveTime(saved.lastSave);
+    },
+
+    // Port fields compared when a save conflicts with someone else's changes
+    conflictFields: [
+        'status',
+        'destination',
+        'otdrDistance',
+        'fiberType',
+        'connectorType',
+        'branchingJoint',
+        'cxLocation',
+        'otdrDistanceValue',
+        'lastMaintained',
+        'notes',
+        'reservedFor',
+        'workOrder',
+        'reservedUntil'
+    ],
+
+    /**
+     * Compare local ports with the server copy returned in a 409 response.
+     * Returns the per-port field differences plus the normalised remote state.
+     */
+    diffAgainst(remote) {
+        const remoteDefs = Array.isArray(remote.extraFieldDefs) ? remote.extraFieldDefs.map(toCustomFieldDef) : [];
+        const remoteState = this.normalizeLoadedPorts(remote.ports, remote.displayCount, remoteDefs);
+        const localById = new Map(this.ports.map(p => [p.id, p]));
+        const remoteById = new Map(remoteState.ports.map(p => [p.id, p]));
+        const ids = [...new Set([...localById.keys(), ...remoteById.keys()])].sort((a, b) => a - b);
+        const customLabels = [...new Set([...this.extraFieldDefs, ...remoteDefs].map(def => def.label))];
+        const asText = (value) => (value === null || value === undefined) ? '' : String(value);
+
+        const diffs = [];
+        ids.forEach((id) => {
+            const mine = localById.get(id);
+            const theirs = remoteById.get(id);
+            if (!mine || !theirs) {
+                diffs.push({ id, missing: mine ? 'theirs' : 'mine', fields: [] });
+                return;
+            }
+
+            const fields = [];
+            this.conflictFields.forEach((key) => {
+                const a = asText(mine[key]);
+                const b = asText(theirs[key]);
+                if (a !== b) fields.push({ key, label: key, custom: false, mine: a, theirs: b });
+            });
+            customLabels.forEach((label) => {
+                const a = asText(mine.customFields && mine.customFields[label]);
+                const b = asText(theirs.customFields && theirs.customFields[label]);
+                if (a !== b) fields.push({ key: `customFields.${label}`, label, custom: true, mine: a, theirs: b });
+            });
+            if (fields.length > 0) diffs.push({ id, missing: null, fields });
+        });
+
+        return { diffs, remote: remoteState, remoteDefs };
+    },
+
+    /**
+     * Build the merged state from a diff and the user's choices.
+     * `choices` maps `${portId}|${fieldKey}` (or `${portId}|port`) to 'mine' or 'theirs';
+     * null takes 'mine' for every difference in the diff.
+     */
+    mergeWith(diff, choices) {
+        const { diffs, remote, remoteDefs } = diff;
+        const remoteLabels = remoteDefs.map(def => def.label);
+        const defs = [...remoteDefs, ...this.extraFieldDefs.filter(def => !remoteLabels.includes(def.label))];
+        const localById = new Map(this.ports.map(p => [p.id, p]));
+        const merged = new Map(remote.ports.map(p => [p.id, { ...p, customFields: { ...p.customFields } }]));
+        const pick = (key) => (choices ? choices.get(key) : 'mine');
+
+        diffs.forEach((entry) => {
+            if (entry.missing) {
+                if (pick(`${entry.id}|port`) !== 'mine') return;
+                if (entry.missing === 'theirs') {
+                    merged.set(entry.id, { ...localById.get(entry.id) });
+                } else {
+                    merged.delete(entry.id);
+                }
+                return;
+            }
+
+            const target = merged.get(entry.id);
+            entry.fields.forEach((field) => {
+                if (pick(`${entry.id}|${field.key}`) !== 'mine') return;
+                if (field.custom) {
+                    target.customFields[field.label] = field.mine;
+                } else {
+                    target[field.key] = localById.get(entry.id)[field.key];
+                }
+            });
+        });
+
+        const ports = [...merged.values()].sort((a, b) => a.id - b.id);
+        const normalized = this.normalizeLoadedPorts(ports, ports.length, defs);
+        return { ...normalized, extraFieldDefs: defs };
+    },
+
+    /**
+     * State after importing `imported` (from DatabaseService.sheetToImport).
+     * 'replace' takes the file as it is. 'merge' overwrites fields with the
+     * file's non-empty cells and 'fillBlanks' only fills empty fields (status is
+     * never blank); both keep ports the file does not reach and add rows past
+     * the last port.
+     */
+    planImport(imported, mode) {
+        const defs = imported.extraFieldDefs;
+        const current = this.normalizeLoadedPorts(this.ports, this.ports.length, defs).ports;
+        let ports = imported.ports;
+        if (mode !== 'replace') {
+            const importedById = new Map(imported.ports.map(p => [p.id, p]));
+            ports = current.map((port) => {
+                const incoming = importedById.get(port.id);
+                if (!incoming) return port;
+                const next = { ...port, customFields: { ...port.customFields } };
+                const blanks = imported.blanks[port.id - 1];
+                imported.fields.forEach((key) => {
+                    if (blanks.has(key)) return;
+                    const label = key.startsWith('customFields.') ? key.slice('customFields.'.length) : null;
+                    const before = label ? next.customFields[label] : next[key];
+                    if (mode === 'fillBlanks' && (key === 'status' || String(before ?? '').trim() !== '')) return;
+                    if (label) {
+                        next.customFields[label] = incoming.customFields[label];
+                    } else {
+                        next[key] = incoming[key];
+                    }
+                });
+                return next;
+            });
+            ports.push(...imported.ports.slice(current.length));
+        }
+        const normalized = this.normalizeLoadedPorts(ports, ports.length, defs);
+        return { ...normalized, extraFieldDefs: defs, diffs: this.importDiff(current, normalized.ports, defs) };
+    },
+
+    // Per-port changes an import makes, in the diffAgainst() field format
+    importDiff(before, after, extraFieldDefs) {
+        const asText = (value) => (value === null || value === undefined) ? '' : String(value);
+        const beforeById = new Map(before.map(p => [p.id, p]));
+        const diffs = [];
+        after.forEach((port) => {
+            const old = beforeById.get(port.id);
+            if (!old) {
+                diffs.push({ id: port.id, change: 'added', fields: [] });
+                return;
+            }
+            const fields = [];
+            this.conflictFields.forEach((key) => {
+                const a = asText(old[key]);
+                const b = asText(port[key]);
+                if (a !== b) fields.push({ key, label: key, custom: false, before: a, after: b });
+            });
+            extraFieldDefs.forEach(({ label }) => {
+                const a = asText(old.customFields[label]);
+                const b = asText(port.customFields[label]);
+                if (a !== b) fields.push({ key: `customFields.${label}`, label, custom: true, before: a, after: b });
+            });
+            if (fields.length > 0) diffs.push({ id: port.id, change: 'changed', fields });
+        });
+        before.slice(after.length).forEach(port => diffs.push({ id: port.id, change: 'removed', fields: [] }));
+        return diffs;
+    },
+
     generateDefaultPorts(count) {
         const ports = [];
         for (let i = 1; i <= count; i++) {
@@ -391,8 +959,18 @@ const AppState = {
         return this.ports.find(p => p.id === this.selectedPortId) || null;
     },
 
+    // Ports the layout has room for (maxPorts without a layout)
+    portCapacity() {
+        return this.layout ? this.layout.trayCount * this.layout.portsPerTray : this.maxPorts;
+    },
+
+    // Label for port `n` under the current layout (portLabel is in labels.js)
+    portLabel(n) {
+        return portLabel(this.layout, n);
+    },
+
     addPort() {
-        if (this.displayCount < this.maxPorts) {
+        if (this.displayCount < this.portCapacity()) {
             const nextId = this.ports.length + 1;
             this.ports.push(this.createDefaultPort(nextId));
             this.displayCount = this.ports.length;
@@ -418,11 +996,31 @@ const AppState = {
     },
 
     updatePort(updatedPort, options = {}) {
-        const { keepEditing = false } = options;
+        const { keepEditing = false, fault = null } = options;
         const index = this.ports.findIndex(p => p.id === updatedPort.id);
         if (index !== -1) {
+            const statusChanged = this.ports[index].status !== updatedPort.status;
             this.ports[index] = updatedPort;
-            DatabaseService.saveState(this.ports, this.displayCount, this.extraFieldDefs);
+            let saved;
+            if (this.fieldDefsDirty) {
+                // Renamed field labels remap customFields on every port
+                this.fieldDefsDirty = false;
+                const ports = fault
+                    ? this.ports.map(p => (p.id === updatedPort.id ? { ...p, fault } : p))
+                    : this.ports;
+                saved = DatabaseService.saveStateWithResult(ports, this.displayCount, this.extraFieldDefs);
+            } else {
+                saved = DatabaseService.savePort(updatedPort, fault ? { fault } : {});
+            }
+            saved.then((result) => {
+                if (!result.ok && result.data && Array.isArray(result.data.fieldErrors)) {
+                    UIRenderer.showFieldErrors(result.data.fieldErrors);
+                }
+            });
+            // The server opens or closes a fault when the status moves to or from FAULTY
+            if (statusChanged) {
+                saved.then(() => this.refreshOpenFaults());
+            }
             if (!keepEditing) {
                 this.isEditing = false; // Exit edit mode after save
             }
@@ -450,6 +1048,108 @@ const AppState = {
         return true;
     },
 
+    // Ctrl-click toggles one port, shift-click adds the range from the last clicked port.
+    // The single selected port is the starting point of a new selection.
+    selectForBulk(portId, { range = false } = {}) {
+        const selection = new Set(this.bulkSelection.length > 0 ? this.bulkSelection : [this.selectedPortId].filter(Boolean));
+        const anchor = this.bulkAnchorId || this.selectedPortId || portId;
+        if (range) {
+            const [from, to] = anchor <= portId ? [anchor, portId] : [portId, anchor];
+            for (let id = from; id <= to; id++) selection.add(id);
+        } else if (selection.has(portId)) {
+            selection.delete(portId);
+        } else {
+            selection.add(portId);
+        }
+        this.bulkAnchorId = portId;
+        this.bulkSelection = [...selection].sort((a, b) => a - b);
+        if (this.bulkSelection.length <= 1) {
+            this.selectedPortId = this.bulkSelection[0] || portId;
+            this.clearBulkSelection();
+        }
+    },
+
+    clearBulkSelection() {
+        this.bulkSelection = [];
+        this.bulkAnchorId = null;
+    },
+
+    isBulkSelected(portId) {
+        return this.bulkSelection.includes(portId);
+    },
+
+    /**
+     * Apply `set` and `customFields` to every selected port. The change is made
+     * locally first (like updatePort) so a conflict dialog includes it; if the
+     * server refuses it, nothing was written and the server copy is reloaded.
+     */
+    async applyBulkUpdate({ set = {}, customFields = null, fault = null }) {
+        const ids = this.bulkSelection.slice();
+        const statusChanged = set.status !== undefined
+            && this.ports.some(p => ids.includes(p.id) && p.status !== set.status);
+        this.ports = this.ports.map(p => (ids.includes(p.id)
+            ? { ...p, ...set, customFields: { ...p.customFields, ...(customFields || {}) } }
+            : p));
+
+        const result = await DatabaseService.bulkUpdatePorts(ids, {
+            set,
+            ...(customFields ? { customFields } : {}),
+            ...(fault ? { fault } : {})
+        });
+        if (!result.ok) {
+            await this.reloadFromServer();
+            return result;
+        }
+        this.clearBulkSelection();
+        if (statusChanged) {
+            this.refreshOpenFaults();
+        }
+        return result;
+    },
+
+    getOpenFault(portId) {
+        return this.openFaults.find(fault => fault.portNumber === portId) || null;
+    },
+
+    getOtdrFlag(portId) {
+        return this.otdrFlags.find(flag => flag.portNumber === portId) || null;
+    },
+
+    // The latest trace decides whether a port is flagged
+    setLatestOtdrTrace(portId, trace) {
+        this.otdrFlags = this.otdrFlags.filter(flag => flag.portNumber !== portId);
+        if (trace && trace.flagged) {
+            this.otdrFlags.push({ portNumber: portId, traceId: trace.id, lengthChange: trace.lengthChange });
+        }
+    },
+
+    async refreshOpenFaults() {
+        const faults = await DatabaseService.loadOpenFaults();
+        if (!faults) return;
+        this.openFaults = faults;
+        UIRenderer.renderPortGrid();
+        if (!this.isEditing) {
+            UIRenderer.renderPortDetails();
+        }
+    },
+
+    // Reload after a change made outside the port editor (e.g. closing a fault),
+    // queued behind pending saves so they are not overwritten
+    async reloadFromServer() {
+        await DatabaseService.enqueueSave(async () => {
+            const saved = await DatabaseService.loadState();
+            if (saved) this.applyLoadedState(saved);
+            return { ok: Boolean(saved) };
+        });
+        UIRenderer.renderPortGrid();
+        UIRenderer.renderPortDetails();
+    },
+
+    // Technicians and admins may edit ports; viewers only read
+    canEdit() {
+        return this.schemaLoaded && ODFSession.hasRole('technician');
+    },
+
     // New: Toggle edit mode
     toggleEditMode() {
         this.isEditing = !this.isEditing;
@@ -465,10 +1165,10 @@ const AppState = {
         const status = 'INACTIVE';
         return {
             id,
-            label: `PORT-${id.toString().padStart(3, '0')}`,
+            label: this.portLabel(id),
             status: status,
-            fiberType: 'Single-mode OS2',
-            connectorType: 'LC/UPC',
+            fiberType: '',
+            connectorType: '',
             destination: '',
             otdrDistance: '',
             otdrDistanceValue: '',
@@ -476,6 +1176,9 @@ const AppState = {
             branchingJoint: '',
             cxLocation: '',
             notes: '',
+            reservedFor: '',
+            workOrder: '',
+            reservedUntil: '',
             customFields: this.normalizeCustomFields({}, this.extraFieldDefs)
         };
     },
@@ -512,7 +1215,7 @@ const AppState = {
             const basePort = {
                 ...rest,
                 id: index + 1,
-                label: `PORT-${(index + 1).toString().padStart(3, '0')}`,
+                label: this.portLabel(index + 1),
                 fiberType: cleanText(rest && rest.fiberType),
                 connectorType: cleanText(rest && rest.connectorType),
                 destination: cleanText(rest && rest.destination),
@@ -522,6 +1225,9 @@ const AppState = {
                 branchingJoint: cleanText(rest && rest.branchingJoint),
                 cxLocation: cleanText(rest && rest.cxLocation),
                 notes: cleanText(rest && rest.notes),
+                reservedFor: cleanText(rest && rest.reservedFor),
+                workOrder: cleanText(rest && rest.workOrder),
+                reservedUntil: cleanDate(rest && rest.reservedUntil),
                 customFields
             };
 
@@ -541,8 +1247,8 @@ const AppState = {
             ? port.customFields
             : null;
 
-        defList.forEach((label, index) => {
-            const key = String(label || '').trim();
+        defList.forEach((def, index) => {
+            const key = toCustomFieldDef(def).label.trim();
             if (!key) return;
             let value = '';
             if (existingMap && Object.prototype.hasOwnProperty.call(existingMap, key)) {
@@ -565,36 +1271,478 @@ const AppState = {
 // ========== UI RENDER FUNCTIONS ==========
 class UIRenderer {
     static autoSaveTimer = null;
+    static activeDetailTab = 'details';
+
+    static get portFieldLabels() {
+        return {
+            status: 'Port Status',
+            ...Object.fromEntries(AppState.fieldDefs.map(def => [def.column, def.label])),
+            lastMaintained: 'Last Modified',
+            notes: 'Notes',
+            reservedFor: 'Reserved For',
+            workOrder: 'Work Order',
+            reservedUntil: 'Reserved Until'
+        };
+    }
+
+    /**
+     * Input matching a field definition's type. `attrs` (already escaped)
+     * identify the input so its value can be read back.
+     */
+    static renderFieldInput(def, value, attrs = '') {
+        const esc = (text) => this.escapeHtml(text);
+        const current = value === null || value === undefined ? '' : String(value);
+        if (def.type === 'select') {
+            const options = Array.isArray(def.options) ? def.options : [];
+            // Keep a value that is no longer in the list so it is not silently dropped
+            const choices = current && !options.includes(current) ? [current, ...options] : options;
+            return `<select ${attrs}>
+                <option value=""></option>
+                ${choices.map(option => `<option value="${esc(option)}" ${option === current ? 'selected' : ''}>${esc(option)}</option>`).join('')}
+            </select>`;
+        }
+        if (def.type === 'gps') {
+            return `<input type="text" ${attrs} value="${esc(current)}" inputmode="decimal" placeholder="latitude, longitude">`;
+        }
+        if (def.type === 'phone') {
+            return `<input type="tel" ${attrs} value="${esc(current)}" placeholder="+94 ...">`;
+        }
+        const inputType = def.type === 'number' || def.type === 'date' ? def.type : 'text';
+        return `<input type="${inputType}" ${attrs} value="${esc(current)}">`;
+    }
+
+    // Mark the inputs named in a 400 response's fieldErrors ({ path: 'ports[n].key', message })
+    static showFieldErrors(fieldErrors) {
+        document.querySelectorAll('.field-invalid').forEach(el => el.classList.remove('field-invalid'));
+        const port = AppState.getSelectedPort();
+        const messages = [];
+        fieldErrors.forEach((fieldError) => {
+            const match = /^ports\[(\d+)\]\.(.+)$/.exec(fieldError.path || '');
+            if (match && port && Number(match[1]) === port.id) {
+                const customIndex = match[2].startsWith('customFields.')
+                    ? AppState.extraFieldDefs.findIndex(def => `customFields.${def.label}` === match[2])
+                    : -1;
+                const input = customIndex === -1
+                    ? document.querySelector(`[data-field-key="${match[2]}"]`)
+                    : document.querySelector(`.extra-field-value[data-index="${customIndex}"]`);
+                if (input) input.classList.add('field-invalid');
+            }
+            messages.push(fieldError.message);
+        });
+        this.showMessage(`Not saved: ${messages.join('; ')}`, 'error');
+    }
+
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Show the save-conflict dialog for a diff from AppState.diffAgainst().
+     * Resolves with { action: 'reload' | 'overwrite' | 'merge', choices }.
+     */
+    static showConflictDialog(diff) {
+        return new Promise((resolve) => {
+            const existing = document.querySelector('.modal-overlay');
+            if (existing) existing.remove();
+
+            const esc = (value) => this.escapeHtml(value);
+            const choiceCell = (name, value, text, checked) => `
+                <label class="conflict-choice">
+                    <input type="radio" name="${esc(name)}" value="${value}" ${checked ? 'checked' : ''}>
+                    <span>${text === '' ? '<em>(empty)</em>' : esc(text)}</span>
+                </label>
+            `;
+
+            const rows = diff.diffs.map((entry) => {
+                if (entry.missing) {
+                    const name = `${entry.id}|port`;
+                    return `
+                        <tr>
+                            <td>Port ${entry.id}</td>
+                            <td>Port</td>
+                            <td>${choiceCell(name, 'mine', entry.missing === 'theirs' ? 'Keep port' : 'Removed', true)}</td>
+                            <td>${choiceCell(name, 'theirs', entry.missing === 'theirs' ? 'Removed' : 'Keep port', false)}</td>
+                        </tr>
+                    `;
+                }
+                return entry.fields.map((field) => {
+                    const name = `${entry.id}|${field.key}`;
+                    const label = field.custom ? field.label : (this.portFieldLabels[field.key] || field.key);
+                    return `
+                        <tr>
+                            <td>Port ${entry.id}</td>
+                            <td>${esc(label)}</td>
+                            <td>${choiceCell(name, 'mine', field.mine, true)}</td>
+                            <td>${choiceCell(name, 'theirs', field.theirs, false)}</td>
+                        </tr>
+                    `;
+                }).join('');
+            }).join('');
+
+            const portCount = diff.diffs.length;
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+                <div class="modal conflict-modal" role="dialog" aria-modal="true" aria-labelledby="conflictTitle">
+                    <h3 id="conflictTitle">Someone else changed this ODF</h3>
+                    <p class="small-text">
+                        ${portCount} port${portCount === 1 ? '' : 's'} differ from the saved copy.
+                        Reload their version, overwrite it with yours, or pick a value for each field and merge.
+                    </p>
+                    <div class="conflict-table-wrap">
+                        <table class="conflict-table">
+                            <thead>
+                                <tr><th>Port</th><th>Field</th><th>Yours</th><th>Theirs</th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-secondary" data-action="reload">Reload Latest</button>
+                        <button type="button" class="btn btn-danger" data-action="overwrite">Overwrite with Mine</button>
+                        <button type="button" class="btn btn-primary" data-action="merge">Merge Selected</button>
+                    </div>
+                </div>
+            `;
+
+            overlay.querySelectorAll('[data-action]').forEach((button) => {
+                button.addEventListener('click', () => {
+                    const choices = new Map();
+                    overlay.querySelectorAll('input[type="radio"]:checked').forEach((input) => {
+                        choices.set(input.name, input.value);
+                    });
+                    overlay.remove();
+                    resolve({ action: button.dataset.action, choices });
+                });
+            });
+
+            document.body.appendChild(overlay);
+        });
+    }
+
+    static showLayoutDialog() {
+        const current = AppState.layout || { trayCount: 4, portsPerTray: 24, traysPerPanel: 0, labelPattern: 'T{tray}-P{port}' };
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal layout-modal" role="dialog" aria-modal="true" aria-labelledby="layoutTitle">
+                <h3 id="layoutTitle">ODF Layout</h3>
+                <p class="small-text">Group the port grid into trays. Port labels are generated from the pattern:
+                    <code>{tray}</code>, <code>{port}</code> and <code>{panel}</code> are two-digit numbers, <code>{n}</code> is the port number.</p>
+                <div class="layout-form">
+                    <label>Trays <input type="number" id="layoutTrays" min="1" value="${current.trayCount}"></label>
+                    <label>Ports per tray
+                        <input type="number" id="layoutPortsPerTray" min="1" list="layoutTraySizes" value="${current.portsPerTray}">
+                        <datalist id="layoutTraySizes"><option value="12"><option value="24"></datalist>
+                    </label>
+                    <label>Trays per panel (0 for none) <input type="number" id="layoutTraysPerPanel" min="0" value="${current.traysPerPanel}"></label>
+                    <label>Label pattern <input type="text" id="layoutPattern" value="${this.escapeHtml(current.labelPattern)}"></label>
+                </div>
+                <p id="layoutPreview" class="small-text"></p>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    ${AppState.layout ? '<button type="button" class="btn btn-outline" data-action="flat">Use Flat Grid</button>' : ''}
+                    <button type="button" class="btn btn-primary" data-action="save">Save Layout</button>
+                </div>
+            </div>
+        `;
+
+        const readForm = () => ({
+            trayCount: Number(overlay.querySelector('#layoutTrays').value),
+            portsPerTray: Number(overlay.querySelector('#layoutPortsPerTray').value),
+            traysPerPanel: Number(overlay.querySelector('#layoutTraysPerPanel').value) || 0,
+            labelPattern: overlay.querySelector('#layoutPattern').value.trim()
+        });
+        const preview = () => {
+            const layout = readForm();
+            const capacity = layout.trayCount * layout.portsPerTray;
+            const saved = AppState.layout;
+            AppState.layout = layout;
+            const first = AppState.portLabel(1);
+            const last = capacity > 0 ? AppState.portLabel(capacity) : first;
+            AppState.layout = saved;
+            overlay.querySelector('#layoutPreview').textContent =
+                `${capacity} ports: ${first} … ${last}${capacity < AppState.ports.length ? ` (this ODF has ${AppState.ports.length} ports)` : ''}`;
+        };
+        overlay.querySelectorAll('input').forEach(input => input.addEventListener('input', preview));
+        preview();
+
+        overlay.querySelectorAll('[data-action]').forEach((button) => {
+            button.addEventListener('click', async () => {
+                const action = button.dataset.action;
+                if (action === 'cancel') {
+                    overlay.remove();
+                    return;
+                }
+                const layout = action === 'flat' ? null : readForm();
+                if (!confirm('Changing the layout relabels every port on this ODF. Continue?')) return;
+                button.disabled = true;
+                const result = await DatabaseService.saveLayout(layout);
+                button.disabled = false;
+                if (!result.ok) {
+                    this.showMessage(`Layout not saved: ${result.error}`, 'error');
+                    return;
+                }
+                overlay.remove();
+                await AppState.reloadFromServer();
+                this.showMessage('Layout saved.', 'success');
+            });
+        });
+
+        document.body.appendChild(overlay);
+    }
+
+    /**
+     * Import wizard for a parsed spreadsheet: map the columns, pick how the rows
+     * are applied and review the changes before anything is saved.
+     */
+    static showImportDialog(sheet) {
+        const esc = (value) => this.escapeHtml(value);
+        const labels = this.portFieldLabels;
+        const targets = [
+            ['ignore', 'Do not import'],
+            ['new', 'New custom field'],
+            ...Object.entries(labels),
+            ...AppState.extraFieldDefs.map(def => [`custom:${def.label}`, `${def.label} (custom field)`])
+        ];
+        const mapping = DatabaseService.detectColumnMapping(sheet.headers, AppState.extraFieldDefs);
+        const example = (header) => {
+            const row = sheet.rows.find(r => String(r[header] ?? '').trim() !== '');
+            return row ? String(row[header]) : '';
+        };
+        const modes = [
+            ['replace', 'Replace all ports', 'The file becomes the port list; ports past its last row are removed.'],
+            ['merge', 'Merge into existing', 'Non-empty imported cells overwrite the current values; other fields and ports are kept.'],
+            ['fillBlanks', 'Only fill blanks', 'Imported values only go into fields that are empty now.']
+        ];
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal import-modal" role="dialog" aria-modal="true" aria-labelledby="importTitle">
+                <h3 id="importTitle">Import Spreadsheet</h3>
+                <p class="small-text">${sheet.rows.length} row${sheet.rows.length === 1 ? '' : 's'} found. Check where each column goes and review the changes before importing.</p>
+                <div class="import-modes">
+                    ${modes.map(([value, text, hint], index) => `
+                        <label class="conflict-choice" title="${esc(hint)}">
+                            <input type="radio" name="importMode" value="${value}" ${index === 0 ? 'checked' : ''}>
+                            <span>${text}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="conflict-table-wrap import-mapping">
+                    <table class="conflict-table">
+                        <thead>
+                            <tr><th>Column</th><th>Example</th><th>Import as</th></tr>
+                        </thead>
+                        <tbody>
+                            ${mapping.map(({ header, target }, index) => `
+                                <tr>
+                                    <td>${esc(header)}</td>
+                                    <td>${esc(example(header))}</td>
+                                    <td>
+                                        <select class="import-target" data-index="${index}">
+                                            ${targets.map(([value, text]) => `<option value="${esc(value)}" ${value === target ? 'selected' : ''}>${esc(text)}</option>`).join('')}
+                                        </select>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <p id="importSummary" class="small-text"></p>
+                <div class="conflict-table-wrap import-preview">
+                    <table class="conflict-table">
+                        <thead>
+                            <tr><th>Port</th><th>Field</th><th>Current</th><th>Imported</th></tr>
+                        </thead>
+                        <tbody id="importPreview"></tbody>
+                    </table>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="import">Import</button>
+                </div>
+            </div>
+        `;
+
+        // The preview lists at most this many field changes; the summary counts them all
+        const previewLimit = 300;
+        const importButton = overlay.querySelector('[data-action="import"]');
+        let plan = null;
+        const preview = () => {
+            const mode = overlay.querySelector('input[name="importMode"]:checked').value;
+            plan = AppState.planImport(DatabaseService.sheetToImport(sheet, mapping, AppState.extraFieldDefs), mode);
+            const count = (change) => plan.diffs.filter(d => d.change === change).length;
+            const capacity = AppState.portCapacity();
+            const tooMany = plan.ports.length > capacity;
+            // The server only lets admins remove ports
+            const removes = count('removed') > 0 && !ODFSession.hasRole('admin');
+            overlay.querySelector('#importSummary').textContent = tooMany
+                ? `The file has ${plan.ports.length} ports but this ODF holds at most ${capacity}.`
+                : removes
+                    ? `Only admins can remove ports; this import would remove ${count('removed')}. Merge instead.`
+                    : `${count('changed')} port(s) changed, ${count('added')} added, ${count('removed')} removed.`;
+            importButton.disabled = tooMany || removes || plan.diffs.length === 0;
+
+            const rows = plan.diffs.flatMap((entry) => {
+                if (entry.change !== 'changed') {
+                    return [`<tr><td>Port ${entry.id}</td><td colspan="3"><em>${entry.change === 'added' ? 'New port' : 'Removed'}</em></td></tr>`];
+                }
+                return entry.fields.map(field => `
+                    <tr>
+                        <td>Port ${entry.id}</td>
+                        <td>${esc(field.custom ? field.label : (labels[field.key] || field.key))}</td>
+                        <td>${field.before === '' ? '<em>(empty)</em>' : esc(field.before)}</td>
+                        <td>${field.after === '' ? '<em>(empty)</em>' : esc(field.after)}</td>
+                    </tr>
+                `);
+            });
+            const more = rows.length > previewLimit
+                ? `<tr><td colspan="4"><em>… and ${rows.length - previewLimit} more changes</em></td></tr>`
+                : '';
+            overlay.querySelector('#importPreview').innerHTML = rows.length > 0
+                ? rows.slice(0, previewLimit).join('') + more
+                : '<tr><td colspan="4"><em>Nothing would change.</em></td></tr>';
+        };
+
+        overlay.querySelectorAll('.import-target').forEach((select) => {
+            select.addEventListener('change', () => {
+                mapping[Number(select.dataset.index)].target = select.value;
+                preview();
+            });
+        });
+        overlay.querySelectorAll('input[name="importMode"]').forEach(input => input.addEventListener('change', preview));
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => overlay.remove());
+        importButton.addEventListener('click', () => {
+            overlay.remove();
+            this.applyImport(plan);
+        });
+
+        preview();
+        document.body.appendChild(overlay);
+    }
+
+    // Load an import plan from AppState.planImport() and save it
+    static async applyImport(plan) {
+        AppState.extraFieldDefs = plan.extraFieldDefs;
+        AppState.ports = plan.ports;
+        AppState.displayCount = plan.displayCount;
+        AppState.selectedPortId = AppState.resolveInitialPortId();
+        AppState.isEditing = false;
+
+        this.renderPortGrid();
+        this.renderPortDetails();
+
+        const saveResult = await DatabaseService.saveStateWithResult(
+            AppState.ports,
+            AppState.displayCount,
+            AppState.extraFieldDefs
+        );
+
+        if (!saveResult.ok) {
+            this.showMessage(`Import loaded, but MySQL save failed: ${saveResult.error}`, 'info');
+            return;
+        }
+
+        this.showMessage('Data imported and saved to MySQL successfully!', 'success');
+    }
+
+    static createPortElement(port, text) {
+        const portElement = document.createElement('div');
+        const fault = AppState.getOpenFault(port.id);
+        const selected = AppState.bulkSelection.length > 0 ? AppState.isBulkSelected(port.id) : AppState.selectedPortId === port.id;
+        const otdrFlag = AppState.getOtdrFlag(port.id);
+        portElement.className = `port-item ${selected ? 'selected' : ''} ${fault ? 'has-fault' : ''} ${otdrFlag ? 'otdr-flag' : ''}`;
+        portElement.style.setProperty('--status-color', AppState.statusColor(port.status));
+        portElement.textContent = text;
+        portElement.title = `${port.label} (port ${port.id}) - ${port.status}${fault ? ` - Open fault #${fault.id}` : ''}`
+            + `${otdrFlag ? ` - OTDR fibre end moved ${otdrFlag.lengthChange} m` : ''}`;
+
+        portElement.addEventListener('click', (event) => {
+            if (AppState.canEdit() && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                AppState.selectForBulk(port.id, { range: event.shiftKey });
+                AppState.cancelEdit();
+                this.renderPortGrid();
+                this.renderPortDetails();
+                return;
+            }
+            AppState.clearBulkSelection();
+            AppState.selectedPortId = port.id;
+            AppState.cancelEdit(); // Cancel edit mode when selecting new port
+            this.renderPortGrid();
+            this.renderPortDetails();
+        });
+        return portElement;
+    }
 
     static renderPortGrid() {
         const grid = document.getElementById('portGrid');
         const visiblePorts = AppState.getVisiblePorts();
+        const layout = AppState.layout;
         
         grid.innerHTML = '';
+        grid.classList.toggle('has-layout', Boolean(layout));
         
-        visiblePorts.forEach(port => {
-            const portElement = document.createElement('div');
-            portElement.className = `port-item ${port.status.toLowerCase()} ${AppState.selectedPortId === port.id ? 'selected' : ''}`;
-            portElement.textContent = port.id;
-            portElement.title = `${port.label} - ${port.status}`;
-            
-            portElement.addEventListener('click', () => {
-                AppState.selectedPortId = port.id;
-                AppState.cancelEdit(); // Cancel edit mode when selecting new port
-                this.renderPortGrid();
-                this.renderPortDetails();
-            });
-            
-            grid.appendChild(portElement);
-        });
+        if (!layout) {
+            visiblePorts.forEach(port => grid.appendChild(this.createPortElement(port, port.id)));
+        } else {
+            // One group per tray, numbered within the tray; empty trays show the spare capacity
+            const pad = (value) => String(value).padStart(2, '0');
+            for (let tray = 1; tray <= layout.trayCount; tray++) {
+                if (layout.traysPerPanel && (tray - 1) % layout.traysPerPanel === 0) {
+                    const panel = document.createElement('div');
+                    panel.className = 'panel-label';
+                    panel.textContent = `Panel ${pad(Math.ceil(tray / layout.traysPerPanel))}`;
+                    grid.appendChild(panel);
+                }
+                const first = (tray - 1) * layout.portsPerTray + 1;
+                const trayPorts = visiblePorts.filter(port => port.id >= first && port.id < first + layout.portsPerTray);
+                const group = document.createElement('div');
+                group.className = 'tray-group';
+                group.innerHTML = `<div class="tray-label">Tray ${pad(tray)}${trayPorts.length === 0 ? ' <span class="small-text">(empty)</span>' : ''}</div>`;
+                const portsEl = document.createElement('div');
+                portsEl.className = 'tray-ports';
+                trayPorts.forEach(port => portsEl.appendChild(this.createPortElement(port, port.id - first + 1)));
+                group.appendChild(portsEl);
+                grid.appendChild(group);
+            }
+        }
         
         // Update port count
-        document.getElementById('portCount').textContent = `${AppState.displayCount} Ports`;
+        document.getElementById('portCount').textContent = layout
+            ? `${AppState.displayCount} / ${AppState.portCapacity()} Ports`
+            : `${AppState.displayCount} Ports`;
+        const reserved = AppState.ports.filter(port => port.status === 'RESERVED').length;
+        const reservedBadge = document.getElementById('reservedCount');
+        reservedBadge.textContent = `${reserved} Reserved`;
+        reservedBadge.hidden = reserved === 0;
+    }
+
+    static renderLegend() {
+        const legend = document.getElementById('statusLegend');
+        if (!legend) return;
+        legend.innerHTML = AppState.statuses.map(status => `
+            <div class="legend-item" title="${this.escapeHtml(status.description)}">
+                <span class="dot" style="--status-color: ${this.escapeHtml(status.color)}"></span> ${this.escapeHtml(status.label)}
+            </div>
+        `).join('');
     }
 
     static renderPortDetails() {
         const container = document.getElementById('portDetails');
         const port = AppState.getSelectedPort();
+
+        if (AppState.bulkSelection.length > 1) {
+            this.renderBulkEditor();
+            return;
+        }
         
         if (!port) {
             container.innerHTML = `
@@ -608,128 +1756,99 @@ class UIRenderer {
             return;
         }
 
-        const statusColor = {
-            'ACTIVE': '#2ecc71',
-            'INACTIVE': '#95a5a6',
-            'FAULTY': '#e74c3c'
-        };
-
         // Determine if we should show inputs or text
         const isEditing = AppState.isEditing;
+        const esc = (value) => this.escapeHtml(value);
         const extraFieldDefs = Array.isArray(AppState.extraFieldDefs) ? AppState.extraFieldDefs : [];
         const customFields = AppState.normalizeCustomFields(port, extraFieldDefs);
-        const extraFieldsHtml = extraFieldDefs.map((label, index) => `
+        const extraFieldsHtml = extraFieldDefs.map(({ label, ...def }, index) => `
             <div class="detail-row extra-field-row" data-index="${index}">
                 <div class="detail-label">
                     ${isEditing ?
-                        `<input type="text" class="extra-field-label" data-index="${index}" value="${label || ''}" placeholder="Field name">` :
-                        `<span class="readonly-text">${label || ''}</span>`
+                        `<input type="text" class="extra-field-label" data-index="${index}" value="${esc(label)}" placeholder="Field name">` :
+                        `<span class="readonly-text">${esc(label)}</span>`
                     }
+                    ${def.type === 'text' ? '' : `<span class="field-type">${esc(FIELD_TYPE_LABELS[def.type])}</span>`}
                 </div>
                 <div class="detail-value">
                     ${isEditing ?
-                        `<input type="text" class="extra-field-value" data-index="${index}" value="${customFields[label] || ''}" placeholder="Value">` :
-                        `<span class="readonly-text">${customFields[label] || ''}</span>`
+                        this.renderFieldInput({ label, ...def }, customFields[label], `class="extra-field-value" data-index="${index}"`) :
+                        `<span class="readonly-text">${esc(customFields[label] || '')}</span>`
                     }
                 </div>
             </div>
         `).join('');
         
+        // Holder, work order and expiry of a reservation; while editing they
+        // show whenever RESERVED is picked in the status list
+        const reservationHtml = [['reservedFor', 'text'], ['workOrder', 'text'], ['reservedUntil', 'date']].map(([key, type]) => `
+            <div class="detail-row reservation-row" ${port.status === 'RESERVED' ? '' : 'hidden'}>
+                <div class="detail-label">${esc(this.portFieldLabels[key])}${key === 'workOrder' ? '' : ' <span class="required-mark" title="Required on RESERVED ports">*</span>'}</div>
+                <div class="detail-value">
+                    ${isEditing ?
+                        `<input type="${type}" id="${key}Input" data-field-key="${key}" value="${esc(port[key] || '')}">` :
+                        `<span class="readonly-text">${esc(port[key] || '')}</span>`
+                    }
+                </div>
+            </div>
+        `).join('');
+
+        const activeTab = this.activeDetailTab;
+        const canEdit = AppState.canEdit();
+        const openFault = AppState.getOpenFault(port.id);
         container.innerHTML = `
-            <div class="port-details">
+            <div class="port-details ${activeTab === 'details' ? '' : `${activeTab}-open`}">
                 <div class="port-header">
                     <div class="port-title">
                         <h2>${port.label}</h2>
                         <p>Port ID: ${port.id}</p>
                     </div>
-                    <div class="port-status" style="background: ${statusColor[port.status]}; color: white;">
-                        ${port.status}
-                    </div>
-                </div>
-
-                <div class="detail-row">
-                    <div class="detail-label">Port Status</div>
-                    <div class="detail-value">
-                        ${isEditing ? 
-                            `<select id="statusInput">
-                                <option value="ACTIVE" ${port.status === 'ACTIVE' ? 'selected' : ''}>ACTIVE</option>
-                                <option value="INACTIVE" ${port.status === 'INACTIVE' ? 'selected' : ''}>INACTIVE</option>
-                                <option value="FAULTY" ${port.status === 'FAULTY' ? 'selected' : ''}>FAULTY</option>
-                            </select>` :
-                            `<span class="readonly-text">${port.status}</span>`
-                        }
-                    </div>
-                </div>
-
-                <div class="detail-row">
-                    <div class="detail-label">Customer</div>
-                    <div class="detail-value">
-                        ${isEditing ? 
-                            `<input type="text" id="destinationInput" value="${port.destination}">` :
-                            `<span class="readonly-text">${port.destination}</span>`
-                        }
-                    </div>
-                </div>
-
-                <div class="detail-row">
-                    <div class="detail-label">CCT Number</div>
-                    <div class="detail-value">
-                        ${isEditing ? 
-                            `<input type="text" id="otdrDistanceInput" value="${port.otdrDistance}">` :
-                            `<span class="readonly-text">${port.otdrDistance}</span>`
-                        }
-                    </div>
-                </div>
-
-                <div class="detail-row">
-                    <div class="detail-label">CEA/OLT port</div>
-                    <div class="detail-value">
-                        ${isEditing ? 
-                            `<input type="text" id="fiberTypeInput" value="${port.fiberType}">` :
-                            `<span class="readonly-text">${port.fiberType}</span>`
-                        }
-                    </div>
-                </div>
-
-                <div class="detail-row">
-                    <div class="detail-label">Customer Location</div>
-                    <div class="detail-value">
-                        ${isEditing ? 
-                            `<input type="text" id="connectorInput" value="${port.connectorType}">` :
-                            `<span class="readonly-text">${port.connectorType}</span>`
-                        }
-                    </div>
+                    <div class="port-status" style="background: ${AppState.statusColor(port.status)}; color: white;">
+                        ${port.status}
+                    </div>
                 </div>
 
-                <div class="detail-row">
-                    <div class="detail-label">Customer GPS</div>
-                    <div class="detail-value">
-                        ${isEditing ? 
-                            `<input type="text" id="branchingJointInput" value="${port.branchingJoint}">` :
-                            `<span class="readonly-text">${port.branchingJoint}</span>`
-                        }
-                    </div>
+                <div class="detail-tabs" role="tablist">
+                    <button type="button" class="detail-tab ${activeTab === 'details' ? 'active' : ''}" data-tab="details" role="tab">Details</button>
+                    <button type="button" class="detail-tab ${activeTab === 'history' ? 'active' : ''}" data-tab="history" role="tab">History</button>
+                    <button type="button" class="detail-tab ${activeTab === 'trace' ? 'active' : ''}" data-tab="trace" role="tab">Trace</button>
+                    <button type="button" class="detail-tab ${activeTab === 'otdr' ? 'active' : ''}" data-tab="otdr" role="tab">OTDR</button>
+                    <button type="button" class="detail-tab ${activeTab === 'files' ? 'active' : ''}" data-tab="files" role="tab">Files</button>
                 </div>
 
+                <div id="portHistory" class="history-panel" role="tabpanel"></div>
+                <div id="portTrace" class="trace-panel" role="tabpanel"></div>
+                <div id="portOtdr" class="otdr-panel" role="tabpanel"></div>
+                <div id="portFiles" class="files-panel" role="tabpanel"></div>
+                ${openFault ? '<div id="portFault" class="fault-panel"></div>' : ''}
+
                 <div class="detail-row">
-                    <div class="detail-label">Live Branching joint</div>
+                    <div class="detail-label">Port Status</div>
                     <div class="detail-value">
                         ${isEditing ? 
-                            `<input type="text" id="cxLocationInput" value="${port.cxLocation}">` :
-                            `<span class="readonly-text">${port.cxLocation}</span>`
+                            `<select id="statusInput">
+                                ${AppState.statusOptions(port.status).map(status => `
+                                    <option value="${esc(status.code)}" title="${esc(status.description)}" ${status.code === port.status ? 'selected' : ''}>${esc(status.code)}</option>
+                                `).join('')}
+                            </select>` :
+                            `<span class="readonly-text">${port.status}</span>`
                         }
                     </div>
                 </div>
 
-                <div class="detail-row">
-                    <div class="detail-label">OTDR Distance</div>
-                    <div class="detail-value">
-                        ${isEditing ? 
-                            `<input type="text" id="otdrDistanceValueInput" value="${port.otdrDistanceValue || ''}">` :
-                            `<span class="readonly-text">${port.otdrDistanceValue || ''}</span>`
-                        }
+                ${reservationHtml}
+
+                ${AppState.fieldDefs.map(def => `
+                    <div class="detail-row">
+                        <div class="detail-label">${esc(def.label)}${def.required ? ' <span class="required-mark" title="Required on ACTIVE ports">*</span>' : ''}</div>
+                        <div class="detail-value">
+                            ${isEditing ?
+                                this.renderFieldInput(def, port[def.column], `id="field-${esc(def.key)}" data-field-key="${esc(def.key)}"`) :
+                                `<span class="readonly-text">${esc(port[def.column] || '')}</span>`
+                            }
+                        </div>
                     </div>
-                </div>
+                `).join('')}
 
                 <div class="detail-row">
                     <div class="detail-label">Last Modified</div>
@@ -760,6 +1879,11 @@ class UIRenderer {
                         <button id="cancelBtn" class="btn btn-secondary">Cancel</button>
                         <button id="saveChangesBtn" class="btn btn-primary">Save Changes</button>
                         ` :
+                        !canEdit ?
+                        // Viewers only get a read-only notice
+                        `
+                        <p class="small-text">Read-only access. Ask an admin for technician rights to edit ports.</p>
+                        ` :
                         // Show Edit button when viewing
                         `
                         <div class="switch-actions">
@@ -779,7 +1903,11 @@ class UIRenderer {
                 </div>
             </div>
         `;
-        this.updateFieldControlsVisibility(isEditing, true);
+        this.updateFieldControlsVisibility(isEditing && activeTab === 'details', true);
+        this.initDetailTabs(port.id);
+        if (openFault) {
+            this.renderFaultPanel(port.id, openFault.id);
+        }
 
         // Add event listeners based on mode
         if (isEditing) {
@@ -797,7 +1925,7 @@ class UIRenderer {
                 this.renderPortDetails();
                 this.showMessage('Edit cancelled', 'info');
             });
-        } else {
+        } else if (canEdit) {
             // Edit button
             document.getElementById('editBtn').addEventListener('click', () => {
                 AppState.toggleEditMode();
@@ -847,8 +1975,9 @@ class UIRenderer {
 
                 const ok = AppState.swapPortData(targetId);
                 if (ok) {
-                    const saved = await DatabaseService.saveState(AppState.ports, AppState.displayCount, AppState.extraFieldDefs);
-                    if (!saved) {
+                    const swapped = AppState.ports.filter(p => p.id === AppState.selectedPortId || p.id === targetId);
+                    const result = await DatabaseService.savePorts(swapped);
+                    if (!result.ok) {
                         this.showMessage('Switch completed, but failed to save to MySQL.', 'info');
                         return;
                     }
@@ -862,22 +1991,713 @@ class UIRenderer {
         }
     }
 
+    static initDetailTabs(portId) {
+        const details = document.querySelector('.port-details');
+        if (!details) return;
+
+        const renderTab = (tab) => {
+            if (tab === 'history') this.renderPortHistory(portId);
+            if (tab === 'trace') this.renderPortTrace(portId);
+            if (tab === 'otdr') this.renderPortOtdr(portId);
+            if (tab === 'files') this.renderPortFiles(portId);
+        };
+
+        const showTab = (tab) => {
+            this.activeDetailTab = tab;
+            details.classList.toggle('history-open', tab === 'history');
+            details.classList.toggle('trace-open', tab === 'trace');
+            details.classList.toggle('otdr-open', tab === 'otdr');
+            details.classList.toggle('files-open', tab === 'files');
+            details.querySelectorAll('.detail-tab').forEach((button) => {
+                button.classList.toggle('active', button.dataset.tab === tab);
+            });
+            this.updateFieldControlsVisibility(AppState.isEditing && tab === 'details', true);
+            renderTab(tab);
+        };
+
+        details.querySelectorAll('.detail-tab').forEach((button) => {
+            button.addEventListener('click', () => showTab(button.dataset.tab));
+        });
+
+        renderTab(this.activeDetailTab);
+    }
+
+    static describeHistoryField(key) {
+        if (key.startsWith('customFields.')) return key.slice('customFields.'.length);
+        if (key === 'label') return 'Label';
+        if (key === 'displayCount') return 'Port count';
+        if (key === 'extraFieldDefs') return 'Additional fields';
+        if (key === 'link') return 'Link';
+        if (key === 'fault') return 'Fault';
+        if (key === 'otdrReading') return 'OTDR reading';
+        if (key === 'otdrTrace') return 'OTDR trace';
+        if (key === 'attachment') return 'File';
+        if (['description', 'resolution', 'assignee', 'comment'].includes(key)) {
+            return key.charAt(0).toUpperCase() + key.slice(1);
+        }
+        return this.portFieldLabels[key] || key;
+    }
+
+    static async renderPortHistory(portId) {
+        const panel = document.getElementById('portHistory');
+        if (!panel) return;
+        panel.innerHTML = '<div class="small-text">Loading history...</div>';
+
+        const items = await DatabaseService.loadPortHistory(portId);
+        // The user may have selected another port while the request was in flight
+        if (AppState.selectedPortId !== portId || !panel.isConnected) return;
+        if (!items) {
+            panel.innerHTML = '<div class="history-empty">Unable to load history right now.</div>';
+            return;
+        }
+        if (items.length === 0) {
+            panel.innerHTML = '<div class="history-empty">No recorded changes for this port yet.</div>';
+            return;
+        }
+
+        const esc = (value) => this.escapeHtml(value);
+        const actionLabels = {
+            'port.update': 'Updated',
+            'port.insert': 'Port added',
+            'port.delete': 'Port removed',
+            'port.restore': 'Restored from recycle bin',
+            'port.reservation_expired': 'Reservation expired',
+            'link.create': 'Linked',
+            'link.delete': 'Unlinked',
+            'fault.open': 'Fault opened',
+            'fault.assign': 'Fault assigned',
+            'fault.comment': 'Fault comment',
+            'fault.close': 'Fault closed',
+            'otdr.upload': 'OTDR trace uploaded',
+            'otdr.delete': 'OTDR trace deleted',
+            'attachment.upload': 'File attached',
+            'attachment.delete': 'File deleted'
+        };
+        const formatValue = (value) => {
+            if (value === null || value === undefined || value === '') return '<em>(empty)</em>';
+            return esc(typeof value === 'object' ? JSON.stringify(value) : value);
+        };
+
+        panel.innerHTML = items.map((item) => {
+            const changes = Object.entries(item.changes || {}).map(([key, change]) => `
+                <li>
+                    <span class="history-field">${esc(this.describeHistoryField(key))}:</span>
+                    <span class="history-before">${formatValue(change && change.before)}</span>
+                    &rarr;
+                    <span class="history-after">${formatValue(change && change.after)}</span>
+                </li>
+            `).join('');
+            return `
+                <article class="history-item">
+                    <div class="history-meta">
+                        <strong>${esc(new Date(item.createdAt).toLocaleString())}</strong>
+                        <span>${esc(actionLabels[item.action] || item.action)}</span>
+                        <span>by ${esc(item.actor || 'unknown')}</span>
+                    </div>
+                    ${changes ? `<ul class="history-changes">${changes}</ul>` : ''}
+                </article>
+            `;
+        }).join('');
+    }
+
+    static async renderPortTrace(portId) {
+        const panel = document.getElementById('portTrace');
+        if (!panel) return;
+        panel.innerHTML = '<div class="small-text">Tracing circuit...</div>';
+
+        const trace = await DatabaseService.loadPortTrace(portId);
+        if (AppState.selectedPortId !== portId || !panel.isConnected) return;
+        if (!trace) {
+            panel.innerHTML = '<div class="history-empty">Unable to trace this port right now.</div>';
+            return;
+        }
+
+        const esc = (value) => this.escapeHtml(value);
+        const hops = trace.hops || [];
+        const startIndex = hops.findIndex(hop => hop.start);
+        // Links touching this port: the one before it in the path and the one after it
+        const ownLinks = [];
+        const startHop = hops[startIndex];
+        const nextHop = hops[startIndex + 1];
+        if (startHop && startHop.link) ownLinks.push({ link: startHop.link, other: hops[startIndex - 1] });
+        if (nextHop && nextHop.link) ownLinks.push({ link: nextHop.link, other: nextHop });
+
+        const hopsHtml = hops.length <= 1
+            ? '<div class="history-empty">This port is not linked to any other port.</div>'
+            : `<ol class="trace-list">${hops.map((hop) => `
+                ${hop.link ? `<li class="trace-link">${esc(hop.link.type)}${hop.link.notes ? ` &middot; ${esc(hop.link.notes)}` : ''}</li>` : ''}
+                <li class="trace-hop ${hop.start ? 'current' : ''}">
+                    <a href="odf.html?region=${encodeURIComponent(hop.region)}&sub=${encodeURIComponent(hop.sub)}&port=${hop.portNumber}">
+                        ${esc(hop.region)} / ${esc(hop.sub)} &middot; Port ${hop.portNumber}
+                    </a>
+                    <span class="small-text">${esc(hop.label)} &middot; ${esc(hop.status)}${hop.destination ? ` &middot; ${esc(hop.destination)}` : ''}</span>
+                </li>
+            `).join('')}</ol>${trace.truncated ? '<div class="small-text">Trace stopped after too many hops.</div>' : ''}`;
+
+        const editHtml = !AppState.canEdit() ? '' : `
+            ${ownLinks.map(({ link, other }) => `
+                <div class="trace-own-link">
+                    <span>${esc(link.type)} to ${esc(other.region)} / ${esc(other.sub)} &middot; Port ${other.portNumber}</span>
+                    <button type="button" class="btn btn-danger" data-unlink="${link.id}">Remove</button>
+                </div>
+            `).join('')}
+            ${ownLinks.length < 2 ? `
+                <div class="trace-form">
+                    <input type="text" id="linkRegionInput" value="${esc(ODFContext.region)}" placeholder="Region">
+                    <input type="text" id="linkSubInput" value="${esc(ODFContext.sub)}" placeholder="Sub ODF">
+                    <input type="number" id="linkPortInput" min="1" placeholder="Port">
+                    <select id="linkTypeInput">
+                        <option value="jumper">Jumper</option>
+                        <option value="splice">Splice</option>
+                        <option value="patch">Patch</option>
+                    </select>
+                    <input type="text" id="linkNotesInput" placeholder="Notes (optional)">
+                    <button type="button" id="addLinkBtn" class="btn btn-primary">Link Port</button>
+                </div>
+            ` : ''}
+        `;
+
+        panel.innerHTML = hopsHtml + editHtml;
+
+        panel.querySelectorAll('[data-unlink]').forEach((button) => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Remove this link?')) return;
+                if (await DatabaseService.deleteLink(button.dataset.unlink)) {
+                    this.showMessage('Link removed', 'success');
+                } else {
+                    this.showMessage('Unable to remove link.', 'info');
+                }
+                this.renderPortTrace(portId);
+            });
+        });
+
+        const addBtn = document.getElementById('addLinkBtn');
+        if (addBtn) {
+            addBtn.addEventListener('click', async () => {
+                const target = {
+                    region: document.getElementById('linkRegionInput').value.trim(),
+                    sub: document.getElementById('linkSubInput').value.trim(),
+                    port: Number.parseInt(document.getElementById('linkPortInput').value, 10)
+                };
+                if (!target.region || !target.sub || !Number.isFinite(target.port)) {
+                    this.showMessage('Enter the region, sub ODF and port to link to.', 'info');
+                    return;
+                }
+                const result = await DatabaseService.createLink(
+                    portId,
+                    target,
+                    document.getElementById('linkTypeInput').value,
+                    document.getElementById('linkNotesInput').value
+                );
+                if (!result.ok) {
+                    this.showMessage(`Unable to link port: ${result.error}`, 'info');
+                    return;
+                }
+                this.showMessage('Ports linked', 'success');
+                this.renderPortTrace(portId);
+            });
+        }
+    }
+
+    static formatOtdrSummary(trace) {
+        const parts = [];
+        if (trace.wavelength) parts.push(`${trace.wavelength} nm`);
+        if (trace.pulseWidth) parts.push(`${trace.pulseWidth} ns`);
+        parts.push(trace.fiberLength === null ? 'no fibre end' : `end ${trace.fiberLength.toFixed(3)} km`);
+        if (trace.totalLoss !== null) parts.push(`loss ${trace.totalLoss.toFixed(2)} dB`);
+        if (trace.lengthChange !== null) parts.push(`${trace.lengthChange > 0 ? '+' : ''}${trace.lengthChange} m`);
+        return parts.join(' · ');
+    }
+
+    static async renderPortOtdr(portId, selectedTraceId = null) {
+        const panel = document.getElementById('portOtdr');
+        if (!panel) return;
+        panel.innerHTML = '<div class="small-text">Loading OTDR traces...</div>';
+
+        const data = await DatabaseService.loadOtdrTraces(portId);
+        if (AppState.selectedPortId !== portId || !panel.isConnected) return;
+        if (!data) {
+            panel.innerHTML = '<div class="history-empty">Unable to load OTDR traces right now.</div>';
+            return;
+        }
+
+        const esc = (value) => this.escapeHtml(value);
+        const items = data.items || [];
+        // Keep the grid marker in step with traces uploaded or deleted elsewhere
+        const latest = items[0] || null;
+        const flag = AppState.getOtdrFlag(portId);
+        if (Boolean(flag) !== Boolean(latest && latest.flagged)) {
+            AppState.setLatestOtdrTrace(portId, latest);
+            this.renderPortGrid();
+        }
+        const selectedId = items.some(item => item.id === selectedTraceId) ? selectedTraceId : (latest && latest.id);
+
+        const uploadHtml = !AppState.canEdit() ? '' : `
+            <div class="otdr-upload">
+                <input type="file" id="otdrFileInput" accept=".sor">
+                <button type="button" id="otdrUploadBtn" class="btn btn-primary">Upload Trace</button>
+            </div>
+        `;
+        const listHtml = items.length === 0
+            ? '<div class="history-empty">No OTDR traces for this port yet.</div>'
+            : `<ul class="otdr-list">${items.map(item => `
+                <li class="otdr-item ${item.id === selectedId ? 'current' : ''} ${item.flagged ? 'flagged' : ''}">
+                    <button type="button" data-trace="${item.id}">${esc(new Date(item.uploadedAt).toLocaleString())} &middot; ${esc(item.fileName)}</button>
+                    <span class="small-text">${esc(this.formatOtdrSummary(item))}${item.flagged ? ' &middot; <strong>Fibre end moved</strong>' : ''}</span>
+                </li>
+            `).join('')}</ul>`;
+
+        panel.innerHTML = `
+            ${uploadHtml}
+            <div class="small-text">A trace is flagged when its fibre end moves more than ${esc(data.toleranceMetres)} m from the previous trace at the same wavelength.</div>
+            ${listHtml}
+            <div id="otdrDetail"></div>
+        `;
+
+        panel.querySelectorAll('[data-trace]').forEach((button) => {
+            button.addEventListener('click', () => this.renderPortOtdr(portId, Number(button.dataset.trace)));
+        });
+
+        const uploadBtn = document.getElementById('otdrUploadBtn');
+        if (uploadBtn) {
+            uploadBtn.addEventListener('click', async () => {
+                const file = document.getElementById('otdrFileInput').files[0];
+                if (!file) {
+                    this.showMessage('Choose a .sor file first.', 'info');
+                    return;
+                }
+                uploadBtn.disabled = true;
+                const result = await DatabaseService.uploadOtdrTrace(portId, file);
+                uploadBtn.disabled = false;
+                if (!result.ok) {
+                    this.showMessage(`Unable to upload trace: ${result.error}`, 'info');
+                    return;
+                }
+                const { trace } = result;
+                this.showMessage(trace.flagged
+                    ? `Trace uploaded. The fibre end moved ${trace.lengthChange} m since the previous trace.`
+                    : 'Trace uploaded', trace.flagged ? 'info' : 'success');
+                this.renderPortOtdr(portId, trace.id);
+            });
+        }
+
+        if (selectedId) {
+            this.renderOtdrTrace(portId, selectedId);
+        }
+    }
+
+    static async renderOtdrTrace(portId, traceId) {
+        const detail = document.getElementById('otdrDetail');
+        if (!detail) return;
+        detail.innerHTML = '<div class="small-text">Loading trace...</div>';
+
+        const trace = await DatabaseService.loadOtdrTrace(traceId);
+        if (AppState.selectedPortId !== portId || !detail.isConnected) return;
+        if (!trace) {
+            detail.innerHTML = '<div class="history-empty">Unable to load this trace right now.</div>';
+            return;
+        }
+
+        const esc = (value) => this.escapeHtml(value);
+        const result = trace.result || {};
+        const events = Array.isArray(result.events) ? result.events : [];
+        const fixed = (value, digits) => (typeof value === 'number' ? value.toFixed(digits) : '');
+        const supplier = result.supplier || {};
+        const facts = [
+            ['Fibre end', trace.fiberLength === null ? 'Not found' : `${fixed(trace.fiberLength, 3)} km`],
+            ['Change', trace.lengthChange === null ? 'First trace at this wavelength' : `${trace.lengthChange > 0 ? '+' : ''}${trace.lengthChange} m`],
+            ['Total loss', trace.totalLoss === null ? '' : `${fixed(trace.totalLoss, 3)} dB`],
+            ['ORL', result.orl ? `${fixed(result.orl, 2)} dB` : ''],
+            ['Wavelength', trace.wavelength ? `${trace.wavelength} nm` : ''],
+            ['Pulse width', trace.pulseWidth ? `${trace.pulseWidth} ns` : ''],
+            ['Measured', result.measuredAt ? new Date(result.measuredAt).toLocaleString() : ''],
+            ['Instrument', [supplier.name, supplier.mainframe].filter(Boolean).join(' ')]
+        ].filter(([, value]) => value);
+
+        detail.innerHTML = `
+            ${trace.flagged ? `<div class="otdr-warning">The fibre end moved ${esc(trace.lengthChange)} m since the previous trace.</div>` : ''}
+            <canvas class="otdr-plot" width="560" height="220" aria-label="OTDR trace plot"></canvas>
+            <dl class="otdr-facts">${facts.map(([label, value]) => `<dt>${esc(label)}</dt><dd>${esc(value)}</dd>`).join('')}</dl>
+            ${events.length === 0 ? '<div class="small-text">No key events in this file.</div>' : `
+                <table class="otdr-events">
+                    <thead><tr><th>#</th><th>Distance (km)</th><th>Loss (dB)</th><th>Reflectance (dB)</th><th>Type</th></tr></thead>
+                    <tbody>${events.map(event => `
+                        <tr>
+                            <td>${esc(event.number)}</td>
+                            <td>${esc(fixed(event.distance, 3))}</td>
+                            <td>${esc(fixed(event.loss, 3))}</td>
+                            <td>${esc(event.reflectance === null ? '' : fixed(event.reflectance, 2))}</td>
+                            <td>${event.end ? 'Fibre end' : (event.reflective ? 'Reflective' : 'Non-reflective')}</td>
+                        </tr>
+                    `).join('')}</tbody>
+                </table>
+            `}
+            <div class="otdr-actions">
+                <a class="btn btn-outline" href="/api/otdr/${trace.id}/file">Download .sor</a>
+                ${AppState.canEdit() ? '<button type="button" id="otdrDeleteBtn" class="btn btn-danger">Delete Trace</button>' : ''}
+            </div>
+        `;
+        this.drawOtdrPlot(detail.querySelector('.otdr-plot'), result.plot || [], events);
+
+        const deleteBtn = document.getElementById('otdrDeleteBtn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', async () => {
+                if (!confirm(`Delete the trace ${trace.fileName}?`)) return;
+                if (await DatabaseService.deleteOtdrTrace(trace.id)) {
+                    this.showMessage('Trace deleted', 'success');
+                } else {
+                    this.showMessage('Unable to delete the trace.', 'info');
+                }
+                this.renderPortOtdr(portId);
+            });
+        }
+    }
+
+    // Level (dB) against distance (km), with a dashed line at each key event
+    static drawOtdrPlot(canvas, points, events) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const pad = { left: 44, right: 12, top: 12, bottom: 28 };
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = '#64748b';
+        if (points.length < 2) {
+            ctx.textAlign = 'center';
+            ctx.fillText('No trace data in this file', width / 2, height / 2);
+            return;
+        }
+
+        const levels = points.map(point => point[1]);
+        const xMax = points[points.length - 1][0] || 1;
+        const yMax = Math.max(...levels);
+        const yMin = Math.min(...levels);
+        const ySpan = yMax - yMin || 1;
+        const x = (km) => pad.left + (km / xMax) * (width - pad.left - pad.right);
+        const y = (dB) => pad.top + ((yMax - dB) / ySpan) * (height - pad.top - pad.bottom);
+
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, height - pad.bottom);
+        ctx.lineTo(width - pad.right, height - pad.bottom);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 4; i += 1) {
+            const km = (xMax * i) / 4;
+            ctx.fillText(`${km.toFixed(km < 10 ? 2 : 1)} km`, x(km), height - 10);
+        }
+        ctx.textAlign = 'right';
+        [yMax, yMin].forEach(dB => ctx.fillText(`${dB.toFixed(1)} dB`, pad.left - 4, y(dB) + 4));
+
+        ctx.strokeStyle = '#1f5fbf';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach(([km, dB], index) => {
+            if (index === 0) ctx.moveTo(x(km), y(dB));
+            else ctx.lineTo(x(km), y(dB));
+        });
+        ctx.stroke();
+
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'center';
+        events.filter(event => event.distance <= xMax).forEach((event) => {
+            ctx.strokeStyle = event.end ? '#e74c3c' : '#e67e22';
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x(event.distance), pad.top);
+            ctx.lineTo(x(event.distance), height - pad.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillText(String(event.number), x(event.distance), pad.top);
+        });
+    }
+
+    static formatFileSize(bytes) {
+        if (bytes >= 1000000) return `${(bytes / 1000000).toFixed(1)} MB`;
+        if (bytes >= 1000) return `${Math.round(bytes / 1000)} KB`;
+        return `${bytes} B`;
+    }
+
+    static async renderPortFiles(portId) {
+        const panel = document.getElementById('portFiles');
+        if (!panel) return;
+        panel.innerHTML = '<div class="small-text">Loading files...</div>';
+
+        const data = await DatabaseService.loadAttachments();
+        if (AppState.selectedPortId !== portId || !panel.isConnected) return;
+        if (!data) {
+            panel.innerHTML = '<div class="history-empty">Unable to load files right now.</div>';
+            return;
+        }
+
+        const esc = (value) => this.escapeHtml(value);
+        const canEdit = AppState.canEdit();
+        const items = data.items || [];
+        const card = (item) => {
+            const url = `/api/attachments/${item.id}/file`;
+            const preview = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(item.contentType)
+                ? `<img src="${url}" alt="${esc(item.caption || item.fileName)}" loading="lazy">`
+                : `<span class="attachment-type">${esc((item.fileName.split('.').pop() || 'file').toUpperCase())}</span>`;
+            return `
+                <figure class="attachment-card">
+                    <a class="attachment-preview" href="${url}" target="_blank" rel="noopener">${preview}</a>
+                    <figcaption>
+                        <strong title="${esc(item.fileName)}">${esc(item.fileName)}</strong>
+                        ${item.caption ? `<span>${esc(item.caption)}</span>` : ''}
+                        <span class="small-text">${esc(this.formatFileSize(item.size))} &middot; ${esc(new Date(item.uploadedAt).toLocaleDateString())} &middot; ${esc(item.uploadedBy || 'unknown')}</span>
+                    </figcaption>
+                    <div class="attachment-actions">
+                        <a class="btn btn-outline" href="${url}?download=1">Download</a>
+                        ${canEdit ? `<button type="button" class="btn btn-danger" data-delete-attachment="${item.id}" data-name="${esc(item.fileName)}">Delete</button>` : ''}
+                    </div>
+                </figure>
+            `;
+        };
+        const gallery = (list, empty) => (list.length === 0
+            ? `<div class="history-empty">${empty}</div>`
+            : `<div class="attachment-gallery">${list.map(card).join('')}</div>`);
+
+        const uploadHtml = !canEdit ? '' : `
+            <div class="attachment-upload">
+                <input type="file" id="attachmentFileInput" multiple accept="${esc((data.types || []).join(','))},image/*">
+                <input type="text" id="attachmentCaptionInput" maxlength="255" placeholder="Caption (optional)">
+                <select id="attachmentScopeInput">
+                    <option value="port">This port</option>
+                    <option value="odf">Whole sub ODF</option>
+                </select>
+                <button type="button" id="attachmentUploadBtn" class="btn btn-primary">Upload</button>
+            </div>
+            <div class="small-text">Photos, PDFs and documents up to ${esc(this.formatFileSize(data.maxBytes))} each.</div>
+        `;
+
+        panel.innerHTML = `
+            ${uploadHtml}
+            <h4>Port ${portId}</h4>
+            ${gallery(items.filter(item => item.portNumber === portId), 'No files for this port yet.')}
+            <h4>${esc(ODFContext.sub)}</h4>
+            ${gallery(items.filter(item => item.portNumber === null), 'No files for the whole sub ODF yet.')}
+        `;
+
+        panel.querySelectorAll('[data-delete-attachment]').forEach((button) => {
+            button.addEventListener('click', async () => {
+                if (!confirm(`Delete ${button.dataset.name}?`)) return;
+                if (await DatabaseService.deleteAttachment(button.dataset.deleteAttachment)) {
+                    this.showMessage('File deleted', 'success');
+                } else {
+                    this.showMessage('Unable to delete the file.', 'info');
+                }
+                this.renderPortFiles(portId);
+            });
+        });
+
+        const uploadBtn = document.getElementById('attachmentUploadBtn');
+        if (uploadBtn) {
+            uploadBtn.addEventListener('click', async () => {
+                const files = [...document.getElementById('attachmentFileInput').files];
+                if (files.length === 0) {
+                    this.showMessage('Choose one or more files first.', 'info');
+                    return;
+                }
+                const caption = document.getElementById('attachmentCaptionInput').value.trim();
+                const target = document.getElementById('attachmentScopeInput').value === 'port' ? portId : null;
+                uploadBtn.disabled = true;
+                const failed = [];
+                for (const file of files) {
+                    const result = await DatabaseService.uploadAttachment(file, target, caption);
+                    if (!result.ok) failed.push(`${file.name}: ${result.error}`);
+                }
+                uploadBtn.disabled = false;
+                if (failed.length > 0) {
+                    this.showMessage(`Unable to upload ${failed.join('; ')}`, 'info');
+                } else {
+                    this.showMessage(files.length === 1 ? 'File uploaded' : `${files.length} files uploaded`, 'success');
+                }
+                this.renderPortFiles(portId);
+            });
+        }
+    }
+
+    static async renderFaultPanel(portId, faultId) {
+        const panel = document.getElementById('portFault');
+        if (!panel) return;
+        panel.innerHTML = '<div class="small-text">Loading fault...</div>';
+
+        const [fault, assignees] = await Promise.all([
+            DatabaseService.loadFault(faultId),
+            AppState.canEdit() ? DatabaseService.loadFaultAssignees() : Promise.resolve([])
+        ]);
+        if (AppState.selectedPortId !== portId || !panel.isConnected) return;
+        if (!fault) {
+            panel.innerHTML = '<div class="history-empty">Unable to load the fault right now.</div>';
+            return;
+        }
+
+        const esc = (value) => this.escapeHtml(value);
+        const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+        const comments = fault.comments.map(comment => `
+            <li>
+                <div class="history-meta"><strong>${esc(comment.author || 'unknown')}</strong><span>${esc(formatDate(comment.createdAt))}</span></div>
+                <div>${esc(comment.body)}</div>
+            </li>
+        `).join('');
+        const assigneeOptions = assignees.map(user => `
+            <option value="${esc(user.username)}" ${user.username === fault.assignee ? 'selected' : ''}>${esc(user.displayName)}</option>
+        `).join('');
+
+        panel.innerHTML = `
+            <div class="fault-header">
+                <strong>Open fault #${fault.id}</strong>
+                <span class="small-text">Reported by ${esc(fault.reporter || 'unknown')} on ${esc(formatDate(fault.openedAt))}</span>
+            </div>
+            <div>${fault.description ? esc(fault.description) : '<em>No description</em>'}</div>
+            ${fault.otdrReading ? `<div class="small-text">OTDR reading: ${esc(fault.otdrReading)}</div>` : ''}
+            <div class="small-text">Assigned to: ${esc(fault.assignee || 'nobody')}</div>
+            ${comments ? `<ul class="fault-comments">${comments}</ul>` : ''}
+            ${AppState.canEdit() ? `
+                <div class="fault-form">
+                    <select id="faultAssigneeInput">
+                        <option value="">Unassigned</option>
+                        ${assigneeOptions}
+                    </select>
+                    <button type="button" id="faultAssignBtn" class="btn btn-secondary">Assign</button>
+                </div>
+                <div class="fault-form">
+                    <input type="text" id="faultCommentInput" placeholder="Add a comment">
+                    <button type="button" id="faultCommentBtn" class="btn btn-secondary">Comment</button>
+                </div>
+                <div class="fault-form">
+                    <input type="text" id="faultResolutionInput" placeholder="Resolution">
+                    <button type="button" id="faultCloseBtn" class="btn btn-success">Close Fault</button>
+                </div>
+            ` : ''}
+        `;
+
+        if (!AppState.canEdit()) return;
+
+        const run = async (action, payload, successMessage) => {
+            const result = await DatabaseService.faultAction(fault.id, action, payload);
+            if (!result.ok) {
+                this.showMessage(`Fault update failed: ${result.error}`, 'info');
+                return false;
+            }
+            this.showMessage(successMessage, 'success');
+            return true;
+        };
+
+        document.getElementById('faultAssignBtn').addEventListener('click', async () => {
+            const assignee = document.getElementById('faultAssigneeInput').value || null;
+            if (await run('assign', { assignee }, 'Fault assigned')) {
+                AppState.refreshOpenFaults();
+            }
+        });
+
+        document.getElementById('faultCommentBtn').addEventListener('click', async () => {
+            const body = document.getElementById('faultCommentInput').value.trim();
+            if (!body) return;
+            if (await run('comments', { body }, 'Comment added')) {
+                this.renderFaultPanel(portId, faultId);
+            }
+        });
+
+        document.getElementById('faultCloseBtn').addEventListener('click', async () => {
+            const resolution = document.getElementById('faultResolutionInput').value.trim();
+            if (!resolution && !confirm('Close this fault without a resolution note?')) return;
+            if (await run('close', { resolution }, 'Fault closed and port set to ACTIVE')) {
+                // Closing changes the port status on the server
+                await AppState.reloadFromServer();
+            }
+        });
+    }
+
+    // Hide the editing controls from viewers (the server enforces this too)
+    static applyPermissions() {
+        // Only admins change the layout or remove ports
+        ['layoutBtn', 'removePort'].forEach((id) => {
+            const el = document.getElementById(id);
+            if (el && !ODFSession.hasRole('admin')) el.style.display = 'none';
+        });
+        if (AppState.canEdit()) return;
+        ['addPort', 'removePort', 'importBtn', 'saveBtn', 'bulkHint'].forEach((id) => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = 'none';
+        });
+    }
+
     static updateFieldControlsVisibility(isEditing, hasPort) {
         const controls = document.getElementById('fieldControls');
         if (!controls) return;
         controls.hidden = !(hasPort && isEditing);
     }
 
+    // Ask for the new field's name and type, then add it to every port
     static addCustomField() {
         const port = AppState.getSelectedPort();
         if (!port) return;
-        const defs = Array.isArray(AppState.extraFieldDefs) ? AppState.extraFieldDefs.slice() : [];
-        const nextIndex = defs.length + 1;
-        defs.push(`Field ${nextIndex}`);
+        const defs = Array.isArray(AppState.extraFieldDefs) ? AppState.extraFieldDefs : [];
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal field-modal" role="dialog" aria-modal="true" aria-labelledby="fieldTitle">
+                <h3 id="fieldTitle">Add Field</h3>
+                <div class="layout-form">
+                    <label>Name <input type="text" id="newFieldLabel" value="Field ${defs.length + 1}"></label>
+                    <label>Type
+                        <select id="newFieldType">
+                            ${Object.entries(FIELD_TYPE_LABELS).map(([type, name]) => `<option value="${type}">${name}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label id="newFieldOptionsRow" hidden>Options (one per line) <textarea id="newFieldOptions" rows="4"></textarea></label>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="add">Add Field</button>
+                </div>
+            </div>
+        `;
+
+        const typeInput = overlay.querySelector('#newFieldType');
+        typeInput.addEventListener('change', () => {
+            overlay.querySelector('#newFieldOptionsRow').hidden = typeInput.value !== 'select';
+        });
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => overlay.remove());
+        overlay.querySelector('[data-action="add"]').addEventListener('click', () => {
+            const label = overlay.querySelector('#newFieldLabel').value.trim();
+            const type = typeInput.value;
+            const options = [...new Set(overlay.querySelector('#newFieldOptions').value
+                .split('\n')
+                .map(option => option.trim())
+                .filter(Boolean))];
+            if (!label) {
+                this.showMessage('Enter a field name.', 'info');
+                return;
+            }
+            if (defs.some(def => def.label === label)) {
+                this.showMessage(`There is already a field called "${label}".`, 'info');
+                return;
+            }
+            if (type === 'select' && options.length === 0) {
+                this.showMessage('A dropdown needs at least one option.', 'info');
+                return;
+            }
+            overlay.remove();
+            this.appendCustomField(type === 'select' ? { label, type, options } : { label, type });
+        });
+
+        document.body.appendChild(overlay);
+        overlay.querySelector('#newFieldLabel').select();
+    }
+
+    static appendCustomField(def) {
+        const port = AppState.getSelectedPort();
+        if (!port) return;
+        const defs = [...AppState.extraFieldDefs, def];
         AppState.extraFieldDefs = defs;
         AppState.ports = AppState.ports.map((p) => {
             const customFields = AppState.normalizeCustomFields(p, defs);
-            const newKey = defs[defs.length - 1];
+            const newKey = def.label;
             if (!Object.prototype.hasOwnProperty.call(customFields, newKey)) {
                 customFields[newKey] = '';
             }
@@ -896,7 +2716,7 @@ class UIRenderer {
             this.showMessage('No additional fields to remove.', 'info');
             return;
         }
-        const removedLabel = defs.pop();
+        const removedLabel = defs.pop().label;
         AppState.extraFieldDefs = defs;
         AppState.ports = AppState.ports.map((p) => {
             const customFields = AppState.normalizeCustomFields(p, defs);
@@ -910,11 +2730,12 @@ class UIRenderer {
         this.initAutoSaveListeners(port.id);
     }
 
+    // Labels can be renamed in place; the type stays with the field's position
     static collectExtraFieldDefsFromDom() {
         const labels = Array.from(document.querySelectorAll('.extra-field-label'));
         return labels.map((input, index) => {
             const value = input ? input.value.trim() : '';
-            return value || `Field ${index + 1}`;
+            return { ...toCustomFieldDef(AppState.extraFieldDefs[index] || ''), label: value || `Field ${index + 1}` };
         });
     }
 
@@ -936,7 +2757,7 @@ class UIRenderer {
         const oldDefs = Array.isArray(AppState.extraFieldDefs) ? AppState.extraFieldDefs : [];
         const same =
             newDefs.length === oldDefs.length &&
-            newDefs.every((label, index) => label === oldDefs[index]);
+            newDefs.every((def, index) => def.label === oldDefs[index].label);
         if (same) {
             return { defs: newDefs, ports: AppState.ports };
         }
@@ -944,8 +2765,8 @@ class UIRenderer {
         const remappedPorts = AppState.ports.map((port) => {
             const existing = AppState.normalizeCustomFields(port, oldDefs);
             const customFields = {};
-            newDefs.forEach((label, index) => {
-                const oldLabel = oldDefs[index];
+            newDefs.forEach(({ label }, index) => {
+                const oldLabel = oldDefs[index] && oldDefs[index].label;
                 if (oldLabel && Object.prototype.hasOwnProperty.call(existing, oldLabel)) {
                     customFields[label] = existing[oldLabel];
                 } else {
@@ -957,6 +2778,7 @@ class UIRenderer {
 
         AppState.extraFieldDefs = newDefs;
         AppState.ports = remappedPorts;
+        AppState.fieldDefsDirty = true;
         return { defs: newDefs, ports: remappedPorts };
     }
 
@@ -967,7 +2789,7 @@ class UIRenderer {
         const updatedPort = this.collectFormValues(port);
 
         // Update in state
-        const success = AppState.updatePort(updatedPort);
+        const success = AppState.updatePort(updatedPort, { fault: this.collectFaultDetails(port, updatedPort) });
         
         if (success) {
             // Re-render UI
@@ -988,40 +2810,166 @@ class UIRenderer {
         return {
             ...port,
             status: document.getElementById('statusInput').value,
-            destination: document.getElementById('destinationInput').value,
-            otdrDistance: document.getElementById('otdrDistanceInput').value,
-            fiberType: document.getElementById('fiberTypeInput').value,
-            connectorType: document.getElementById('connectorInput').value,
-            branchingJoint: document.getElementById('branchingJointInput').value,
-            cxLocation: document.getElementById('cxLocationInput').value,
-            otdrDistanceValue: document.getElementById('otdrDistanceValueInput').value,
+            ...Object.fromEntries(AppState.fieldDefs.map(def => [
+                def.column,
+                document.querySelector(`[data-field-key="${def.key}"]`).value
+            ])),
             // Always stamp current date when saving edits
             lastMaintained: today,
             notes: document.getElementById('notesInput').value,
+            reservedFor: document.getElementById('reservedForInput').value.trim(),
+            workOrder: document.getElementById('workOrderInput').value.trim(),
+            reservedUntil: document.getElementById('reservedUntilInput').value,
             customFields: AppState.normalizeCustomFields({ customFields }, defs)
         };
     }
 
+    // Ask for fault details when a port is switched to FAULTY; the server
+    // opens the fault ticket with them
+    // Describe port ids as compact ranges, e.g. "1-24, 30"
+    static formatPortRanges(ids) {
+        const ranges = [];
+        ids.forEach((id) => {
+            const last = ranges[ranges.length - 1];
+            if (last && id === last[1] + 1) {
+                last[1] = id;
+            } else {
+                ranges.push([id, id]);
+            }
+        });
+        return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+    }
+
+    static renderBulkEditor() {
+        const container = document.getElementById('portDetails');
+        const esc = (value) => this.escapeHtml(value);
+        const ids = AppState.bulkSelection;
+        const extraFieldDefs = Array.isArray(AppState.extraFieldDefs) ? AppState.extraFieldDefs : [];
+        const row = (label, key, input) => `
+            <div class="detail-row">
+                <div class="detail-label">
+                    <label class="bulk-field-toggle"><input type="checkbox" class="bulk-apply" data-key="${key}"> ${esc(label)}</label>
+                </div>
+                <div class="detail-value">${input}</div>
+            </div>
+        `;
+
+        container.innerHTML = `
+            <div class="port-details bulk-editor">
+                <div class="port-header">
+                    <div class="port-title">
+                        <h2>${ids.length} Ports Selected</h2>
+                        <p>Ports ${esc(this.formatPortRanges(ids))}</p>
+                    </div>
+                </div>
+                <p class="small-text">Tick the fields to change. They are set on every selected port; other fields are left as they are.</p>
+                ${row('Port Status', 'status', `
+                    <select data-bulk="status">
+                        ${AppState.statuses.map(status => `<option value="${esc(status.code)}" title="${esc(status.description)}">${esc(status.code)}</option>`).join('')}
+                    </select>`)}
+                ${row(this.portFieldLabels.reservedFor, 'reservedFor', '<input type="text" data-bulk="reservedFor">')}
+                ${row(this.portFieldLabels.workOrder, 'workOrder', '<input type="text" data-bulk="workOrder">')}
+                ${row(this.portFieldLabels.reservedUntil, 'reservedUntil', '<input type="date" data-bulk="reservedUntil">')}
+                ${row(this.portFieldLabels.fiberType, 'fiberType', '<input type="text" data-bulk="fiberType">')}
+                ${row(this.portFieldLabels.cxLocation, 'cxLocation', '<input type="text" data-bulk="cxLocation">')}
+                ${row('Notes', 'notes', '<textarea data-bulk="notes"></textarea>')}
+                ${extraFieldDefs.map((def, index) => row(def.label, `custom:${index}`, this.renderFieldInput(def, '', `data-bulk="custom:${index}"`))).join('')}
+                <div class="detail-actions">
+                    <button id="bulkClearBtn" class="btn btn-secondary">Clear Selection</button>
+                    <button id="bulkApplyBtn" class="btn btn-primary">Apply to ${ids.length} Ports</button>
+                </div>
+            </div>
+        `;
+        this.updateFieldControlsVisibility(false, false);
+
+        // Editing a value ticks its field
+        container.querySelectorAll('[data-bulk]').forEach((input) => {
+            const tick = () => {
+                const checkbox = container.querySelector(`.bulk-apply[data-key="${input.dataset.bulk}"]`);
+                if (checkbox) checkbox.checked = true;
+            };
+            input.addEventListener('input', tick);
+            input.addEventListener('change', tick);
+        });
+
+        document.getElementById('bulkClearBtn').addEventListener('click', () => {
+            AppState.clearBulkSelection();
+            this.renderPortGrid();
+            this.renderPortDetails();
+        });
+
+        document.getElementById('bulkApplyBtn').addEventListener('click', async () => {
+            const set = {};
+            const customFields = {};
+            container.querySelectorAll('.bulk-apply:checked').forEach((checkbox) => {
+                const key = checkbox.dataset.key;
+                const value = container.querySelector(`[data-bulk="${key}"]`).value;
+                if (key.startsWith('custom:')) {
+                    customFields[extraFieldDefs[Number(key.slice('custom:'.length))].label] = value;
+                } else {
+                    set[key] = value;
+                }
+            });
+            const hasCustom = Object.keys(customFields).length > 0;
+            if (Object.keys(set).length === 0 && !hasCustom) {
+                this.showMessage('Tick at least one field to change.', 'info');
+                return;
+            }
+            if (!confirm(`Apply these changes to ${ids.length} ports?`)) return;
+
+            // Stamp the date like a single-port edit does
+            set.lastMaintained = new Date().toISOString().split('T')[0];
+            const newlyFaulty = AppState.ports.find(p => ids.includes(p.id) && p.status !== 'FAULTY');
+            const fault = newlyFaulty ? this.collectFaultDetails(newlyFaulty, { status: set.status }) : null;
+
+            const applyBtn = document.getElementById('bulkApplyBtn');
+            applyBtn.disabled = true;
+            const result = await AppState.applyBulkUpdate({ set, customFields: hasCustom ? customFields : null, fault });
+            this.renderPortGrid();
+            this.renderPortDetails();
+            if (result.ok) {
+                this.showMessage(`Updated ${ids.length} ports.`, 'success');
+            } else {
+                this.showMessage(`Bulk update failed: ${result.error}`, 'error');
+            }
+        });
+    }
+
+    static collectFaultDetails(port, updatedPort) {
+        if (updatedPort.status !== 'FAULTY' || port.status === 'FAULTY') return null;
+        const description = prompt('Describe the fault on this port:', '');
+        const otdrReading = prompt('OTDR reading (optional):', '');
+        return { description: description || '', otdrReading: otdrReading || '' };
+    }
+
     static initAutoSaveListeners(portId) {
         const inputIds = [
             'statusInput',
-            'destinationInput',
-            'otdrDistanceInput',
-            'fiberTypeInput',
-            'connectorInput',
-            'branchingJointInput',
-            'cxLocationInput',
-            'otdrDistanceValueInput',
-            'notesInput'
+            ...AppState.fieldDefs.map(def => `field-${def.key}`),
+            'notesInput',
+            'reservedForInput',
+            'workOrderInput',
+            'reservedUntilInput'
         ];
 
+        const statusInput = document.getElementById('statusInput');
+        if (statusInput) {
+            statusInput.addEventListener('change', () => {
+                document.querySelectorAll('.reservation-row').forEach((row) => {
+                    row.hidden = statusInput.value !== 'RESERVED';
+                });
+            });
+        }
+
         const onChange = () => {
             clearTimeout(UIRenderer.autoSaveTimer);
             UIRenderer.autoSaveTimer = setTimeout(() => {
                 const port = AppState.getSelectedPort();
                 if (!port) return;
                 const updatedPort = this.collectFormValues(port);
-                AppState.updatePort(updatedPort, { keepEditing: true });
+                // Wait for the holder and expiry before saving a new reservation
+                if (updatedPort.status === 'RESERVED' && (!updatedPort.reservedFor || !updatedPort.reservedUntil)) return;
+                AppState.updatePort(updatedPort, { keepEditing: true, fault: this.collectFaultDetails(port, updatedPort) });
             }, 600);
         };
 
@@ -1080,6 +3028,11 @@ class UIRenderer {
             }
         });
 
+        const layoutBtn = document.getElementById('layoutBtn');
+        if (layoutBtn) {
+            layoutBtn.addEventListener('click', () => this.showLayoutDialog());
+        }
+
         // Remove Port button
         document.getElementById('removePort').addEventListener('click', () => {
             if (AppState.removePort()) {
@@ -1126,35 +3079,12 @@ class UIRenderer {
             const file = e.target.files[0];
             if (file) {
                 try {
-                    const data = await DatabaseService.importData(file);
-                    if (!data || !Array.isArray(data.ports) || data.ports.length === 0) {
+                    const sheet = await DatabaseService.importData(file);
+                    if (!sheet || !Array.isArray(sheet.rows) || sheet.rows.length === 0) {
                         this.showMessage('Import file has no valid port rows.', 'info');
                         return;
                     }
-
-                    const defs = Array.isArray(data.extraFieldDefs) ? data.extraFieldDefs : [];
-                    AppState.extraFieldDefs = defs;
-                    const normalized = AppState.normalizeLoadedPorts(data.ports, data.displayCount, defs);
-                    AppState.ports = normalized.ports;
-                    AppState.displayCount = normalized.displayCount;
-                    AppState.selectedPortId = AppState.resolveInitialPortId();
-                    AppState.isEditing = false;
-
-                    this.renderPortGrid();
-                    this.renderPortDetails();
-
-                    const saveResult = await DatabaseService.saveStateWithResult(
-                        AppState.ports,
-                        AppState.displayCount,
-                        AppState.extraFieldDefs
-                    );
-
-                    if (!saveResult.ok) {
-                        this.showMessage(`Import loaded, but MySQL save failed: ${saveResult.error}`, 'info');
-                        return;
-                    }
-
-                    this.showMessage('Data imported and saved to MySQL successfully!', 'success');
+                    this.showImportDialog(sheet);
                 } catch (error) {
                     const message = error && error.message ? error.message : 'Error importing file!';
                     this.showMessage(message, 'info');
@@ -1189,14 +3119,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (subtitleEl) {
         subtitleEl.textContent = `Region: ${ODFContext.region} | Sub ODF: ${ODFContext.sub}`;
     }
+    const mapLink = document.getElementById('mapLink');
+    if (mapLink) {
+        mapLink.href = `map.html?region=${encodeURIComponent(ODFContext.region)}&sub=${encodeURIComponent(ODFContext.sub)}`;
+    }
 
     // Initialize app state
+    await ODFSession.ready;
     await AppState.init();
     
     // Render UI
+    UIRenderer.renderLegend();
     UIRenderer.renderPortGrid();
     UIRenderer.renderPortDetails();
     UIRenderer.initEventListeners();
+    UIRenderer.applyPermissions();
+    if (!AppState.schemaLoaded) {
+        UIRenderer.showMessage('Unable to load the port fields or statuses. Reload the page to edit ports.', 'error');
+    }
     
     console.log('ODF Port Manager initialized successfully!');
     
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+// ========== CONFIGURATION ==========
+const SESSION_COOKIE = 'odf_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const COOKIE_SECURE = String(process.env.SESSION_COOKIE_SECURE || '').toLowerCase() === 'true';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'technician', 'admin'];
+
+// ========== PASSWORDS ==========
+const scrypt = (password, salt) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+
+/**
+ * Hash a password as `scrypt$<salt hex>$<key hex>`.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scrypt(String(password), Buffer.from(saltHex, 'hex'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Compared against when the username does not exist, so a failed login
+// takes the same time either way
+const DUMMY_HASH_PROMISE = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const badRequest = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+const validateRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw badRequest(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+};
+
+// ========== ROLES ==========
+/**
+ * True when the user's role is at least `role`.
+ */
+const hasRole = (user, role) =>
+  Boolean(user) && ROLES.includes(user.role) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// ========== COOKIES ==========
+const parseCookies = (header) => {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+};
+
+const buildCookie = (value, maxAgeSeconds) => [
+  `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${maxAgeSeconds}`,
+  ...(COOKIE_SECURE ? ['Secure'] : [])
+].join('; ');
+
+const sessionCookie = (token) => buildCookie(token, Math.floor(SESSION_TTL_MS / 1000));
+const clearSessionCookie = () => buildCookie('', 0);
+
+// ========== SESSIONS ==========
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const toPublicUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  displayName: row.display_name || row.username,
+  role: row.role
+});
+
+/**
+ * Check a username/password pair. Returns the user or null.
+ */
+async function authenticate(username, password) {
+  const [rows] = await pool.execute(
+    'SELECT id, username, display_name, password_hash, role FROM users WHERE username = ? AND disabled = 0',
+    [String(username || '').trim()]
+  );
+  if (rows.length === 0) {
+    await verifyPassword(password, await DUMMY_HASH_PROMISE);
+    return null;
+  }
+  const ok = await verifyPassword(password, rows[0].password_hash);
+  return ok ? toPublicUser(rows[0]) : null;
+}
+
+/**
+ * Start a session for a user. Returns the cookie token.
+ */
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  await pool.execute('DELETE FROM sessions WHERE expires_at < ?', [now]);
+  await pool.execute(
+    'INSERT INTO sessions (id, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+    [hashToken(token), userId, now, new Date(now.getTime() + SESSION_TTL_MS)]
+  );
+  return token;
+}
+
+/**
+ * Resolve the signed-in user from the request cookie, or null.
+ * Sessions slide: one past half its lifetime is extended on use.
+ */
+async function getSessionUser(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+
+  const sessionId = hashToken(token);
+  const now = new Date();
+  const [rows] = await pool.execute(
+    `SELECT u.id, u.username, u.display_name, u.role, s.expires_at
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.expires_at > ? AND u.disabled = 0`,
+    [sessionId, now]
+  );
+  if (rows.length === 0) return null;
+
+  const expiresAt = new Date(rows[0].expires_at);
+  if (expiresAt.getTime() - now.getTime() < SESSION_TTL_MS / 2) {
+    await pool.execute(
+      'UPDATE sessions SET expires_at = ? WHERE id = ?',
+      [new Date(now.getTime() + SESSION_TTL_MS), sessionId]
+    );
+  }
+  return toPublicUser(rows[0]);
+}
+
+async function destroySession(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return;
+  await pool.execute('DELETE FROM sessions WHERE id = ?', [hashToken(token)]);
+}
+
+// ========== USER ACCOUNTS ==========
+async function listUsers() {
+  const [rows] = await pool.query(
+    'SELECT id, username, display_name, role, disabled, created_at FROM users ORDER BY username'
+  );
+  return rows.map(row => ({
+    ...toPublicUser(row),
+    disabled: Boolean(row.disabled),
+    createdAt: row.created_at
+  }));
+}
+
+async function createUser({ username, password, role = 'viewer', displayName = '' }) {
+  const name = String(username || '').trim();
+  if (!/^[A-Za-z0-9._-]{3,64}$/.test(name)) {
+    throw badRequest('Username must be 3-64 characters: letters, digits, dot, dash or underscore');
+  }
+  validatePassword(password);
+  validateRole(role);
+
+  try {
+    const [result] = await pool.execute(
+      'INSERT INTO users (username, display_name, password_hash, role, created_at) VALUES (?, ?, ?, ?, ?)',
+      [name, String(displayName || '').trim(), await hashPassword(password), role, new Date()]
+    );
+    return { id: result.insertId, username: name, displayName: displayName || name, role };
+  } catch (err) {
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      throw badRequest(`User "${name}" already exists`, 409);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Update role, display name, password or disabled flag.
+ * Changing the password or disabling signs the user out everywhere.
+ */
+async function updateUser(id, { role, displayName, password, disabled }) {
+  const sets = [];
+  const params = [];
+
+  if (role !== undefined) {
+    validateRole(role);
+    sets.push('role = ?');
+    params.push(role);
+  }
+  if (displayName !== undefined) {
+    sets.push('display_name = ?');
+    params.push(String(displayName || '').trim());
+  }
+  if (password !== undefined) {
+    validatePassword(password);
+    sets.push('password_hash = ?');
+    params.push(await hashPassword(password));
+  }
+  if (disabled !== undefined) {
+    sets.push('disabled = ?');
+    params.push(disabled ? 1 : 0);
+  }
+  if (sets.length === 0) {
+    throw badRequest('Nothing to update');
+  }
+
+  const [result] = await pool.execute(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+  if (result.affectedRows === 0) return false;
+
+  if (password !== undefined || disabled) {
+    await pool.execute('DELETE FROM sessions WHERE user_id = ?', [id]);
+  }
+  return true;
+}
+
+async function findUserByName(username) {
+  const [rows] = await pool.execute(
+    'SELECT id, username, display_name, role FROM users WHERE username = ?',
+    [String(username || '').trim()]
+  );
+  return rows.length > 0 ? toPublicUser(rows[0]) : null;
+}
+
+/**
+ * On a fresh install, create the first admin from ADMIN_USERNAME and
+ * ADMIN_PASSWORD so someone can sign in.
+ */
+async function ensureBootstrapAdmin({ log = console.log } = {}) {
+  const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM users');
+  if (Number(count) > 0) return;
+
+  const password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    log('No user accounts exist. Set ADMIN_PASSWORD or run `node auth.js add <username> admin` to create one.');
+    return;
+  }
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  await createUser({ username, password, role: 'admin', displayName: 'Administrator' });
+  log(`Created admin account "${username}".`);
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  authenticate,
+  createSession,
+  getSessionUser,
+  destroySession,
+  sessionCookie,
+  clearSessionCookie,
+  verifyPassword,
+  listUsers,
+  createUser,
+  updateUser,
+  findUserByName,
+  ensureBootstrapAdmin
+};
+
+// ========== CLI ==========
+// node auth.js list
+// node auth.js add <username> <role>     (password from ODF_PASSWORD or prompt)
+// node auth.js passwd <username>
+// node auth.js role <username> <role>
+if (require.main === module) {
+  const readline = require('readline');
+  const [command, username, role] = process.argv.slice(2);
+
+  const askPassword = () => {
+    if (process.env.ODF_PASSWORD) return Promise.resolve(process.env.ODF_PASSWORD);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+      rl.question('Password: ', answer => {
+        rl.close();
+        resolve(answer);
+      });
+    });
+  };
+
+  const requireUser = async (name) => {
+    const user = await findUserByName(name);
+    if (!user) throw new Error(`User "${name}" not found`);
+    return user;
+  };
+
+  (async () => {
+    try {
+      if (command === 'list') {
+        const users = await listUsers();
+        users.forEach(u => console.log(`${u.username}\t${u.role}${u.disabled ? '\t(disabled)' : ''}`));
+      } else if (command === 'add' && username) {
+        const user = await createUser({ username, password: await askPassword(), role: role || 'viewer' });
+        console.log(`Created ${user.role} "${user.username}".`);
+      } else if (command === 'passwd' && username) {
+        const user = await requireUser(username);
+        await updateUser(user.id, { password: await askPassword() });
+        console.log(`Password updated for "${user.username}".`);
+      } else if (command === 'role' && username && role) {
+        const user = await requireUser(username);
+        await updateUser(user.id, { role });
+        console.log(`"${user.username}" is now ${role}.`);
+      } else {
+        console.error('Usage: node auth.js list | add <username> <role> | passwd <username> | role <username> <role>');
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(error.message || error);
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
@@ -0,0 +1,15 @@
+const mysql = require('mysql2/promise');
+
+// MySQL connection pool – adjust credentials if needed
+const pool = mysql.createPool({
+  host: process.env.DB_HOST || '127.0.0.1',
+  port: Number(process.env.DB_PORT) || 3306,
+  user: process.env.DB_USER || 'Username',
+  password: process.env.DB_PASSWORD || 'Password',
+  database: process.env.DB_NAME || 'odf_manager',
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0
+});
+
+module.exports = { pool };
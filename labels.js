@@ -0,0 +1,25 @@
+// ========== PORT LABELS ==========
+// Loaded by server.js and by the ODF page (before app.js) so both name ports
+// the same way.
+
+/**
+ * Port label for port `n` under `layout`: {panel}, {tray} and {port} are
+ * two-digit numbers, {n} the three-digit port number. Without a layout the
+ * flat PORT-001 scheme is used.
+ */
+const portLabel = (layout, n) => {
+  if (!layout) return `PORT-${String(n).padStart(3, '0')}`;
+  const tray = Math.ceil(n / layout.portsPerTray);
+  const values = {
+    panel: layout.traysPerPanel ? Math.ceil(tray / layout.traysPerPanel) : 1,
+    tray,
+    port: ((n - 1) % layout.portsPerTray) + 1
+  };
+  return layout.labelPattern
+    .replace(/\{(panel|tray|port)\}/g, (_, key) => String(values[key]).padStart(2, '0'))
+    .replace(/\{n\}/g, String(n).padStart(3, '0'));
+};
+
+if (typeof module !== 'undefined') {
+  module.exports = { portLabel };
+}
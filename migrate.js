@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+
+// ========== CONFIGURATION ==========
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const LOCK_NAME = 'odf_manager_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// ========== SCHEMA HELPERS ==========
+// Passed to every migration so upgrades of older installs can check what
+// already exists before altering it (MySQL has no ADD INDEX IF NOT EXISTS).
+const createSchemaHelpers = (connection) => ({
+  async tableExists(table) {
+    const [rows] = await connection.execute(
+      `SELECT 1 FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+      [table]
+    );
+    return rows.length > 0;
+  },
+
+  async columnExists(table, column) {
+    const [rows] = await connection.execute(
+      `SELECT 1 FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  },
+
+  /**
+   * Returns the name of an index covering exactly `columns` (in order), or null.
+   */
+  async findIndex(table, columns) {
+    const [rows] = await connection.execute(
+      `SELECT INDEX_NAME AS name, COLUMN_NAME AS col, SEQ_IN_INDEX AS seq
+       FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+       ORDER BY INDEX_NAME, SEQ_IN_INDEX`,
+      [table]
+    );
+    const byName = new Map();
+    for (const row of rows) {
+      if (!byName.has(row.name)) byName.set(row.name, []);
+      byName.get(row.name).push(row.col);
+    }
+    for (const [name, cols] of byName) {
+      if (cols.length === columns.length && cols.every((col, i) => col === columns[i])) {
+        return name;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Returns { name, deleteRule } for the foreign key on table.column, or null.
+   */
+  async findForeignKey(table, column) {
+    const [rows] = await connection.execute(
+      `SELECT k.CONSTRAINT_NAME AS name, r.DELETE_RULE AS deleteRule
+       FROM information_schema.KEY_COLUMN_USAGE k
+       JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+         ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+       WHERE k.TABLE_SCHEMA = DATABASE() AND k.TABLE_NAME = ? AND k.COLUMN_NAME = ?
+         AND k.REFERENCED_TABLE_NAME IS NOT NULL`,
+      [table, column]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+});
+
+// ========== MIGRATION FILES ==========
+/**
+ * Load migration modules from ./migrations. Files are named
+ * `<version>_<name>.js` and export an async `up(connection, schema)`.
+ */
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file));
+
+  const migrations = files.map(file => {
+    const [versionText, ...nameParts] = path.basename(file, '.js').split('_');
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up() function`);
+    }
+    return {
+      version: Number(versionText),
+      name: nameParts.join('_'),
+      up: migration.up
+    };
+  });
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+       version INT UNSIGNED NOT NULL PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function getAppliedVersions(connection) {
+  const [rows] = await connection.query(`SELECT version FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+  return new Set(rows.map(r => Number(r.version)));
+}
+
+// ========== RUNNER ==========
+/**
+ * Apply every pending migration in version order.
+ * A named lock keeps two server processes from migrating at the same time.
+ */
+async function runMigrations(pool, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  const connection = await pool.getConnection();
+  let locked = false;
+  try {
+    const [[lockRow]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (!lockRow || Number(lockRow.acquired) !== 1) {
+      throw new Error('Timed out waiting for the schema migration lock');
+    }
+    locked = true;
+
+    await ensureMigrationsTable(connection);
+    const appliedVersions = await getAppliedVersions(connection);
+    const pending = migrations.filter(m => !appliedVersions.has(m.version));
+    const schema = createSchemaHelpers(connection);
+
+    const applied = [];
+    for (const migration of pending) {
+      log(`Applying migration ${migration.version}_${migration.name}...`);
+      await migration.up(connection, schema);
+      await connection.execute(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, applied_at) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, new Date()]
+      );
+      applied.push(migration.version);
+    }
+
+    const versions = [...appliedVersions, ...applied];
+    return {
+      applied,
+      version: versions.length > 0 ? Math.max(...versions) : 0
+    };
+  } finally {
+    if (locked) {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+    }
+    connection.release();
+  }
+}
+
+/**
+ * List every known migration with whether it has been applied.
+ */
+async function getMigrationStatus(pool) {
+  const migrations = loadMigrations();
+  const connection = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(connection);
+    const appliedVersions = await getAppliedVersions(connection);
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: appliedVersions.has(m.version)
+    }));
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = { runMigrations, getMigrationStatus };
+
+// ========== CLI ==========
+// node migrate.js          apply pending migrations
+// node migrate.js status   list migrations and whether they are applied
+if (require.main === module) {
+  const { pool } = require('./db');
+  const command = process.argv[2] || 'up';
+
+  (async () => {
+    try {
+      if (command === 'status') {
+        const status = await getMigrationStatus(pool);
+        status.forEach(m => {
+          console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`);
+        });
+      } else if (command === 'up') {
+        const result = await runMigrations(pool);
+        console.log(result.applied.length > 0
+          ? `Applied ${result.applied.length} migration(s). Schema version: ${result.version}`
+          : `Schema is up to date. Schema version: ${result.version}`);
+      } else {
+        console.error(`Unknown command "${command}". Use "up" or "status".`);
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Migration failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
@@ -0,0 +1,82 @@
+/**
+ * Base tables used by server.js. Installs created by hand before migrations
+ * existed are upgraded in place: missing indexes are added and the ports
+ * foreign key is (re)created with ON DELETE CASCADE.
+ */
+async function up(connection, schema) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS odf_entries (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       region VARCHAR(100) NOT NULL,
+       sub VARCHAR(150) NOT NULL,
+       displayCount INT UNSIGNED NOT NULL DEFAULT 96,
+       lastSave DATETIME NULL,
+       extraFieldDefs JSON NULL,
+       UNIQUE KEY uq_odf_entries_region_sub (region, sub)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS ports (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       odf_id INT UNSIGNED NOT NULL,
+       port_number INT UNSIGNED NOT NULL,
+       label VARCHAR(50) NOT NULL DEFAULT '',
+       status VARCHAR(20) NOT NULL DEFAULT 'INACTIVE',
+       fiberType VARCHAR(255) NOT NULL DEFAULT '',
+       connectorType VARCHAR(255) NOT NULL DEFAULT '',
+       destination VARCHAR(255) NOT NULL DEFAULT '',
+       otdrDistance VARCHAR(255) NOT NULL DEFAULT '',
+       otdrDistanceValue VARCHAR(255) NOT NULL DEFAULT '',
+       lastMaintained VARCHAR(20) NOT NULL DEFAULT '',
+       branchingJoint VARCHAR(255) NOT NULL DEFAULT '',
+       cxLocation VARCHAR(255) NOT NULL DEFAULT '',
+       notes TEXT NULL,
+       customFields JSON NULL,
+       UNIQUE KEY uq_ports_odf_port (odf_id, port_number),
+       CONSTRAINT fk_ports_odf FOREIGN KEY (odf_id)
+         REFERENCES odf_entries (id) ON DELETE CASCADE
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS subregions (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       region VARCHAR(100) NOT NULL,
+       sub VARCHAR(150) NOT NULL,
+       UNIQUE KEY uq_subregions_region_sub (region, sub)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  // ----- Upgrade pre-existing tables -----
+  if (!(await schema.findIndex('odf_entries', ['region', 'sub']))) {
+    await connection.query('ALTER TABLE odf_entries ADD UNIQUE KEY uq_odf_entries_region_sub (region, sub)');
+  }
+
+  if (!(await schema.findIndex('subregions', ['region', 'sub']))) {
+    await connection.query('ALTER TABLE subregions ADD UNIQUE KEY uq_subregions_region_sub (region, sub)');
+  }
+
+  if (!(await schema.findIndex('ports', ['odf_id', 'port_number']))) {
+    await connection.query('ALTER TABLE ports ADD UNIQUE KEY uq_ports_odf_port (odf_id, port_number)');
+  }
+
+  const foreignKey = await schema.findForeignKey('ports', 'odf_id');
+  if (!foreignKey || foreignKey.deleteRule !== 'CASCADE') {
+    if (foreignKey) {
+      await connection.query(`ALTER TABLE ports DROP FOREIGN KEY \`${foreignKey.name}\``);
+    }
+    // Rows left behind by earlier manual deletes would block the constraint
+    await connection.query(
+      `DELETE p FROM ports p
+       LEFT JOIN odf_entries o ON o.id = p.odf_id
+       WHERE o.id IS NULL`
+    );
+    await connection.query(
+      `ALTER TABLE ports ADD CONSTRAINT fk_ports_odf FOREIGN KEY (odf_id)
+       REFERENCES odf_entries (id) ON DELETE CASCADE`
+    );
+  }
+}
+
+module.exports = { up };
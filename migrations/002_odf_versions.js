@@ -0,0 +1,14 @@
+/**
+ * Version counters for optimistic concurrency. odf_entries.version is bumped
+ * on every save; ports.version records the ODF version that last changed the
+ * port, so per-port saves only conflict when that port was edited meanwhile.
+ */
+async function up(connection, schema) {
+  for (const table of ['odf_entries', 'ports']) {
+    if (!(await schema.columnExists(table, 'version'))) {
+      await connection.query(`ALTER TABLE ${table} ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 0`);
+    }
+  }
+}
+
+module.exports = { up };
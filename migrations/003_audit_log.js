@@ -0,0 +1,21 @@
+/**
+ * Audit trail for every save path. `changes` holds { field: { before, after } }.
+ */
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS audit_log (
+       id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       created_at DATETIME(3) NOT NULL,
+       actor VARCHAR(100) NOT NULL DEFAULT '',
+       action VARCHAR(40) NOT NULL,
+       region VARCHAR(100) NOT NULL,
+       sub VARCHAR(150) NOT NULL DEFAULT '',
+       port_number INT UNSIGNED NULL,
+       changes JSON NULL,
+       KEY idx_audit_odf_port (region, sub, port_number, created_at),
+       KEY idx_audit_created (created_at)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,32 @@
+/**
+ * Local user accounts and cookie sessions. Session ids are stored as
+ * SHA-256 hashes of the cookie token, never the token itself.
+ */
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS users (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       username VARCHAR(64) NOT NULL,
+       display_name VARCHAR(100) NOT NULL DEFAULT '',
+       password_hash VARCHAR(255) NOT NULL,
+       role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+       disabled TINYINT(1) NOT NULL DEFAULT 0,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       UNIQUE KEY uq_users_username (username)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS sessions (
+       id CHAR(64) NOT NULL PRIMARY KEY,
+       user_id INT UNSIGNED NOT NULL,
+       created_at DATETIME NOT NULL,
+       expires_at DATETIME NOT NULL,
+       KEY idx_sessions_expires (expires_at),
+       CONSTRAINT fk_sessions_user FOREIGN KEY (user_id)
+         REFERENCES users (id) ON DELETE CASCADE
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+module.exports = { up };
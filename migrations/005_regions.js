@@ -0,0 +1,48 @@
+/**
+ * Regions (exchange areas) that were hardcoded in index.html and
+ * subregions.html. `name` is the value stored in odf_entries.region and
+ * subregions.region; `code` is the short exchange code.
+ */
+const SEED_REGIONS = [
+  ['AB', 'Alawwa (AB)'],
+  ['DMB', 'Dambadeniya (DMB)'],
+  ['GGM', 'Galgamuwa (GGM)'],
+  ['GU', 'Giriulla (GU)'],
+  ['HZ', 'Hettipola (HZ)'],
+  ['IBG', 'Ibbagamuwa (IBG)'],
+  ['KG', 'Kurunegala (KG)'],
+  ['KLY', 'Kuliyapitiya (KLY)'],
+  ['MG', 'Mawathagama (MG)'],
+  ['MQ', 'Mahawa (MQ)'],
+  ['NC', 'Narammala (NC)'],
+  ['NDP', 'Nikadalupotha (NDP)'],
+  ['NK', 'Nikaweratiya (NK)'],
+  ['PL', 'Pannala (PL)'],
+  ['PTR', 'Pothuhera (PTR)'],
+  ['PW', 'Polgahawela (PW)'],
+  ['RGM', 'Ridigama (RGM)'],
+  // The cabin had no exchange code in the original page
+  ['TC', 'Thulhiriya Cabin'],
+  ['WP', 'Wariyapola (WP)']
+];
+
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS regions (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       code VARCHAR(20) NOT NULL,
+       name VARCHAR(100) NOT NULL,
+       sort_order INT NOT NULL DEFAULT 0,
+       UNIQUE KEY uq_regions_code (code),
+       UNIQUE KEY uq_regions_name (name)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  const values = SEED_REGIONS.map(([code, name], index) => [code, name, (index + 1) * 10]);
+  await connection.query(
+    'INSERT IGNORE INTO regions (code, name, sort_order) VALUES ?',
+    [values]
+  );
+}
+
+module.exports = { up };
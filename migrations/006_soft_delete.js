@@ -0,0 +1,47 @@
+/**
+ * Soft delete for ODF entries and ports. Deleted rows keep their data with
+ * `deleted_at` set until purged from the recycle bin.
+ *
+ * `live` is 1 for rows in use and NULL once deleted. The unique keys include
+ * it, so any number of deleted copies can sit next to the live row with the
+ * same region/sub or port number (NULLs never collide in a unique index).
+ */
+async function up(connection, schema) {
+  const addSoftDelete = async (table) => {
+    if (await schema.columnExists(table, 'deleted_at')) return;
+    await connection.query(
+      `ALTER TABLE ${table}
+       ADD COLUMN deleted_at DATETIME(3) NULL,
+       ADD COLUMN deleted_by VARCHAR(100) NULL,
+       ADD COLUMN live TINYINT AS (IF(deleted_at IS NULL, 1, NULL)) STORED,
+       ADD KEY idx_${table}_deleted (deleted_at)`
+    );
+  };
+
+  await addSoftDelete('odf_entries');
+  await addSoftDelete('ports');
+
+  // Add the new keys before dropping the old ones: fk_ports_odf needs an
+  // index starting with odf_id at all times.
+  if (!(await schema.findIndex('odf_entries', ['region', 'sub', 'live']))) {
+    await connection.query(
+      'ALTER TABLE odf_entries ADD UNIQUE KEY uq_odf_entries_region_sub_live (region, sub, live)'
+    );
+  }
+  if (!(await schema.findIndex('ports', ['odf_id', 'port_number', 'live']))) {
+    await connection.query(
+      'ALTER TABLE ports ADD UNIQUE KEY uq_ports_odf_port_live (odf_id, port_number, live)'
+    );
+  }
+
+  const odfKey = await schema.findIndex('odf_entries', ['region', 'sub']);
+  if (odfKey) {
+    await connection.query(`ALTER TABLE odf_entries DROP INDEX \`${odfKey}\``);
+  }
+  const portKey = await schema.findIndex('ports', ['odf_id', 'port_number']);
+  if (portKey) {
+    await connection.query(`ALTER TABLE ports DROP INDEX \`${portKey}\``);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,23 @@
+/**
+ * Connections between ports (jumpers, splices, patches), possibly on
+ * different ODFs. Each link is stored once with port_a_id < port_b_id.
+ */
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS port_links (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       port_a_id INT UNSIGNED NOT NULL,
+       port_b_id INT UNSIGNED NOT NULL,
+       link_type VARCHAR(20) NOT NULL DEFAULT 'jumper',
+       notes VARCHAR(255) NOT NULL DEFAULT '',
+       created_at DATETIME NOT NULL,
+       created_by VARCHAR(100) NOT NULL DEFAULT '',
+       UNIQUE KEY uq_port_links_pair (port_a_id, port_b_id),
+       KEY idx_port_links_b (port_b_id),
+       CONSTRAINT fk_port_links_a FOREIGN KEY (port_a_id) REFERENCES ports (id) ON DELETE CASCADE,
+       CONSTRAINT fk_port_links_b FOREIGN KEY (port_b_id) REFERENCES ports (id) ON DELETE CASCADE
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+module.exports = { up };
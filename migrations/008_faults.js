@@ -0,0 +1,40 @@
+/**
+ * Fault tickets for FAULTY ports, with a comment thread per fault.
+ * `open_key` is 1 while the fault is open and NULL once closed, so the
+ * unique key allows one open fault per port next to any number of closed ones.
+ */
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS faults (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       port_id INT UNSIGNED NOT NULL,
+       status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+       reporter VARCHAR(100) NOT NULL DEFAULT '',
+       description TEXT NULL,
+       otdr_reading VARCHAR(255) NOT NULL DEFAULT '',
+       assignee VARCHAR(100) NULL,
+       opened_at DATETIME(3) NOT NULL,
+       closed_at DATETIME(3) NULL,
+       closed_by VARCHAR(100) NULL,
+       resolution TEXT NULL,
+       open_key TINYINT AS (IF(status = 'OPEN', 1, NULL)) STORED,
+       UNIQUE KEY uq_faults_port_open (port_id, open_key),
+       KEY idx_faults_status (status, opened_at),
+       CONSTRAINT fk_faults_port FOREIGN KEY (port_id) REFERENCES ports (id) ON DELETE CASCADE
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS fault_comments (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       fault_id INT UNSIGNED NOT NULL,
+       author VARCHAR(100) NOT NULL DEFAULT '',
+       body TEXT NOT NULL,
+       created_at DATETIME(3) NOT NULL,
+       KEY idx_fault_comments_fault (fault_id, created_at),
+       CONSTRAINT fk_fault_comments_fault FOREIGN KEY (fault_id) REFERENCES faults (id) ON DELETE CASCADE
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+/**
+ * Full-text index for global search over the port text columns.
+ * `custom_text` holds the customFields values (not the labels) as a stored
+ * generated column so the index stays in step with every save.
+ */
+async function up(connection, schema) {
+  if (!(await schema.columnExists('ports', 'custom_text'))) {
+    await connection.query(
+      `ALTER TABLE ports
+       ADD COLUMN custom_text TEXT AS (JSON_UNQUOTE(JSON_EXTRACT(customFields, '$.*'))) STORED`
+    );
+  }
+
+  await connection.query(
+    `ALTER TABLE ports ADD FULLTEXT KEY ft_ports_search
+       (label, status, destination, otdrDistance, otdrDistanceValue,
+        branchingJoint, cxLocation, notes, fiberType, connectorType, custom_text)`
+  );
+}
+
+module.exports = { up };
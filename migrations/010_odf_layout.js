@@ -0,0 +1,11 @@
+/**
+ * Physical layout per ODF: tray count, ports per tray, trays per panel and
+ * the port label pattern. NULL keeps the flat PORT-001 numbering.
+ */
+async function up(connection, schema) {
+  if (!(await schema.columnExists('odf_entries', 'layout'))) {
+    await connection.query('ALTER TABLE odf_entries ADD COLUMN layout JSON NULL');
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,51 @@
+/**
+ * Field definitions for the port text columns, which the UI had been using
+ * under different names (fiberType holds the CEA/OLT port, connectorType the
+ * customer location and so on). Each field gets a proper key and label; the
+ * storage column stays the same so existing data and API payloads still work.
+ *
+ * `region` is '' for the global definition; a row with a region name
+ * overrides the global one for that region.
+ *
+ * The old "Single-mode OS2" / "LC/UPC" column defaults were placeholders from
+ * the original port template, so new ports start empty. Existing values are
+ * left alone: they cannot be told apart from real entries.
+ */
+const SEED_FIELDS = [
+  ['customer', 'Customer'],
+  ['cctNumber', 'CCT Number'],
+  ['ceaOltPort', 'CEA/OLT port'],
+  ['customerLocation', 'Customer Location'],
+  ['customerGps', 'Customer GPS'],
+  ['liveBranchingJoint', 'Live Branching joint'],
+  ['otdrReading', 'OTDR Distance']
+];
+
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS field_definitions (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       region VARCHAR(100) NOT NULL DEFAULT '',
+       field_key VARCHAR(64) NOT NULL,
+       label VARCHAR(100) NOT NULL,
+       type VARCHAR(20) NOT NULL DEFAULT 'text',
+       required TINYINT(1) NOT NULL DEFAULT 0,
+       allowed_values JSON NULL,
+       sort_order INT NOT NULL DEFAULT 0,
+       UNIQUE KEY uq_field_definitions_region_key (region, field_key)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await connection.query(
+    `INSERT IGNORE INTO field_definitions (region, field_key, label, sort_order) VALUES ?`,
+    [SEED_FIELDS.map(([key, label], index) => ['', key, label, (index + 1) * 10])]
+  );
+
+  await connection.query(
+    `ALTER TABLE ports
+     ALTER COLUMN fiberType SET DEFAULT '',
+     ALTER COLUMN connectorType SET DEFAULT ''`
+  );
+}
+
+module.exports = { up };
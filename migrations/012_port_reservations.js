@@ -0,0 +1,19 @@
+/**
+ * Port reservations: a port promised to a pending connection has status
+ * RESERVED plus the holder's name, a work order reference and an expiry date
+ * (YYYY-MM-DD, like lastMaintained). The columns are only filled while the
+ * port is RESERVED.
+ */
+async function up(connection, schema) {
+  if (!(await schema.columnExists('ports', 'reservedFor'))) {
+    await connection.query(
+      `ALTER TABLE ports
+       ADD COLUMN reservedFor VARCHAR(255) NOT NULL DEFAULT '',
+       ADD COLUMN workOrder VARCHAR(100) NOT NULL DEFAULT '',
+       ADD COLUMN reservedUntil VARCHAR(20) NOT NULL DEFAULT '',
+       ADD KEY idx_ports_reservation (status, reservedUntil)`
+    );
+  }
+}
+
+module.exports = { up };
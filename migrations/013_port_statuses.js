@@ -0,0 +1,53 @@
+/**
+ * Port statuses as data instead of the fixed ACTIVE/INACTIVE/FAULTY set.
+ * Each status has a label, a grid colour, a description and the statuses a
+ * port may move to from it (`transitions`, a JSON array of codes). Ports keep
+ * storing the code in ports.status.
+ *
+ * `capacity` is what the status means for the statistics: `in_use`, `free`,
+ * `reserved` (promised or planned, not free to hand out) or `unavailable`
+ * (cannot be used until repaired or brought back).
+ *
+ * ACTIVE, INACTIVE, FAULTY and RESERVED have server behaviour attached
+ * (required fields, fault tickets, reservations) and cannot be deleted.
+ */
+const SEED_STATUSES = [
+  ['ACTIVE', 'Active', '#2ecc71', 'In service for a customer.',
+    ['INACTIVE', 'FAULTY', 'TESTING', 'DAMAGED', 'DECOMMISSIONED'], 'in_use'],
+  ['INACTIVE', 'Inactive', '#95a5a6', 'Free and ready to be used.',
+    ['ACTIVE', 'FAULTY', 'RESERVED', 'PLANNED', 'TESTING', 'DAMAGED', 'DECOMMISSIONED'], 'free'],
+  ['FAULTY', 'Faulty', '#e74c3c', 'Out of service with an open fault ticket.',
+    ['ACTIVE', 'INACTIVE', 'TESTING', 'DAMAGED', 'DECOMMISSIONED'], 'in_use'],
+  ['RESERVED', 'Reserved', '#8e44ad', 'Promised to a pending connection until the reservation expires.',
+    ['ACTIVE', 'INACTIVE', 'PLANNED', 'TESTING'], 'reserved'],
+  ['PLANNED', 'Planned', '#3498db', 'Earmarked in a network plan but not spliced yet.',
+    ['ACTIVE', 'INACTIVE', 'RESERVED', 'TESTING', 'DECOMMISSIONED'], 'reserved'],
+  ['TESTING', 'Testing', '#f1c40f', 'Being tested or commissioned.',
+    ['ACTIVE', 'INACTIVE', 'FAULTY', 'DAMAGED'], 'in_use'],
+  ['DAMAGED', 'Damaged', '#d35400', 'Physically damaged and waiting for repair.',
+    ['INACTIVE', 'FAULTY', 'TESTING', 'DECOMMISSIONED'], 'unavailable'],
+  ['DECOMMISSIONED', 'Decommissioned', '#34495e', 'Taken out of use. Must go back through INACTIVE or PLANNED.',
+    ['INACTIVE', 'PLANNED'], 'unavailable']
+];
+
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS port_statuses (
+       code VARCHAR(20) NOT NULL PRIMARY KEY,
+       label VARCHAR(50) NOT NULL,
+       color CHAR(7) NOT NULL,
+       description VARCHAR(255) NOT NULL DEFAULT '',
+       transitions JSON NULL,
+       capacity VARCHAR(20) NOT NULL DEFAULT 'in_use',
+       sort_order INT NOT NULL DEFAULT 0
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await connection.query(
+    'INSERT IGNORE INTO port_statuses (code, label, color, description, transitions, capacity, sort_order) VALUES ?',
+    [SEED_STATUSES.map(([code, label, color, description, transitions, capacity], index) =>
+      [code, label, color, description, JSON.stringify(transitions), capacity, (index + 1) * 10])]
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,34 @@
+/**
+ * OTDR traces (.sor files) uploaded per port. The file is kept as uploaded
+ * on disk under ATTACHMENTS_DIR as `stored_name`; `result` holds what the
+ * server parsed from it (events, settings and the thinned plot). The key
+ * numbers are copied into columns for listing.
+ *
+ * `length_change` is the fibre end distance minus that of the port's
+ * previous trace at the same wavelength, in metres. `flagged` is set when it
+ * exceeds the configured tolerance.
+ */
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS otdr_traces (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       port_id INT UNSIGNED NOT NULL,
+       file_name VARCHAR(255) NOT NULL,
+       stored_name VARCHAR(64) NOT NULL,
+       wavelength DECIMAL(6,1) NULL,
+       pulse_width INT UNSIGNED NULL,
+       fiber_length DOUBLE NULL,
+       total_loss DOUBLE NULL,
+       length_change DOUBLE NULL,
+       flagged TINYINT(1) NOT NULL DEFAULT 0,
+       result JSON NOT NULL,
+       uploaded_at DATETIME(3) NOT NULL,
+       uploaded_by VARCHAR(100) NOT NULL DEFAULT '',
+       UNIQUE KEY uq_otdr_traces_stored_name (stored_name),
+       KEY idx_otdr_traces_port (port_id, id),
+       CONSTRAINT fk_otdr_traces_port FOREIGN KEY (port_id) REFERENCES ports (id) ON DELETE CASCADE
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,28 @@
+/**
+ * Files attached to a sub ODF or to one of its ports (splice photos, test
+ * certificates, scanned ODF sheets). The files live on disk under
+ * ATTACHMENTS_DIR as `stored_name`; these rows hold what they are and who
+ * uploaded them. `port_id` is NULL for files about the whole sub ODF.
+ */
+async function up(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS attachments (
+       id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+       odf_id INT UNSIGNED NOT NULL,
+       port_id INT UNSIGNED NULL,
+       file_name VARCHAR(255) NOT NULL,
+       stored_name VARCHAR(64) NOT NULL,
+       content_type VARCHAR(100) NOT NULL,
+       size BIGINT UNSIGNED NOT NULL,
+       caption VARCHAR(255) NOT NULL DEFAULT '',
+       uploaded_at DATETIME(3) NOT NULL,
+       uploaded_by VARCHAR(100) NOT NULL DEFAULT '',
+       UNIQUE KEY uq_attachments_stored_name (stored_name),
+       KEY idx_attachments_odf (odf_id, port_id),
+       CONSTRAINT fk_attachments_odf FOREIGN KEY (odf_id) REFERENCES odf_entries (id) ON DELETE CASCADE,
+       CONSTRAINT fk_attachments_port FOREIGN KEY (port_id) REFERENCES ports (id) ON DELETE CASCADE
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+module.exports = { up };
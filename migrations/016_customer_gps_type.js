@@ -0,0 +1,14 @@
+/**
+ * Customer GPS becomes a `gps` field so new values are checked as
+ * coordinates and can be plotted on the map. Only changed values are
+ * validated, so existing free text stays until someone edits it. Region
+ * overrides keep whatever type they chose.
+ */
+async function up(connection) {
+  await connection.query(
+    `UPDATE field_definitions SET type = 'gps'
+     WHERE region = '' AND field_key = 'customerGps' AND type = 'text'`
+  );
+}
+
+module.exports = { up };
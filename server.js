@@ -1,36 +1,94 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const { URL } = require('url');
-const mysql = require('mysql2/promise');
+const { pool } = require('./db');
+const { runMigrations } = require('./migrate');
+const auth = require('./auth');
+const XLSX = require('xlsx');
+const v = require('./validate');
+const { portLabel } = require('./labels');
+const { parseSor } = require('./sor');
 
 // ========== CONFIGURATION ==========
 const ROOT_DIR = __dirname;
 const PORT = Number(process.env.PORT) || 5500;
-
-// MySQL connection pool – adjust credentials if needed
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || '127.0.0.1',
-  port: Number(process.env.DB_PORT) || 3306,
-  user: process.env.DB_USER || 'Username',
-  password: process.env.DB_PASSWORD || 'Password',
-  database: process.env.DB_NAME || 'odf_manager',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-});
+// Set AUTO_MIGRATE=false to manage the schema with `npm run migrate` only
+const AUTO_MIGRATE = String(process.env.AUTO_MIGRATE || 'true').toLowerCase() !== 'false';
+// Dashboard warns when a region or sub ODF has at least this share of ports in use
+const ALMOST_FULL_PERCENT = Number(process.env.ALMOST_FULL_PERCENT) || 90;
+// Deleted ODFs and ports stay in the recycle bin at least this long
+const RECYCLE_RETENTION_DAYS = Number(process.env.RECYCLE_RETENTION_DAYS) || 30;
+// A new OTDR trace is flagged when its fibre end moves more than this from the previous one
+const OTDR_TOLERANCE_METRES = Number(process.env.OTDR_TOLERANCE_METRES) || 10;
+// Uploaded files are stored here and only served through the API
+const ATTACHMENTS_DIR = path.resolve(process.env.ATTACHMENTS_DIR || path.join(ROOT_DIR, 'attachments'));
+const MAX_ATTACHMENT_BYTES = Number(process.env.MAX_ATTACHMENT_BYTES) || 25_000_000;
+// Tile URL template for the customer map, e.g. /tiles/{z}/{x}/{y}.png; empty draws a plain grid
+const MAP_TILE_URL = process.env.MAP_TILE_URL || '';
 
 // ========== HELPER FUNCTIONS ==========
-const sendJson = (res, statusCode, body) => {
-  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+const sendJson = (res, statusCode, body, headers = {}) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
   res.end(JSON.stringify(body));
 };
 
+// Machine-readable `code` for error responses, unless the error names its own
+const ERROR_STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthenticated',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large'
+};
+
+const sendError = (res, statusCode, message, extra = {}, headers = {}) => {
+  sendJson(res, statusCode, {
+    error: message,
+    code: ERROR_STATUS_CODES[statusCode] || 'server_error',
+    ...extra
+  }, headers);
+};
+
 const sendText = (res, statusCode, body) => {
   res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
   res.end(body);
 };
 
+/**
+ * Stream a file from disk with `headers` and its Content-Length. A missing
+ * file is a 404. A read error after the headers went out can only cut the
+ * response short, so it is logged instead of thrown.
+ */
+const sendFile = async (res, filePath, headers = {}) => {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    sendError(res, 404, 'Not found');
+    return;
+  }
+  let size;
+  try {
+    size = (await handle.stat()).size;
+  } catch (err) {
+    await handle.close();
+    throw err;
+  }
+  res.writeHead(200, { ...headers, 'Content-Length': size });
+  try {
+    await pipeline(handle.createReadStream(), res);
+  } catch (err) {
+    // The client going away is not worth logging
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`Unable to send ${filePath}:`, err.message);
+  }
+};
+
 
 const parseJsonField = (value, fallback) => {
   if (value === null || value === undefined || value === '') return fallback;
@@ -73,24 +131,193 @@ const toSqlDate = (value) => {
   return '';
 };
 
+/**
+ * JSON.stringify with sorted object keys. MySQL re-orders keys inside JSON
+ * columns, so this is what makes stored and incoming values comparable.
+ */
+const stableJson = (value) => JSON.stringify(value, (key, val) => {
+  if (val && typeof val === 'object' && !Array.isArray(val)) {
+    return Object.keys(val).sort().reduce((acc, k) => {
+      acc[k] = val[k];
+      return acc;
+    }, {});
+  }
+  return val;
+});
+
+const toEtag = (version) => `"${version}"`;
+
+/**
+ * Read the base version a client is saving against from If-Match
+ * (an ETag handed out by GET /api/odf). Returns null when absent.
+ */
+const getBaseVersion = (req) => {
+  const header = String(req.headers['if-match'] || '').trim();
+  if (!header || header === '*') return null;
+  const match = header.match(/^(?:W\/)?"?(\d+)"?$/);
+  if (!match) {
+    const error = new Error('Invalid If-Match header');
+    error.statusCode = 400;
+    throw error;
+  }
+  return Number(match[1]);
+};
+
 const MAX_BODY_BYTES = 30_000_000;
 
-const readBody = (req) =>
+// Raw request body as a Buffer (file uploads)
+const readRawBody = (req) =>
   new Promise((resolve, reject) => {
-    let body = '';
+    const chunks = [];
+    let size = 0;
     req.on('data', (chunk) => {
-      body += chunk.toString();
-      if (body.length > MAX_BODY_BYTES) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
         const error = new Error('Payload too large');
         error.statusCode = 413;
         reject(error);
         req.destroy();
+        return;
       }
+      chunks.push(chunk);
     });
-    req.on('end', () => resolve(body));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
     req.on('error', reject);
   });
 
+const readBody = async (req) => (await readRawBody(req)).toString();
+
+/**
+ * Stream the request body into a new file at `filePath` without holding it
+ * in memory. Past `maxBytes` this fails with a 413 and removes the partial
+ * file. Returns the number of bytes written.
+ */
+const writeRequestToFile = async (req, filePath, maxBytes) => {
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const error = new Error(`Files can be at most ${Math.round(maxBytes / 1_000_000)} MB`);
+        error.statusCode = 413;
+        callback(error);
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  try {
+    await pipeline(req, limit, fs.createWriteStream(filePath, { flags: 'wx' }));
+  } catch (err) {
+    // EEXIST means the file was someone else's, not a partial write of ours
+    if (err.code !== 'EEXIST') await fs.promises.rm(filePath, { force: true });
+    throw err;
+  }
+  return size;
+};
+
+// Parse a JSON request body; an empty body reads as {}. Malformed JSON is
+// the client's mistake, so it is a 400 rather than a server error.
+const readJson = async (req) => {
+  const body = await readBody(req);
+  if (!body.trim()) return {};
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    const error = new Error(`Malformed JSON: ${err.message}`);
+    error.statusCode = 400;
+    error.code = 'invalid_json';
+    throw error;
+  }
+};
+
+// ========== AUDIT LOG ==========
+/**
+ * Identify who made a request. Recorded with every audit entry.
+ */
+const getActor = (req) => {
+  if (req.user) return req.user.username;
+  return String(req.socket && req.socket.remoteAddress ? req.socket.remoteAddress : '');
+};
+
+/**
+ * Insert audit entries on the caller's connection so they commit or roll
+ * back with the change they describe.
+ * Entry shape: { actor, action, region, sub, portNumber, changes }.
+ */
+async function recordAudit(connection, entries) {
+  if (!entries || entries.length === 0) return;
+  const createdAt = new Date();
+  const rows = entries.map(entry => [
+    createdAt,
+    entry.actor || '',
+    entry.action,
+    entry.region,
+    entry.sub || '',
+    entry.portNumber === undefined ? null : entry.portNumber,
+    entry.changes ? JSON.stringify(entry.changes) : null
+  ]);
+
+  const batchSize = 100;
+  for (let i = 0; i < rows.length; i += batchSize) {
+    await connection.query(
+      `INSERT INTO audit_log (created_at, actor, action, region, sub, port_number, changes)
+       VALUES ?`,
+      [rows.slice(i, i + batchSize)]
+    );
+  }
+}
+
+/**
+ * Audit entries for the `changes` list returned by applyPortChanges().
+ */
+const portAuditEntries = (changes, { actor, region, sub }) =>
+  changes
+    .filter(change => Object.keys(change.values).length > 0 || change.type !== 'update')
+    .map(change => ({
+      actor,
+      action: `port.${change.type}`,
+      region,
+      sub,
+      portNumber: change.portNumber,
+      changes: change.values
+    }));
+
+/**
+ * Audit history for an ODF, newest first. With `portNumber`, only that
+ * port's entries are returned.
+ */
+async function getAuditHistory(region, sub, { portNumber = null, limit = 100, before = null } = {}) {
+  const where = ['region = ?', 'sub = ?'];
+  const params = [region, sub];
+  if (portNumber !== null) {
+    where.push('port_number = ?');
+    params.push(portNumber);
+  }
+  if (before !== null) {
+    where.push('id < ?');
+    params.push(before);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT id, created_at, actor, action, port_number, changes
+     FROM audit_log
+     WHERE ${where.join(' AND ')}
+     ORDER BY id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    createdAt: row.created_at,
+    actor: row.actor,
+    action: row.action,
+    portNumber: row.port_number,
+    changes: parseJsonField(row.changes, {})
+  }));
+}
+
 // ========== DATABASE HELPERS ==========
 /**
  * Fetch an ODF entry by region and sub, including its ports.
@@ -98,119 +325,420 @@ const readBody = (req) =>
  */
 async function getOdfEntry(region, sub) {
   const [odfRows] = await pool.execute(
-    'SELECT id, region, sub, displayCount, lastSave, extraFieldDefs FROM odf_entries WHERE region = ? AND sub = ?',
+    `SELECT id, region, sub, displayCount, lastSave, extraFieldDefs, layout, version
+     FROM odf_entries WHERE region = ? AND sub = ? AND deleted_at IS NULL`,
     [region, sub]
   );
   if (odfRows.length === 0) return null;
 
   const odf = odfRows[0];
   const [portRows] = await pool.execute(
-    `SELECT port_number as id, label, status, fiberType, connectorType,
-            destination, otdrDistance, otdrDistanceValue, lastMaintained,
-            branchingJoint, cxLocation, notes, customFields
+    `SELECT ${PORT_SELECT_COLUMNS}
      FROM ports
-     WHERE odf_id = ?
+     WHERE odf_id = ? AND deleted_at IS NULL
      ORDER BY port_number`,
     [odf.id]
   );
 
   // Transform port_number back to id (1‑based) and ensure customFields is an object
-  const ports = portRows.map(row => ({
-    ...row,
-    fiberType: toText(row.fiberType),
-    connectorType: toText(row.connectorType),
-    destination: toText(row.destination),
-    otdrDistance: toText(row.otdrDistance),
-    otdrDistanceValue: toText(row.otdrDistanceValue),
-    lastMaintained: toText(row.lastMaintained),
-    branchingJoint: toText(row.branchingJoint),
-    cxLocation: toText(row.cxLocation),
-    notes: toText(row.notes),
-    customFields: parseJsonField(row.customFields, {})
-  }));
+  const ports = portRows.map(mapPortRow);
 
   return {
     region: odf.region,
     sub: odf.sub,
     displayCount: odf.displayCount,
     lastSave: odf.lastSave,
-    extraFieldDefs: parseJsonField(odf.extraFieldDefs, []),
+    version: Number(odf.version),
+    extraFieldDefs: parseJsonField(odf.extraFieldDefs, []).map(toCustomFieldDef),
+    layout: parseJsonField(odf.layout, null),
     ports
   };
 }
 
+const PORT_COLUMNS = [
+  'label',
+  'status',
+  'fiberType',
+  'connectorType',
+  'destination',
+  'otdrDistance',
+  'otdrDistanceValue',
+  'lastMaintained',
+  'branchingJoint',
+  'cxLocation',
+  'notes',
+  'reservedFor',
+  'workOrder',
+  'reservedUntil',
+  'customFields'
+];
+
+const PORT_SELECT_COLUMNS = `port_number as id, label, status, fiberType, connectorType,
+            destination, otdrDistance, otdrDistanceValue, lastMaintained,
+            branchingJoint, cxLocation, notes, reservedFor, workOrder, reservedUntil, customFields`;
+
+/**
+ * Convert a ports row (selected with PORT_SELECT_COLUMNS) to the API shape.
+ */
+const mapPortRow = (row) => ({
+  ...row,
+  fiberType: toText(row.fiberType),
+  connectorType: toText(row.connectorType),
+  destination: toText(row.destination),
+  otdrDistance: toText(row.otdrDistance),
+  otdrDistanceValue: toText(row.otdrDistanceValue),
+  lastMaintained: toText(row.lastMaintained),
+  branchingJoint: toText(row.branchingJoint),
+  cxLocation: toText(row.cxLocation),
+  notes: toText(row.notes),
+  reservedFor: toText(row.reservedFor),
+  workOrder: toText(row.workOrder),
+  reservedUntil: toText(row.reservedUntil),
+  customFields: parseJsonField(row.customFields, {})
+});
+
+/**
+ * Normalise an API port into the exact values stored in the ports columns,
+ * so a saved port and an incoming one can be compared field by field.
+ * Reservation details are dropped unless the port is RESERVED.
+ */
+const toPortColumns = (port) => {
+  const status = port.status || 'INACTIVE';
+  const reserved = status === 'RESERVED';
+  return {
+    label: toText(port.label),
+    status,
+    fiberType: toText(port.fiberType),
+    connectorType: toText(port.connectorType),
+    destination: toText(port.destination),
+    otdrDistance: toText(port.otdrDistance),
+    otdrDistanceValue: toText(port.otdrDistanceValue),
+    lastMaintained: toSqlDate(port.lastMaintained),
+    branchingJoint: toText(port.branchingJoint),
+    cxLocation: toText(port.cxLocation),
+    notes: toText(port.notes),
+    reservedFor: reserved ? toText(port.reservedFor).trim() : '',
+    workOrder: reserved ? toText(port.workOrder).trim() : '',
+    reservedUntil: reserved ? toSqlDate(port.reservedUntil) : '',
+    customFields: port.customFields ? stableJson(port.customFields) : null
+  };
+};
+
+const diffPortColumns = (before, after) =>
+  PORT_COLUMNS.filter(column => before[column] !== after[column]);
+
+/**
+ * Per-field { before, after } values between two toPortColumns() results.
+ * Either side may be null (port inserted or deleted); custom fields are
+ * expanded to `customFields.<label>` so each value gets its own history line.
+ */
+const describePortChange = (before, after) => {
+  const values = {};
+  const isBlank = (value) => value === null || value === '';
+
+  PORT_COLUMNS.forEach(column => {
+    if (column === 'customFields') {
+      const prevFields = parseJsonField(before && before.customFields, {});
+      const nextFields = parseJsonField(after && after.customFields, {});
+      const keys = new Set([...Object.keys(prevFields), ...Object.keys(nextFields)]);
+      keys.forEach(key => {
+        const prev = Object.prototype.hasOwnProperty.call(prevFields, key) ? toText(prevFields[key]) : null;
+        const next = Object.prototype.hasOwnProperty.call(nextFields, key) ? toText(nextFields[key]) : null;
+        if (prev !== next && !(isBlank(prev) && isBlank(next))) {
+          values[`customFields.${key}`] = { before: prev, after: next };
+        }
+      });
+      return;
+    }
+
+    const prev = before ? before[column] : null;
+    const next = after ? after[column] : null;
+    if (prev !== next && !(isBlank(prev) && isBlank(next))) {
+      values[column] = { before: prev, after: next };
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Lock an ODF entry row for the current transaction.
+ * Returns { id, version, displayCount, extraFieldDefs } or null if not found.
+ */
+async function lockOdfEntry(connection, region, sub) {
+  const [rows] = await connection.execute(
+    `SELECT id, version, displayCount, extraFieldDefs
+     FROM odf_entries WHERE region = ? AND sub = ? AND deleted_at IS NULL FOR UPDATE`,
+    [region, sub]
+  );
+  if (rows.length === 0) return null;
+  return {
+    id: rows[0].id,
+    version: Number(rows[0].version),
+    displayCount: rows[0].displayCount,
+    extraFieldDefs: parseJsonField(rows[0].extraFieldDefs, []).map(toCustomFieldDef)
+  };
+}
+
+async function loadPortsForUpdate(connection, odfId) {
+  const [rows] = await connection.execute(
+    `SELECT ${PORT_SELECT_COLUMNS} FROM ports
+     WHERE odf_id = ? AND deleted_at IS NULL
+     ORDER BY port_number FOR UPDATE`,
+    [odfId]
+  );
+  return new Map(rows.map(row => [row.id, mapPortRow(row)]));
+}
+
+/**
+ * Write only the ports that differ from what is stored.
+ * Existing rows are updated in place so their ids stay stable; unknown
+ * port numbers are inserted. With `removeMissing`, stored ports absent
+ * from `ports` are moved to the recycle bin (used by full saves); unless
+ * `allowRemove` is set that fails with a 403, as only admins remove ports.
+ * Written ports are stamped with `version`. With `mergeCustomFields`, a
+ * port's customFields are merged into the stored ones instead of replacing
+ * them.
+ * `validate(portNumber, columns, changedColumns, beforeColumns)` returns field
+ * errors for a written port; any error fails the whole call with a 400.
+ * The status transition rules (statusValidator) and reservation rules
+ * (reservationErrors) apply to every write.
+ */
+async function applyPortChanges(connection, odfId, ports, { version, removeMissing = false, allowRemove = false, partial = false, mergeCustomFields = false, validate = null, actor = '' } = {}) {
+  const existing = await loadPortsForUpdate(connection, odfId);
+  if (removeMissing && !allowRemove) {
+    const kept = new Set(ports.map(port => Number(port.id)));
+    const missing = [...existing.keys()].filter(portNumber => !kept.has(portNumber));
+    if (missing.length > 0) {
+      const error = new Error(`Only admins can remove ports; the save leaves out port(s) ${missing.join(', ')}`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+  const statusErrors = statusValidator(await listPortStatuses(connection));
+  const seen = new Set();
+  const inserts = [];
+  const changes = [];
+  const fieldErrors = [];
+  let updated = 0;
+
+  for (const port of ports) {
+    const portNumber = Number(port.id);
+    seen.add(portNumber);
+    const current = existing.get(portNumber);
+
+    if (!current) {
+      const columns = toPortColumns(port);
+      fieldErrors.push(...statusErrors(portNumber, columns, PORT_COLUMNS, null));
+      fieldErrors.push(...reservationErrors(portNumber, columns, PORT_COLUMNS, null));
+      if (validate) fieldErrors.push(...validate(portNumber, columns, PORT_COLUMNS, null));
+      inserts.push([odfId, portNumber, version, ...PORT_COLUMNS.map(column => columns[column])]);
+      changes.push({
+        portNumber,
+        type: 'insert',
+        fields: PORT_COLUMNS.slice(),
+        values: describePortChange(null, columns)
+      });
+      continue;
+    }
+
+    const before = toPortColumns(current);
+    const merged = partial ? { ...current, ...port } : port;
+    if (mergeCustomFields && port.customFields) {
+      merged.customFields = { ...current.customFields, ...port.customFields };
+    }
+    const after = toPortColumns(merged);
+    const changed = diffPortColumns(before, after);
+    if (changed.length === 0) continue;
+    const errors = [
+      ...statusErrors(portNumber, after, changed, before),
+      ...reservationErrors(portNumber, after, changed, before),
+      ...(validate ? validate(portNumber, after, changed, before) : [])
+    ];
+    if (errors.length > 0) {
+      fieldErrors.push(...errors);
+      continue;
+    }
+
+    await connection.query(
+      `UPDATE ports SET ${changed.map(column => `${column} = ?`).join(', ')}, version = ?
+       WHERE odf_id = ? AND port_number = ? AND deleted_at IS NULL`,
+      [...changed.map(column => after[column]), version, odfId, portNumber]
+    );
+    changes.push({ portNumber, type: 'update', fields: changed, values: describePortChange(before, after) });
+    updated += 1;
+  }
+
+  if (fieldErrors.length > 0) {
+    throw v.validationError(fieldErrors);
+  }
+
+  // Insert new ports (batched to avoid max packet issues on large imports)
+  const batchSize = 100;
+  for (let i = 0; i < inserts.length; i += batchSize) {
+    await connection.query(
+      `INSERT INTO ports (odf_id, port_number, version, ${PORT_COLUMNS.join(', ')}) VALUES ?`,
+      [inserts.slice(i, i + batchSize)]
+    );
+  }
+
+  let deleted = 0;
+  if (removeMissing) {
+    const removed = [...existing.keys()].filter(portNumber => !seen.has(portNumber));
+    if (removed.length > 0) {
+      const placeholders = removed.map(() => '?').join(', ');
+      await connection.execute(
+        `UPDATE ports SET deleted_at = ?, deleted_by = ?, version = ?
+         WHERE odf_id = ? AND deleted_at IS NULL AND port_number IN (${placeholders})`,
+        [new Date(), actor, version, odfId, ...removed]
+      );
+      removed.forEach(portNumber => changes.push({
+        portNumber,
+        type: 'delete',
+        fields: [],
+        values: describePortChange(toPortColumns(existing.get(portNumber)), null)
+      }));
+      deleted = removed.length;
+    }
+  }
+
+  return { inserted: inserts.length, updated, deleted, changes };
+}
+
 /**
  * Save or update an ODF entry and its ports.
- * Uses a transaction.
+ * Uses a transaction; only ports that changed are written. Ports left out
+ * of `ports` are removed only with `allowRemove` (admins).
+ * When `baseVersion` is given and the stored version differs, nothing is
+ * written and `{ conflict: true }` is returned.
  */
-async function saveOdfEntry(region, sub, ports, displayCount, extraFieldDefs) {
+async function saveOdfEntry(region, sub, ports, displayCount, extraFieldDefs, options = {}) {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
+    const result = await writeOdfEntry(connection, region, sub, ports, displayCount, extraFieldDefs, options);
+    if (result.conflict) {
+      await connection.rollback();
+    } else {
+      await connection.commit();
+    }
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
 
-    // Upsert odf_entries
-    const [existing] = await connection.execute(
-      'SELECT id FROM odf_entries WHERE region = ? AND sub = ?',
-      [region, sub]
+/**
+ * saveOdfEntry() inside the caller's transaction, so an import can write
+ * several ODFs all-or-nothing. The caller rolls back on a conflict.
+ */
+async function writeOdfEntry(connection, region, sub, ports, displayCount, extraFieldDefs, { baseVersion = null, allowRemove = false, actor = '' } = {}) {
+  const customDefs = normalizeCustomFieldDefs(extraFieldDefs);
+  const validate = portFieldValidator(await listFieldDefinitions({ region }), customDefs);
+
+  const entry = await lockOdfEntry(connection, region, sub);
+  const currentVersion = entry ? entry.version : 0;
+  if (baseVersion !== null && baseVersion !== currentVersion) {
+    return { conflict: true, version: currentVersion };
+  }
+
+  let odfId = entry ? entry.id : null;
+  const version = currentVersion + 1;
+  const lastSave = new Date();
+
+  if (odfId) {
+    await connection.execute(
+      `UPDATE odf_entries
+       SET displayCount = ?, lastSave = ?, extraFieldDefs = ?, version = ?
+       WHERE id = ?`,
+      [displayCount, lastSave, JSON.stringify(customDefs), version, odfId]
+    );
+  } else {
+    const [result] = await connection.execute(
+      `INSERT INTO odf_entries (region, sub, displayCount, lastSave, extraFieldDefs, version)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [region, sub, displayCount, lastSave, JSON.stringify(customDefs), version]
     );
+    odfId = result.insertId;
+  }
 
-    let odfId;
-    const lastSave = new Date();
+  const summary = await applyPortChanges(connection, odfId, ports || [], { version, removeMissing: true, allowRemove, validate, actor });
 
-    if (existing.length > 0) {
-      odfId = existing[0].id;
-      await connection.execute(
-        `UPDATE odf_entries
-         SET displayCount = ?, lastSave = ?, extraFieldDefs = ?
-         WHERE id = ?`,
-        [displayCount, lastSave, JSON.stringify(extraFieldDefs), odfId]
-      );
-      // Delete all existing ports for this ODF
-      await connection.execute('DELETE FROM ports WHERE odf_id = ?', [odfId]);
-    } else {
-      const [result] = await connection.execute(
-        `INSERT INTO odf_entries (region, sub, displayCount, lastSave, extraFieldDefs)
-         VALUES (?, ?, ?, ?, ?)`,
-        [region, sub, displayCount, lastSave, JSON.stringify(extraFieldDefs)]
-      );
-      odfId = result.insertId;
-    }
-
-    // Insert new ports (batched to avoid max packet issues on large imports)
-    if (ports && ports.length > 0) {
-      const portValues = ports.map(p => [
-        odfId,
-        p.id,
-        p.label,
-        p.status || 'INACTIVE',
-        p.fiberType || '',
-        p.connectorType || '',
-        toText(p.destination),
-        toText(p.otdrDistance),
-        toText(p.otdrDistanceValue),
-        toSqlDate(p.lastMaintained),
-        toText(p.branchingJoint),
-        toText(p.cxLocation),
-        toText(p.notes),
-        p.customFields ? JSON.stringify(p.customFields) : null
-      ]);
-
-      const batchSize = 100;
-      for (let i = 0; i < portValues.length; i += batchSize) {
-        const batch = portValues.slice(i, i + batchSize);
-        await connection.query(
-          `INSERT INTO ports
-           (odf_id, port_number, label, status, fiberType, connectorType,
-            destination, otdrDistance, otdrDistanceValue, lastMaintained,
-            branchingJoint, cxLocation, notes, customFields)
-           VALUES ?`,
-          [batch]
-        );
-      }
+  const odfChanges = {};
+  const prevCount = entry ? entry.displayCount : null;
+  if (prevCount !== displayCount) {
+    odfChanges.displayCount = { before: prevCount, after: displayCount };
+  }
+  const prevDefs = entry ? entry.extraFieldDefs : null;
+  if (stableJson(prevDefs) !== stableJson(customDefs)) {
+    odfChanges.extraFieldDefs = { before: prevDefs, after: customDefs };
+  }
+  const auditEntries = portAuditEntries(summary.changes, { actor, region, sub });
+  if (!entry || Object.keys(odfChanges).length > 0) {
+    auditEntries.unshift({ actor, action: entry ? 'odf.update' : 'odf.create', region, sub, changes: odfChanges });
+  }
+  await recordAudit(connection, auditEntries);
+  await syncFaultsWithStatus(connection, odfId, summary.changes, ports || [], { actor, region, sub });
+
+  return { lastSave: lastSave.toISOString(), version, ...summary };
+}
+
+/**
+ * Merge partial port updates into an existing ODF without touching other ports.
+ * Every port must already exist; returns null when the ODF is unknown.
+ * With `baseVersion`, the save is rejected (`{ conflict: true }`) only if one
+ * of the given ports was changed after that version.
+ */
+async function updateOdfPorts(region, sub, ports, { baseVersion = null, actor = '', mergeCustomFields = false } = {}) {
+  const fieldDefs = await listFieldDefinitions({ region });
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const entry = await lockOdfEntry(connection, region, sub);
+    if (!entry) {
+      await connection.rollback();
+      return null;
+    }
+
+    const [known] = await connection.execute(
+      'SELECT port_number, version FROM ports WHERE odf_id = ? AND deleted_at IS NULL FOR UPDATE',
+      [entry.id]
+    );
+    const knownVersions = new Map(known.map(r => [r.port_number, Number(r.version)]));
+    const missing = ports.map(p => Number(p.id)).filter(id => !knownVersions.has(id));
+    if (missing.length > 0) {
+      const error = new Error(`Unknown port number(s): ${missing.join(', ')}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (baseVersion !== null && ports.some(p => knownVersions.get(Number(p.id)) > baseVersion)) {
+      await connection.rollback();
+      return { conflict: true, version: entry.version };
     }
 
+    const version = entry.version + 1;
+    const validate = portFieldValidator(fieldDefs, entry.extraFieldDefs);
+    const summary = await applyPortChanges(connection, entry.id, ports, { version, partial: true, mergeCustomFields, validate });
+    const lastSave = new Date();
+    if (summary.changes.length === 0) {
+      await connection.commit();
+      return { lastSave: lastSave.toISOString(), version: entry.version, ...summary };
+    }
+
+    await connection.execute(
+      'UPDATE odf_entries SET lastSave = ?, version = ? WHERE id = ?',
+      [lastSave, version, entry.id]
+    );
+    await recordAudit(connection, portAuditEntries(summary.changes, { actor, region, sub }));
+    await syncFaultsWithStatus(connection, entry.id, summary.changes, ports, { actor, region, sub });
+
     await connection.commit();
-    return { lastSave: lastSave.toISOString() };
+    return { lastSave: lastSave.toISOString(), version, ...summary };
   } catch (err) {
     await connection.rollback();
     throw err;
@@ -219,17 +747,156 @@ async function saveOdfEntry(region, sub, ports, displayCount, extraFieldDefs) {
   }
 }
 
+// Port fields the bulk editor may set
+const BULK_PORT_FIELDS = ['status', 'fiberType', 'cxLocation', 'notes', 'lastMaintained', 'reservedFor', 'workOrder', 'reservedUntil'];
+
 /**
- * Delete an ODF entry (ports cascade automatically).
+ * Set the same values on many ports of one ODF. `customFields` values are
+ * merged into each port's own. Runs as one updateOdfPorts transaction, so
+ * either every port is written or none is.
  */
-async function deleteOdfEntry(region, sub) {
-  const [result] = await pool.execute(
-    'DELETE FROM odf_entries WHERE region = ? AND sub = ?',
-    [region, sub]
+async function bulkUpdatePorts(region, sub, portNumbers, { set = {}, customFields = null, fault = null } = {}, options = {}) {
+  const unknown = Object.keys(set).filter(key => !BULK_PORT_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    const error = new Error(`Fields not allowed in a bulk update: ${unknown.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (new Set(portNumbers).size !== portNumbers.length) {
+    const error = new Error('Duplicate port numbers');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const ports = portNumbers.map(portNumber => ({
+    ...set,
+    ...(customFields ? { customFields } : {}),
+    ...(fault ? { fault } : {}),
+    id: portNumber
+  }));
+  return updateOdfPorts(region, sub, ports, { ...options, mergeCustomFields: true });
+}
+
+/**
+ * Move ODF entries of a region to the recycle bin on the caller's
+ * connection and audit each one. Their ports stay attached and come back
+ * with them on restore. Returns the number deleted.
+ */
+async function deleteOdfEntries(connection, region, subs, { actor = '' } = {}) {
+  if (subs.length === 0) return 0;
+  const placeholders = subs.map(() => '?').join(', ');
+  const [rows] = await connection.execute(
+    `SELECT o.id, o.sub, o.displayCount, COUNT(p.id) AS portCount
+     FROM odf_entries o
+     LEFT JOIN ports p ON p.odf_id = o.id AND p.deleted_at IS NULL
+     WHERE o.region = ? AND o.sub IN (${placeholders}) AND o.deleted_at IS NULL
+     GROUP BY o.id, o.sub, o.displayCount`,
+    [region, ...subs]
+  );
+  if (rows.length === 0) return 0;
+
+  await connection.execute(
+    `UPDATE odf_entries SET deleted_at = ?, deleted_by = ?
+     WHERE id IN (${rows.map(() => '?').join(', ')})`,
+    [new Date(), actor, ...rows.map(r => r.id)]
   );
-  return result.affectedRows > 0;
+  await recordAudit(connection, rows.map(row => ({
+    actor,
+    action: 'odf.delete',
+    region,
+    sub: row.sub,
+    changes: {
+      displayCount: { before: row.displayCount, after: null },
+      ports: { before: Number(row.portCount), after: null }
+    }
+  })));
+  return rows.length;
+}
+
+/**
+ * Move an ODF entry to the recycle bin.
+ */
+async function deleteOdfEntry(region, sub, { actor = '' } = {}) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const deleted = await deleteOdfEntries(connection, region, [sub], { actor });
+    await connection.commit();
+    return deleted > 0;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
 }
 
+/**
+ * Rename a sub region in one transaction. The ODF entry keeps its id, so
+ * ports and custom fields follow it; audit history is moved to the new name.
+ * Returns null if the sub region does not exist.
+ */
+async function renameSubregion(region, from, to, { actor = '' } = {}) {
+  const newName = String(to || '').trim();
+  if (!newName || newName.length > 150) {
+    const error = new Error('New name must be 1-150 characters');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      'SELECT id FROM subregions WHERE region = ? AND sub = ? FOR UPDATE',
+      [region, from]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    if (newName === from) {
+      await connection.rollback();
+      return { sub: from };
+    }
+
+    const [[{ taken }]] = await connection.execute(
+      `SELECT (SELECT COUNT(*) FROM subregions WHERE region = ? AND sub = ?)
+            + (SELECT COUNT(*) FROM odf_entries WHERE region = ? AND sub = ? AND deleted_at IS NULL) AS taken`,
+      [region, newName, region, newName]
+    );
+    if (Number(taken) > 0) {
+      const error = new Error(`Sub region "${newName}" already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await connection.execute('UPDATE subregions SET sub = ? WHERE id = ?', [newName, rows[0].id]);
+    await connection.execute(
+      'UPDATE odf_entries SET sub = ? WHERE region = ? AND sub = ? AND deleted_at IS NULL',
+      [newName, region, from]
+    );
+    await connection.execute(
+      'UPDATE audit_log SET sub = ? WHERE region = ? AND sub = ?',
+      [newName, region, from]
+    );
+    await recordAudit(connection, [{
+      actor,
+      action: 'subregion.rename',
+      region,
+      sub: newName,
+      changes: { sub: { before: from, after: newName } }
+    }]);
+
+    await connection.commit();
+    return { sub: newName };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
 
 const DEFAULT_DISPLAY_COUNT = 96;
 
@@ -241,8 +908,8 @@ function createDefaultPorts(count = DEFAULT_DISPLAY_COUNT) {
       id: i,
       label: `PORT-${String(i).padStart(3, '0')}`,
       status: 'INACTIVE',
-      fiberType: 'Single-mode OS2',
-      connectorType: 'LC/UPC',
+      fiberType: '',
+      connectorType: '',
       destination: '',
       otdrDistance: '',
       otdrDistanceValue: '',
@@ -256,9 +923,9 @@ function createDefaultPorts(count = DEFAULT_DISPLAY_COUNT) {
   return ports;
 }
 
-async function ensureOdfEntryExists(connection, region, sub) {
+async function ensureOdfEntryExists(connection, region, sub, { actor = '' } = {}) {
   const [existing] = await connection.execute(
-    'SELECT id FROM odf_entries WHERE region = ? AND sub = ?',
+    'SELECT id FROM odf_entries WHERE region = ? AND sub = ? AND deleted_at IS NULL',
     [region, sub]
   );
 
@@ -300,116 +967,3090 @@ async function ensureOdfEntryExists(connection, region, sub) {
     [portValues]
   );
 
+  await recordAudit(connection, [{
+    actor,
+    action: 'odf.create',
+    region,
+    sub,
+    changes: { displayCount: { before: null, after: DEFAULT_DISPLAY_COUNT } }
+  }]);
+
   return true;
 }
 
+const mapRegionRow = (row) => ({
+  id: row.id,
+  code: row.code,
+  name: row.name,
+  sortOrder: row.sort_order
+});
+
 /**
- * Search across odf_entries and ports.
+ * Check and normalise region fields. With `partial`, missing fields are
+ * left out instead of rejected.
  */
-async function searchData(keyword) {
-  const trimmedKeyword = String(keyword || '').trim();
-  const keywordLower = `%${trimmedKeyword.toLowerCase()}%`;
-  const limit = 100;
-  const resultMap = new Map();
-
-  const buildBaseLink = (region, sub) =>
-    `/odf.html?region=${encodeURIComponent(region)}&sub=${encodeURIComponent(sub)}`;
-
-  const pushUnique = (item) => {
-    const key = `${item.region}||${item.sub}||${item.portNumber || 0}`;
-    if (!resultMap.has(key)) {
-      resultMap.set(key, item);
-    }
+const normalizeRegionInput = (payload, { partial = false } = {}) => {
+  const result = {};
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
   };
 
-  // Search in odf_entries metadata
-  const [odfResults] = await pool.query(
-    `SELECT id, region, sub, extraFieldDefs
-     FROM odf_entries
-     WHERE LOWER(region) LIKE ?
-        OR LOWER(sub) LIKE ?
-        OR LOWER(COALESCE(CAST(extraFieldDefs AS CHAR), '')) LIKE ?
-     LIMIT 100`,
-    [keywordLower, keywordLower, keywordLower]
-  );
-
-  for (const odf of odfResults) {
-    const link = buildBaseLink(odf.region, odf.sub);
-    pushUnique({
-      region: odf.region,
-      sub: odf.sub,
-      storageKey: `${odf.region}||${odf.sub}`,
-      jsonPath: `odf["${odf.region}||${odf.sub}"]`,
-      matchedValue: `${odf.region} ${odf.sub}`,
-      link,
-      exactLink: link,
-      portNumber: null,
-      fieldPath: '',
-      keyword: trimmedKeyword
-    });
-    if (resultMap.size >= limit) break;
+  if (payload.code !== undefined || !partial) {
+    const code = String(payload.code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9-]{1,20}$/.test(code)) fail('Region code must be 1-20 letters, digits or dashes');
+    result.code = code;
   }
+  if (payload.name !== undefined || !partial) {
+    const name = String(payload.name || '').trim();
+    if (!name || name.length > 100) fail('Region name must be 1-100 characters');
+    result.name = name;
+  }
+  if (payload.sortOrder !== undefined) {
+    const sortOrder = Number(payload.sortOrder);
+    if (!Number.isInteger(sortOrder)) fail('Sort order must be an integer');
+    result.sortOrder = sortOrder;
+  }
+  return result;
+};
+
+const duplicateRegionError = (err) => {
+  if (err && err.code === 'ER_DUP_ENTRY') {
+    const error = new Error('A region with that code or name already exists');
+    error.statusCode = 409;
+    return error;
+  }
+  return err;
+};
+
+async function listRegions() {
+  const [rows] = await pool.query('SELECT id, code, name, sort_order FROM regions ORDER BY sort_order, name');
+  return rows.map(mapRegionRow);
+}
+
+async function createRegion(payload, { actor = '' } = {}) {
+  const input = normalizeRegionInput(payload);
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    let sortOrder = input.sortOrder;
+    if (sortOrder === undefined) {
+      const [[{ maxOrder }]] = await connection.query('SELECT COALESCE(MAX(sort_order), 0) AS maxOrder FROM regions');
+      sortOrder = Number(maxOrder) + 10;
+    }
+    const [result] = await connection.execute(
+      'INSERT INTO regions (code, name, sort_order) VALUES (?, ?, ?)',
+      [input.code, input.name, sortOrder]
+    );
+    await recordAudit(connection, [{
+      actor,
+      action: 'region.create',
+      region: input.name,
+      changes: {
+        code: { before: null, after: input.code },
+        sortOrder: { before: null, after: sortOrder }
+      }
+    }]);
+    await connection.commit();
+    return { id: result.insertId, code: input.code, name: input.name, sortOrder };
+  } catch (err) {
+    await connection.rollback();
+    throw duplicateRegionError(err);
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Update a region. Renaming moves its sub regions and ODF entries to the
+ * new name in the same transaction. Returns null if not found.
+ */
+async function updateRegion(id, payload, { actor = '' } = {}) {
+  const input = normalizeRegionInput(payload, { partial: true });
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      'SELECT id, code, name, sort_order FROM regions WHERE id = ? FOR UPDATE',
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const before = mapRegionRow(rows[0]);
+    const after = { ...before, ...input };
+    await connection.execute(
+      'UPDATE regions SET code = ?, name = ?, sort_order = ? WHERE id = ?',
+      [after.code, after.name, after.sortOrder, id]
+    );
+    if (after.name !== before.name) {
+      await connection.execute('UPDATE subregions SET region = ? WHERE region = ?', [after.name, before.name]);
+      await connection.execute('UPDATE odf_entries SET region = ? WHERE region = ?', [after.name, before.name]);
+      await connection.execute('UPDATE audit_log SET region = ? WHERE region = ?', [after.name, before.name]);
+      await connection.execute('UPDATE field_definitions SET region = ? WHERE region = ?', [after.name, before.name]);
+    }
+
+    const changes = {};
+    ['code', 'name', 'sortOrder'].forEach(key => {
+      if (before[key] !== after[key]) changes[key] = { before: before[key], after: after[key] };
+    });
+    if (Object.keys(changes).length > 0) {
+      await recordAudit(connection, [{ actor, action: 'region.update', region: after.name, changes }]);
+    }
+
+    await connection.commit();
+    return after;
+  } catch (err) {
+    await connection.rollback();
+    throw duplicateRegionError(err);
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Delete a region that has no sub regions or ODF data left.
+ * Returns { deleted } or { inUse } so the route can answer 404/409.
+ */
+async function deleteRegion(id, { actor = '' } = {}) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute('SELECT id, code, name FROM regions WHERE id = ? FOR UPDATE', [id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { deleted: false };
+    }
+
+    const { name, code } = rows[0];
+    const [[{ subCount }]] = await connection.execute(
+      'SELECT COUNT(*) AS subCount FROM subregions WHERE region = ?',
+      [name]
+    );
+    const [[{ odfCount }]] = await connection.execute(
+      'SELECT COUNT(*) AS odfCount FROM odf_entries WHERE region = ?',
+      [name]
+    );
+    if (Number(subCount) > 0 || Number(odfCount) > 0) {
+      await connection.rollback();
+      return { deleted: false, inUse: true };
+    }
+
+    await connection.execute('DELETE FROM regions WHERE id = ?', [id]);
+    await recordAudit(connection, [{
+      actor,
+      action: 'region.delete',
+      region: name,
+      changes: { code: { before: code, after: null } }
+    }]);
+    await connection.commit();
+    return { deleted: true };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// ========== SEARCH ==========
+// Fields usable as `field:value` in search queries. `path` is the API
+// property reported back as the result's fieldPath; `exact` fields match
+// whole values unless a prefix is asked for (status:ACTIVE is not INACTIVE).
+const SEARCH_FIELDS = [
+  { name: 'region', column: 'o.region', path: 'region' },
+  { name: 'sub', aliases: ['odf'], column: 'o.sub', path: 'sub' },
+  { name: 'port', column: 'p.port_number', path: 'id', numeric: true },
+  { name: 'label', column: 'p.label', path: 'label' },
+  { name: 'status', column: 'p.status', path: 'status', exact: true },
+  { name: 'customer', aliases: ['destination'], column: 'p.destination', path: 'destination' },
+  { name: 'cct', aliases: ['cctnumber'], column: 'p.otdrDistance', path: 'otdrDistance' },
+  { name: 'olt', aliases: ['cea', 'ceaoltport'], column: 'p.fiberType', path: 'fiberType' },
+  { name: 'location', aliases: ['customerlocation'], column: 'p.connectorType', path: 'connectorType' },
+  { name: 'gps', aliases: ['customergps'], column: 'p.branchingJoint', path: 'branchingJoint' },
+  { name: 'joint', aliases: ['livebranchingjoint'], column: 'p.cxLocation', path: 'cxLocation' },
+  { name: 'otdr', aliases: ['otdrreading'], column: 'p.otdrDistanceValue', path: 'otdrDistanceValue' },
+  { name: 'notes', column: 'p.notes', path: 'notes' },
+  { name: 'custom', path: 'customFields', custom: true }
+];
+
+// Port fields searched by terms without a field qualifier
+const FREE_TEXT_FIELDS = SEARCH_FIELDS.filter(field => field.column && field.column.startsWith('p.') && !field.numeric)
+  .concat(SEARCH_FIELDS.filter(field => field.custom));
+
+const SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_PAGE_SIZE = 200;
+
+// Columns of the ft_ports_search index (migration 009), in index order
+const FULLTEXT_COLUMNS = 'p.label, p.status, p.destination, p.otdrDistance, p.otdrDistanceValue, '
+  + 'p.branchingJoint, p.cxLocation, p.notes, p.fiberType, p.connectorType, p.custom_text';
+// InnoDB does not index words shorter than innodb_ft_min_token_size
+const FULLTEXT_MIN_WORD = Number(process.env.FULLTEXT_MIN_WORD) || 3;
+
+const findSearchField = (name) => {
+  const lower = name.toLowerCase();
+  if (lower.startsWith('custom.') && name.length > 'custom.'.length) {
+    const label = name.slice('custom.'.length);
+    return { name: `custom.${label}`, path: `customFields.${label}`, custom: true, label };
+  }
+  return SEARCH_FIELDS.find(field => field.name === lower || (field.aliases || []).includes(lower)) || null;
+};
+
+/**
+ * Split a query such as `status:FAULTY region:KLY customer:"Bank" fibre*`
+ * into terms. `field:=value` matches exactly, a trailing `*` matches a
+ * prefix and anything else matches a substring (or the whole value for
+ * `exact` fields). Unknown `x:` prefixes are treated as plain text.
+ */
+const parseSearchQuery = (text) => {
+  const terms = [];
+  const pattern = /(?:([A-Za-z][\w.-]*):)?(=)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const [raw, fieldName, exact, quoted, bare] = match;
+    let field = fieldName ? findSearchField(fieldName) : null;
+    let value = quoted !== undefined ? quoted : bare;
+    if (fieldName && !field) {
+      value = raw;
+    }
+    let mode = exact || (field && field.exact) ? 'exact' : 'contains';
+    if (!exact && quoted === undefined && value.length > 1 && value.endsWith('*')) {
+      mode = 'prefix';
+      value = value.slice(0, -1);
+    }
+    value = value.trim();
+    if (!value) continue;
+    terms.push({ field: field || null, value, mode, raw });
+  }
+  return terms;
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const likePattern = (value, mode) => {
+  const escaped = escapeLike(value.toLowerCase());
+  return mode === 'prefix' ? `${escaped}%` : `%${escaped}%`;
+};
+
+const matchesText = (text, value, mode) => {
+  const haystack = toText(text).toLowerCase();
+  const needle = value.toLowerCase();
+  if (mode === 'exact') return haystack === needle;
+  if (mode === 'prefix') return haystack.startsWith(needle);
+  return haystack.includes(needle);
+};
+
+/**
+ * SQL condition and params for one term against one field.
+ */
+const fieldCondition = (field, value, mode) => {
+  if (field.numeric) {
+    return /^\d+$/.test(value) ? { sql: `${field.column} = ?`, params: [Number(value)] } : { sql: '1 = 0', params: [] };
+  }
+  if (field.custom) {
+    // JSON_SEARCH looks at values only; the document is lowercased for case-insensitive matching
+    const needle = mode === 'exact' ? escapeLike(value.toLowerCase()) : likePattern(value, mode);
+    if (field.label) {
+      return {
+        sql: `JSON_SEARCH(LOWER(JSON_OBJECT('v', JSON_EXTRACT(p.customFields, ?))), 'one', ?) IS NOT NULL`,
+        params: [`$."${field.label.replace(/["\\]/g, '\\$&')}"`, needle]
+      };
+    }
+    return { sql: `JSON_SEARCH(LOWER(CAST(p.customFields AS CHAR)), 'one', ?) IS NOT NULL`, params: [needle] };
+  }
+
+  const columnSql = `LOWER(COALESCE(${field.column}, ''))`;
+  const condition = mode === 'exact'
+    ? { sql: `${columnSql} = ?`, params: [value.toLowerCase()] }
+    : { sql: `${columnSql} LIKE ?`, params: [likePattern(value, mode)] };
+  if (field.name === 'region') {
+    // Regions can also be found by their short code (region:KLY)
+    return {
+      sql: `(${condition.sql} OR o.region IN (SELECT name FROM regions WHERE code = ?))`,
+      params: [...condition.params, value.toUpperCase()]
+    };
+  }
+  if (field.name === 'status') {
+    // Statuses can also be found by their label (status:"Under Test")
+    return {
+      sql: `(${condition.sql} OR p.status IN (SELECT code FROM port_statuses WHERE ${mode === 'exact' ? 'LOWER(label) = ?' : 'LOWER(label) LIKE ?'}))`,
+      params: [...condition.params, condition.params[0]]
+    };
+  }
+  return condition;
+};
+
+const termCondition = (term, freeFields) => {
+  const fields = term.field ? [term.field] : freeFields;
+  const parts = fields.map(field => fieldCondition(field, term.value, term.mode));
+  return {
+    sql: `(${parts.map(part => part.sql).join(' OR ')})`,
+    params: parts.flatMap(part => part.params)
+  };
+};
+
+const isOdfField = (field) => field.name === 'region' || field.name === 'sub';
+
+/**
+ * The first field of `row` that a term matched, as { path, value }.
+ * Port field qualifiers win over free text, which wins over region/sub.
+ */
+const findMatchedField = (row, terms) => {
+  const customFields = parseJsonField(row.customFields, {});
+  const ordered = [
+    ...terms.filter(term => term.field && !isOdfField(term.field)),
+    ...terms.filter(term => !term.field),
+    ...terms.filter(term => term.field && isOdfField(term.field))
+  ];
+  for (const term of ordered) {
+    const fields = term.field ? [term.field] : FREE_TEXT_FIELDS;
+    for (const field of fields) {
+      if (field.custom) {
+        const labels = field.label ? [field.label] : Object.keys(customFields);
+        const label = labels.find(key => matchesText(customFields[key], term.value, term.mode));
+        if (label !== undefined) return { path: `customFields.${label}`, value: toText(customFields[label]) };
+        continue;
+      }
+      const key = field.path === 'id' ? 'port_number' : field.path;
+      const value = row[key];
+      const matched = field.numeric ? String(value) === term.value : matchesText(value, term.value, term.mode);
+      if (matched) return { path: field.path, value: toText(value) };
+    }
+  }
+  return { path: '', value: '' };
+};
+
+/**
+ * Turn free-text terms into a boolean-mode full-text query. Each word must
+ * be present; plain and prefix terms match word prefixes, exact terms match
+ * the phrase. Terms with words too short for the index are left out and
+ * fall back to a LIKE scan.
+ */
+const buildFullTextQuery = (terms) => {
+  const used = [];
+  const parts = [];
+  terms.filter(term => !term.field).forEach(term => {
+    const words = term.value.split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    if (words.length === 0 || words.some(word => word.length < FULLTEXT_MIN_WORD)) return;
+    used.push(term);
+    if (term.mode === 'exact') {
+      parts.push(`+"${words.join(' ')}"`);
+    } else {
+      words.forEach(word => parts.push(`+${word}*`));
+    }
+  });
+  return { query: parts.join(' '), terms: used };
+};
+
+// Relevance as an integer so cursors compare it exactly
+const RELEVANCE_SQL = `CAST(ROUND(MATCH(${FULLTEXT_COLUMNS}) AGAINST(? IN BOOLEAN MODE) * 1000000) AS SIGNED)`;
+
+const encodeCursor = (row, ranked) =>
+  Buffer.from(JSON.stringify([
+    ...(ranked ? [Number(row.relevance)] : []),
+    row.region,
+    row.sub,
+    row.port_number
+  ])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(value) && (value.length === 3 || value.length === 4) && Number.isInteger(value[value.length - 1])) {
+      return value;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  throw error;
+};
+
+/**
+ * Search ports (and, on the first page, ODFs whose name matches) with a
+ * structured query. Free text goes through the full-text index and results
+ * are ranked by relevance, then region, sub and port number; filter-only
+ * queries are ordered by location. Pages are fetched with an opaque cursor.
+ */
+async function searchData(keyword, { cursor = null, limit = SEARCH_PAGE_SIZE } = {}) {
+  const trimmedKeyword = String(keyword || '').trim();
+  const terms = parseSearchQuery(trimmedKeyword);
+  const pageSize = Math.min(Math.max(Number(limit) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  const buildBaseLink = (region, sub) =>
+    `/odf.html?region=${encodeURIComponent(region)}&sub=${encodeURIComponent(sub)}`;
+
+  const fullText = buildFullTextQuery(terms);
+  const ranked = fullText.terms.length > 0;
+  // Exact terms still check the whole value; the index only finds the phrase
+  const conditions = terms
+    .filter(term => !fullText.terms.includes(term) || term.mode === 'exact')
+    .map(term => termCondition(term, FREE_TEXT_FIELDS));
+  const where = ['p.deleted_at IS NULL', 'o.deleted_at IS NULL', ...conditions.map(c => c.sql)];
+  const params = conditions.flatMap(c => c.params);
+  if (ranked) {
+    where.push(`MATCH(${FULLTEXT_COLUMNS}) AGAINST(? IN BOOLEAN MODE)`);
+    params.push(fullText.query);
+  }
+  if (after && after.length !== (ranked ? 4 : 3)) {
+    const error = new Error('Cursor does not belong to this query');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total
+     FROM ports p
+     JOIN odf_entries o ON p.odf_id = o.id
+     WHERE ${where.join(' AND ')}`,
+    params
+  );
 
-  // Search in ports across all important fields (including status/custom fields)
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (after && ranked) {
+    const [relevance, ...location] = after;
+    pageWhere.push(`(${RELEVANCE_SQL} < ? OR (${RELEVANCE_SQL} = ? AND (o.region, o.sub, p.port_number) > (?, ?, ?)))`);
+    pageParams.push(fullText.query, relevance, fullText.query, relevance, ...location);
+  } else if (after) {
+    pageWhere.push('(o.region, o.sub, p.port_number) > (?, ?, ?)');
+    pageParams.push(...after);
+  }
   const [portResults] = await pool.query(
     `SELECT p.port_number, p.label, p.status, p.destination, p.otdrDistance,
             p.otdrDistanceValue, p.branchingJoint, p.cxLocation, p.notes,
             p.fiberType, p.connectorType, p.customFields, o.region, o.sub
+            ${ranked ? `, ${RELEVANCE_SQL} AS relevance` : ''}
      FROM ports p
      JOIN odf_entries o ON p.odf_id = o.id
-     WHERE LOWER(COALESCE(p.label, '')) LIKE ?
-        OR LOWER(COALESCE(p.status, '')) LIKE ?
-        OR LOWER(COALESCE(p.destination, '')) LIKE ?
-        OR LOWER(COALESCE(p.notes, '')) LIKE ?
-        OR LOWER(COALESCE(p.fiberType, '')) LIKE ?
-        OR LOWER(COALESCE(p.connectorType, '')) LIKE ?
-        OR LOWER(COALESCE(p.otdrDistance, '')) LIKE ?
-        OR LOWER(COALESCE(p.otdrDistanceValue, '')) LIKE ?
-        OR LOWER(COALESCE(p.branchingJoint, '')) LIKE ?
-        OR LOWER(COALESCE(p.cxLocation, '')) LIKE ?
-        OR LOWER(COALESCE(CAST(p.customFields AS CHAR), '')) LIKE ?
-     LIMIT 100`,
-    [
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower,
-      keywordLower
-    ]
-  );
-
-  for (const row of portResults) {
+     WHERE ${pageWhere.join(' AND ')}
+     ORDER BY ${ranked ? 'relevance DESC, ' : ''}o.region, o.sub, p.port_number
+     LIMIT ?`,
+    [...(ranked ? [fullText.query] : []), ...pageParams, pageSize + 1]
+  );
+
+  const hasMore = portResults.length > pageSize;
+  const pageRows = portResults.slice(0, pageSize);
+  const items = [];
+
+  // ODF-level hits (the sub ODF itself) when the query names a region or sub
+  const odfTerms = terms.filter(term => !term.field || isOdfField(term.field));
+  if (!after && odfTerms.length === terms.length && terms.some(term => !term.field)) {
+    const nameFields = SEARCH_FIELDS.filter(isOdfField);
+    const odfConditions = odfTerms.map(term => termCondition(term, nameFields));
+    const [odfResults] = await pool.query(
+      `SELECT o.region, o.sub
+       FROM odf_entries o
+       WHERE o.deleted_at IS NULL AND ${odfConditions.map(c => c.sql).join(' AND ')}
+       ORDER BY o.region, o.sub
+       LIMIT 20`,
+      odfConditions.flatMap(c => c.params)
+    );
+    odfResults.forEach(odf => {
+      const link = buildBaseLink(odf.region, odf.sub);
+      const nameMatchesSub = odfTerms.some(term => !term.field && matchesText(odf.sub, term.value, term.mode));
+      items.push({
+        region: odf.region,
+        sub: odf.sub,
+        storageKey: `${odf.region}||${odf.sub}`,
+        jsonPath: `odf["${odf.region}||${odf.sub}"]`,
+        matchedValue: nameMatchesSub ? odf.sub : odf.region,
+        link,
+        exactLink: link,
+        portNumber: null,
+        fieldPath: nameMatchesSub ? 'sub' : 'region',
+        keyword: trimmedKeyword
+      });
+    });
+  }
+
+  pageRows.forEach(row => {
     const baseLink = buildBaseLink(row.region, row.sub);
     const exactLink = `${baseLink}&port=${encodeURIComponent(row.port_number)}`;
-    pushUnique({
+    const matched = findMatchedField(row, terms);
+    items.push({
       region: row.region,
       sub: row.sub,
       storageKey: `${row.region}||${row.sub}`,
-      jsonPath: `odf["${row.region}||${row.sub}"].ports[${row.port_number - 1}]`,
-      matchedValue: `Port ${row.port_number}: ${row.label || ''} | ${row.status || ''} | ${row.destination || ''}`.trim(),
+      jsonPath: `odf["${row.region}||${row.sub}"].ports[${row.port_number - 1}]${matched.path ? `.${matched.path}` : ''}`,
+      matchedValue: matched.value || `Port ${row.port_number}: ${row.label || ''} | ${row.status || ''} | ${row.destination || ''}`.trim(),
       link: exactLink,
       exactLink,
       portNumber: row.port_number,
-      fieldPath: '',
+      fieldPath: matched.path,
+      relevance: ranked ? Number(row.relevance) / 1000000 : null,
       keyword: trimmedKeyword
     });
-    if (resultMap.size >= limit) break;
+  });
+
+  return {
+    keyword: trimmedKeyword,
+    terms: terms.map(term => ({ field: term.field ? term.field.name : null, value: term.value, mode: term.mode, raw: term.raw })),
+    total: Number(total),
+    items,
+    ranked,
+    nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1], ranked) : null
+  };
+}
+
+/**
+ * 409 response for a stale save. Includes the current entry so the client
+ * can show which ports differ and merge.
+ */
+async function sendConflict(res, region, sub) {
+  const current = await getOdfEntry(region, sub);
+  const version = current ? current.version : 0;
+  sendError(res, 409, 'Conflict', {
+    details: 'This ODF was changed by someone else since it was loaded.',
+    version,
+    current
+  }, { ETag: toEtag(version) });
+}
+
+// ========== RECYCLE BIN ==========
+const conflictError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Deleted ODFs, and ports deleted from ODFs that are still in use, newest
+ * first. Ports of a deleted ODF are not listed; they come back with it.
+ */
+async function listRecycleBin({ region = null } = {}) {
+  const regionFilter = region ? 'AND o.region = ?' : '';
+  const params = region ? [region] : [];
+
+  const [odfRows] = await pool.query(
+    `SELECT o.id, o.region, o.sub, o.deleted_at, o.deleted_by, COUNT(p.id) AS portCount
+     FROM odf_entries o
+     LEFT JOIN ports p ON p.odf_id = o.id AND p.deleted_at IS NULL
+     WHERE o.deleted_at IS NOT NULL ${regionFilter}
+     GROUP BY o.id, o.region, o.sub, o.deleted_at, o.deleted_by
+     ORDER BY o.deleted_at DESC`,
+    params
+  );
+  const [portRows] = await pool.query(
+    `SELECT p.id, o.region, o.sub, p.port_number, p.label, p.status, p.destination,
+            p.deleted_at, p.deleted_by
+     FROM ports p
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE p.deleted_at IS NOT NULL AND o.deleted_at IS NULL ${regionFilter}
+     ORDER BY p.deleted_at DESC, p.port_number DESC`,
+    params
+  );
+
+  return {
+    retentionDays: RECYCLE_RETENTION_DAYS,
+    odfs: odfRows.map(row => ({
+      id: row.id,
+      region: row.region,
+      sub: row.sub,
+      portCount: Number(row.portCount),
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by || ''
+    })),
+    ports: portRows.map(row => ({
+      id: row.id,
+      region: row.region,
+      sub: row.sub,
+      portNumber: row.port_number,
+      label: toText(row.label),
+      status: row.status,
+      destination: toText(row.destination),
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by || ''
+    }))
+  };
+}
+
+/**
+ * Bring a deleted ODF back, together with its sub region entry.
+ * Fails with 409 if a live ODF with the same name was created meanwhile.
+ * Returns null if the id is not in the recycle bin.
+ */
+async function restoreOdfEntry(id, { actor = '' } = {}) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      'SELECT id, region, sub, version FROM odf_entries WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const { region, sub } = rows[0];
+    if (await lockOdfEntry(connection, region, sub)) {
+      throw conflictError(`Sub ODF "${sub}" already exists in ${region}. Rename it before restoring.`);
+    }
+
+    // Bump the version so pages still open from before the delete cannot overwrite it
+    const version = Number(rows[0].version) + 1;
+    await connection.execute(
+      'UPDATE odf_entries SET deleted_at = NULL, deleted_by = NULL, version = ?, lastSave = ? WHERE id = ?',
+      [version, new Date(), id]
+    );
+    await connection.execute('INSERT IGNORE INTO subregions (region, sub) VALUES (?, ?)', [region, sub]);
+    await recordAudit(connection, [{ actor, action: 'odf.restore', region, sub, changes: {} }]);
+
+    await connection.commit();
+    return { region, sub, version };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Bring a deleted port back into its ODF. Ports are numbered without gaps,
+ * so only the port right after the current last one can be restored.
+ * Returns null if the id is not in the recycle bin.
+ */
+async function restorePort(id, { actor = '' } = {}) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      `SELECT p.id, p.port_number, o.region, o.sub
+       FROM ports p
+       JOIN odf_entries o ON o.id = p.odf_id
+       WHERE p.id = ? AND p.deleted_at IS NOT NULL AND o.deleted_at IS NULL`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const { region, sub } = rows[0];
+    const portNumber = Number(rows[0].port_number);
+    const entry = await lockOdfEntry(connection, region, sub);
+    const live = await loadPortsForUpdate(connection, entry.id);
+    if (live.has(portNumber)) {
+      throw conflictError(`Port ${portNumber} is already in use in ${sub}`);
+    }
+    if (portNumber !== live.size + 1) {
+      throw conflictError(`Port ${portNumber} can only be restored after ports 1-${portNumber - 1} exist`);
+    }
+
+    const version = entry.version + 1;
+    const displayCount = Math.max(entry.displayCount, portNumber);
+    await connection.execute(
+      'UPDATE ports SET deleted_at = NULL, deleted_by = NULL, version = ? WHERE id = ?',
+      [version, id]
+    );
+    await connection.execute(
+      'UPDATE odf_entries SET version = ?, lastSave = ?, displayCount = ? WHERE id = ?',
+      [version, new Date(), displayCount, entry.id]
+    );
+    await recordAudit(connection, [{ actor, action: 'port.restore', region, sub, portNumber, changes: {} }]);
+
+    await connection.commit();
+    return { region, sub, portNumber, version };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Permanently remove recycle-bin items deleted more than `olderThanDays`
+ * days ago. Returns the number of ODFs and ports removed.
+ */
+async function purgeRecycleBin({ olderThanDays = RECYCLE_RETENTION_DAYS, actor = '' } = {}) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [odfRows] = await connection.execute(
+      'SELECT id, region, sub FROM odf_entries WHERE deleted_at < ? FOR UPDATE',
+      [cutoff]
+    );
+    const [portRows] = await connection.execute(
+      `SELECT p.id, p.port_number, o.region, o.sub
+       FROM ports p
+       JOIN odf_entries o ON o.id = p.odf_id
+       WHERE p.deleted_at < ? AND o.deleted_at IS NULL
+       FOR UPDATE`,
+      [cutoff]
+    );
+
+    const deleteIds = async (table, ids) => {
+      const batchSize = 500;
+      for (let i = 0; i < ids.length; i += batchSize) {
+        const batch = ids.slice(i, i + batchSize);
+        await connection.execute(
+          `DELETE FROM ${table} WHERE id IN (${batch.map(() => '?').join(', ')})`,
+          batch
+        );
+      }
+    };
+    // Attachment and OTDR trace rows go with their ports and ODFs through the cascade; the files are removed after commit
+    const [attachmentRows] = await connection.execute(
+      `SELECT a.stored_name
+       FROM attachments a
+       JOIN odf_entries o ON o.id = a.odf_id
+       LEFT JOIN ports p ON p.id = a.port_id
+       WHERE o.deleted_at < ? OR (p.deleted_at < ? AND o.deleted_at IS NULL)
+       UNION ALL
+       SELECT t.stored_name
+       FROM otdr_traces t
+       JOIN ports p ON p.id = t.port_id
+       JOIN odf_entries o ON o.id = p.odf_id
+       WHERE o.deleted_at < ? OR (p.deleted_at < ? AND o.deleted_at IS NULL)`,
+      [cutoff, cutoff, cutoff, cutoff]
+    );
+
+    // Ports of purged ODFs go with them through the cascade
+    await deleteIds('ports', portRows.map(r => r.id));
+    await deleteIds('odf_entries', odfRows.map(r => r.id));
+
+    await recordAudit(connection, [
+      ...odfRows.map(row => ({ actor, action: 'odf.purge', region: row.region, sub: row.sub, changes: {} })),
+      ...portRows.map(row => ({
+        actor,
+        action: 'port.purge',
+        region: row.region,
+        sub: row.sub,
+        portNumber: row.port_number,
+        changes: {}
+      }))
+    ]);
+
+    await connection.commit();
+    await removeAttachmentFiles(attachmentRows.map(row => row.stored_name));
+    return { odfs: odfRows.length, ports: portRows.length };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// ========== PORT LINKS ==========
+const LINK_TYPES = ['jumper', 'splice', 'patch'];
+// A port has a front (patch/jumper) and a rear (splice) side, so at most two links
+const MAX_LINKS_PER_PORT = 2;
+const MAX_TRACE_HOPS = 200;
+
+const describePortRef = (port) => `${port.region} / ${port.sub} / Port ${port.portNumber}`;
+
+const mapLinkedPort = (row) => ({
+  id: row.id,
+  region: row.region,
+  sub: row.sub,
+  portNumber: row.port_number,
+  label: toText(row.label),
+  status: row.status,
+  destination: toText(row.destination)
+});
+
+/**
+ * Look up a live port by region, sub and port number.
+ * Returns { id, region, sub, portNumber, label, status, destination } or null.
+ */
+async function findPort(connection, region, sub, portNumber) {
+  const [rows] = await connection.execute(
+    `SELECT p.id, p.port_number, p.label, p.status, p.destination, o.region, o.sub
+     FROM ports p
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE o.region = ? AND o.sub = ? AND p.port_number = ?
+       AND o.deleted_at IS NULL AND p.deleted_at IS NULL`,
+    [region, sub, portNumber]
+  );
+  return rows.length > 0 ? mapLinkedPort(rows[0]) : null;
+}
+
+/**
+ * Links of one port, each with the live port at the other end.
+ */
+async function getPortLinks(connection, portId) {
+  const [rows] = await connection.execute(
+    `SELECT l.id AS link_id, l.link_type, l.notes,
+            p.id, p.port_number, p.label, p.status, p.destination, o.region, o.sub
+     FROM port_links l
+     JOIN ports p ON p.id = IF(l.port_a_id = ?, l.port_b_id, l.port_a_id)
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE (l.port_a_id = ? OR l.port_b_id = ?)
+       AND p.deleted_at IS NULL AND o.deleted_at IS NULL
+     ORDER BY l.id`,
+    [portId, portId, portId]
+  );
+  return rows.map(row => ({
+    link: { id: row.link_id, type: row.link_type, notes: row.notes },
+    port: mapLinkedPort(row)
+  }));
+}
+
+/**
+ * Connect two ports. Both ends get a `link.create` entry in their history.
+ */
+async function createPortLink(from, to, { type = 'jumper', notes = '', actor = '' } = {}) {
+  if (!LINK_TYPES.includes(type)) {
+    const error = new Error(`Link type must be one of: ${LINK_TYPES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const ends = [];
+    for (const ref of [from, to]) {
+      const port = await findPort(connection, ref.region, ref.sub, Number(ref.port));
+      if (!port) {
+        const error = new Error(`Port not found: ${ref.region} / ${ref.sub} / Port ${ref.port}`);
+        error.statusCode = 404;
+        throw error;
+      }
+      ends.push(port);
+    }
+    if (ends[0].id === ends[1].id) {
+      const error = new Error('A port cannot be linked to itself');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Lock both ports so two requests cannot each add a third link
+    const [portA, portB] = ends[0].id < ends[1].id ? ends : [ends[1], ends[0]];
+    await connection.execute('SELECT id FROM ports WHERE id IN (?, ?) FOR UPDATE', [portA.id, portB.id]);
+    for (const [index, port] of ends.entries()) {
+      const links = await getPortLinks(connection, port.id);
+      if (links.some(item => item.port.id === ends[1 - index].id)) {
+        throw conflictError('These ports are already linked');
+      }
+      if (links.length >= MAX_LINKS_PER_PORT) {
+        throw conflictError(`${describePortRef(port)} already has ${MAX_LINKS_PER_PORT} links`);
+      }
+    }
+
+    const cleanNotes = String(notes || '').trim().slice(0, 255);
+    const [result] = await connection.execute(
+      `INSERT INTO port_links (port_a_id, port_b_id, link_type, notes, created_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [portA.id, portB.id, type, cleanNotes, new Date(), actor]
+    );
+    await recordAudit(connection, ends.map((port, index) => ({
+      actor,
+      action: 'link.create',
+      region: port.region,
+      sub: port.sub,
+      portNumber: port.portNumber,
+      changes: { link: { before: null, after: `${type} to ${describePortRef(ends[1 - index])}` } }
+    })));
+
+    await connection.commit();
+    return { id: result.insertId, type, notes: cleanNotes, from: ends[0], to: ends[1] };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Remove a link. Returns false if it does not exist.
+ */
+async function deletePortLink(id, { actor = '' } = {}) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      `SELECT l.link_type, p.port_number, o.region, o.sub
+       FROM port_links l
+       JOIN ports p ON p.id IN (l.port_a_id, l.port_b_id)
+       JOIN odf_entries o ON o.id = p.odf_id
+       WHERE l.id = ?
+       ORDER BY p.id
+       FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    await connection.execute('DELETE FROM port_links WHERE id = ?', [id]);
+    const ends = rows.map(row => ({ region: row.region, sub: row.sub, portNumber: row.port_number }));
+    await recordAudit(connection, ends.map((port, index) => ({
+      actor,
+      action: 'link.delete',
+      region: port.region,
+      sub: port.sub,
+      portNumber: port.portNumber,
+      changes: { link: { before: `${rows[0].link_type} to ${describePortRef(ends[1 - index])}`, after: null } }
+    })));
+
+    await connection.commit();
+    return true;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Follow links from a port in both directions and return the circuit in
+ * order, end to end. Each hop carries the link that joins it to the hop
+ * before it. Returns null if the port does not exist.
+ */
+async function tracePort(region, sub, portNumber) {
+  const start = await findPort(pool, region, sub, portNumber);
+  if (!start) return null;
+
+  const visited = new Set([start.id]);
+  const sides = [];
+  let truncated = false;
+
+  for (const first of await getPortLinks(pool, start.id)) {
+    if (visited.has(first.port.id)) continue;
+    const side = [];
+    let step = first;
+    while (step) {
+      if (visited.size >= MAX_TRACE_HOPS) {
+        truncated = true;
+        break;
+      }
+      visited.add(step.port.id);
+      side.push(step);
+      const next = (await getPortLinks(pool, step.port.id)).find(item => !visited.has(item.port.id));
+      step = next || null;
+    }
+    sides.push(side);
+  }
+
+  // Lay the first side out before the start port and the second after it
+  const [before = [], after = []] = sides;
+  const hops = [];
+  before.slice().reverse().forEach((step, index, list) => {
+    hops.push({ ...step.port, link: index === 0 ? null : list[index - 1].link });
+  });
+  hops.push({ ...start, start: true, link: before.length > 0 ? before[0].link : null });
+  after.forEach(step => hops.push({ ...step.port, link: step.link }));
+
+  return { hops, truncated };
+}
+
+// ========== FAULTS ==========
+const FAULT_SELECT = `SELECT f.id, f.status, f.reporter, f.description, f.otdr_reading, f.assignee,
+            f.opened_at, f.closed_at, f.closed_by, f.resolution,
+            p.port_number, p.label, o.region, o.sub,
+            (SELECT COUNT(*) FROM fault_comments c WHERE c.fault_id = f.id) AS comment_count
+     FROM faults f
+     JOIN ports p ON p.id = f.port_id
+     JOIN odf_entries o ON o.id = p.odf_id`;
+
+const mapFaultRow = (row) => ({
+  id: row.id,
+  status: row.status,
+  region: row.region,
+  sub: row.sub,
+  portNumber: row.port_number,
+  portLabel: toText(row.label),
+  reporter: row.reporter,
+  description: toText(row.description),
+  otdrReading: toText(row.otdr_reading),
+  assignee: row.assignee || null,
+  openedAt: row.opened_at,
+  closedAt: row.closed_at,
+  closedBy: row.closed_by || null,
+  resolution: toText(row.resolution),
+  commentCount: Number(row.comment_count)
+});
+
+/**
+ * Faults newest first, filtered by region, sub and status ('open', 'closed'
+ * or 'all'). Faults on deleted ports or ODFs are left out.
+ */
+async function listFaults({ region = null, sub = null, status = 'open', limit = 500 } = {}) {
+  const where = ['p.deleted_at IS NULL', 'o.deleted_at IS NULL'];
+  const params = [];
+  if (region) {
+    where.push('o.region = ?');
+    params.push(region);
+  }
+  if (sub) {
+    where.push('o.sub = ?');
+    params.push(sub);
+  }
+  if (status !== 'all') {
+    where.push('f.status = ?');
+    params.push(status === 'closed' ? 'CLOSED' : 'OPEN');
+  }
+  const [rows] = await pool.query(
+    `${FAULT_SELECT}
+     WHERE ${where.join(' AND ')}
+     ORDER BY f.opened_at DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(mapFaultRow);
+}
+
+/**
+ * One fault with its comments, or null.
+ */
+async function getFault(id) {
+  const [rows] = await pool.query(`${FAULT_SELECT} WHERE f.id = ?`, [id]);
+  if (rows.length === 0) return null;
+  const [comments] = await pool.query(
+    'SELECT id, author, body, created_at FROM fault_comments WHERE fault_id = ? ORDER BY created_at, id',
+    [id]
+  );
+  return {
+    ...mapFaultRow(rows[0]),
+    comments: comments.map(row => ({ id: row.id, author: row.author, body: row.body, createdAt: row.created_at }))
+  };
+}
+
+/**
+ * Open or close faults to match port status changes made by a save.
+ * A port switched to FAULTY gets a new fault (details come from the
+ * incoming port's optional `fault: { description, otdrReading }`); a port
+ * switched from FAULTY to another status closes its open fault.
+ */
+async function syncFaultsWithStatus(connection, odfId, changes, ports, { actor, region, sub }) {
+  const statusChanges = changes.filter(change => change.values.status && change.type !== 'delete');
+  if (statusChanges.length === 0) return;
+
+  const placeholders = statusChanges.map(() => '?').join(', ');
+  const [portRows] = await connection.execute(
+    `SELECT p.id, p.port_number, f.id AS fault_id
+     FROM ports p
+     LEFT JOIN faults f ON f.port_id = p.id AND f.status = 'OPEN'
+     WHERE p.odf_id = ? AND p.deleted_at IS NULL AND p.port_number IN (${placeholders})`,
+    [odfId, ...statusChanges.map(change => change.portNumber)]
+  );
+  const byNumber = new Map(portRows.map(row => [row.port_number, row]));
+  const now = new Date();
+  const auditEntries = [];
+
+  for (const change of statusChanges) {
+    const row = byNumber.get(change.portNumber);
+    if (!row) continue;
+    const { before, after } = change.values.status;
+
+    if (after === 'FAULTY' && !row.fault_id) {
+      const incoming = ports.find(port => Number(port.id) === change.portNumber);
+      const details = incoming && incoming.fault && typeof incoming.fault === 'object' ? incoming.fault : {};
+      const description = toText(details.description).trim();
+      const otdrReading = toText(details.otdrReading).trim().slice(0, 255);
+      const [result] = await connection.execute(
+        `INSERT INTO faults (port_id, status, reporter, description, otdr_reading, opened_at)
+         VALUES (?, 'OPEN', ?, ?, ?, ?)`,
+        [row.id, actor, description, otdrReading, now]
+      );
+      auditEntries.push({
+        actor,
+        action: 'fault.open',
+        region,
+        sub,
+        portNumber: change.portNumber,
+        changes: {
+          fault: { before: null, after: `#${result.insertId}` },
+          ...(description ? { description: { before: null, after: description } } : {}),
+          ...(otdrReading ? { otdrReading: { before: null, after: otdrReading } } : {})
+        }
+      });
+    } else if (before === 'FAULTY' && after !== 'FAULTY' && row.fault_id) {
+      const resolution = `Port status changed to ${after}`;
+      await connection.execute(
+        `UPDATE faults SET status = 'CLOSED', closed_at = ?, closed_by = ?, resolution = ?
+         WHERE id = ?`,
+        [now, actor, resolution, row.fault_id]
+      );
+      auditEntries.push({
+        actor,
+        action: 'fault.close',
+        region,
+        sub,
+        portNumber: change.portNumber,
+        changes: { fault: { before: `#${row.fault_id}`, after: null }, resolution: { before: null, after: resolution } }
+      });
+    }
+  }
+
+  await recordAudit(connection, auditEntries);
+}
+
+/**
+ * Lock an open fault with its port and ODF for a fault action.
+ * Throws 404 if unknown and 409 if already closed.
+ */
+async function lockOpenFault(connection, id) {
+  const [rows] = await connection.execute(
+    `SELECT f.id, f.status, f.assignee, p.id AS port_id, p.port_number, p.status AS port_status,
+            p.deleted_at AS port_deleted_at, o.id AS odf_id, o.region, o.sub
+     FROM faults f
+     JOIN ports p ON p.id = f.port_id
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE f.id = ?
+     FOR UPDATE`,
+    [id]
+  );
+  if (rows.length === 0) {
+    const error = new Error('Fault not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (rows[0].status !== 'OPEN') {
+    throw conflictError(`Fault #${id} is already closed`);
+  }
+  return rows[0];
+}
+
+/**
+ * Run a fault action in a transaction with the locked fault row.
+ */
+async function withOpenFault(id, action) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const fault = await lockOpenFault(connection, id);
+    await action(connection, fault);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+  return getFault(id);
+}
+
+async function assignFault(id, assignee, { actor = '' } = {}) {
+  let username = null;
+  if (assignee) {
+    const user = await auth.findUserByName(assignee);
+    if (!user || !auth.hasRole(user, 'technician')) {
+      const error = new Error(`"${assignee}" is not a technician account`);
+      error.statusCode = 400;
+      throw error;
+    }
+    username = user.username;
+  }
+
+  return withOpenFault(id, async (connection, fault) => {
+    if ((fault.assignee || null) === username) return;
+    await connection.execute('UPDATE faults SET assignee = ? WHERE id = ?', [username, id]);
+    await recordAudit(connection, [{
+      actor,
+      action: 'fault.assign',
+      region: fault.region,
+      sub: fault.sub,
+      portNumber: fault.port_number,
+      changes: { assignee: { before: fault.assignee || null, after: username } }
+    }]);
+  });
+}
+
+async function addFaultComment(id, body, { actor = '' } = {}) {
+  const text = String(body || '').trim();
+  if (!text) {
+    const error = new Error('Comment cannot be empty');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return withOpenFault(id, async (connection, fault) => {
+    await connection.execute(
+      'INSERT INTO fault_comments (fault_id, author, body, created_at) VALUES (?, ?, ?, ?)',
+      [id, actor, text, new Date()]
+    );
+    await recordAudit(connection, [{
+      actor,
+      action: 'fault.comment',
+      region: fault.region,
+      sub: fault.sub,
+      portNumber: fault.port_number,
+      changes: { comment: { before: null, after: text } }
+    }]);
+  });
+}
+
+/**
+ * Close a fault and return its port from FAULTY to ACTIVE. The port keeps
+ * its status when the configured transitions do not allow that move.
+ */
+async function closeFault(id, resolution, { actor = '' } = {}) {
+  const text = String(resolution || '').trim();
+
+  return withOpenFault(id, async (connection, fault) => {
+    const now = new Date();
+    await connection.execute(
+      `UPDATE faults SET status = 'CLOSED', closed_at = ?, closed_by = ?, resolution = ?
+       WHERE id = ?`,
+      [now, actor, text, id]
+    );
+    const auditEntries = [{
+      actor,
+      action: 'fault.close',
+      region: fault.region,
+      sub: fault.sub,
+      portNumber: fault.port_number,
+      changes: { fault: { before: `#${id}`, after: null }, resolution: { before: null, after: text } }
+    }];
+
+    if (fault.port_status === 'FAULTY' && !fault.port_deleted_at) {
+      const entry = await lockOdfEntry(connection, fault.region, fault.sub);
+      const blocked = statusValidator(await listPortStatuses(connection))(
+        fault.port_number, { status: 'ACTIVE' }, ['status'], { status: 'FAULTY' }
+      );
+      if (entry && blocked.length === 0) {
+        const version = entry.version + 1;
+        const summary = await applyPortChanges(connection, entry.id, [{ id: fault.port_number, status: 'ACTIVE' }], {
+          version,
+          partial: true,
+          actor
+        });
+        await connection.execute('UPDATE odf_entries SET version = ?, lastSave = ? WHERE id = ?', [version, now, entry.id]);
+        auditEntries.push(...portAuditEntries(summary.changes, { actor, region: fault.region, sub: fault.sub }));
+      }
+    }
+    await recordAudit(connection, auditEntries);
+  });
+}
+
+// ========== RESERVATIONS ==========
+// A port promised to a pending connection is RESERVED for a holder until an
+// expiry date (inclusive). While the reservation runs the port cannot go to
+// any other customer; once it has expired, releaseExpiredReservations() puts
+// the port back to INACTIVE.
+const RESERVATION_CHECK_MS = 60 * 60 * 1000;
+const RESERVATION_ACTOR = 'system';
+
+const todayDate = () => new Date().toISOString().slice(0, 10);
+
+const isReservationActive = (columns) =>
+  columns.status === 'RESERVED' && (!columns.reservedUntil || columns.reservedUntil >= todayDate());
+
+const sameHolder = (a, b) => toText(a).trim().toLowerCase() === toText(b).trim().toLowerCase();
+
+/**
+ * Field errors for the reservation rules on a written port, with the same
+ * arguments as a portFieldValidator() check: a RESERVED port needs a holder
+ * and an expiry date, and a running reservation keeps its holder and blocks
+ * other customers until it is released.
+ */
+const reservationErrors = (portNumber, columns, changed, before) => {
+  const errors = [];
+  const path = (key) => `ports[${portNumber}].${key}`;
+  if (columns.status === 'RESERVED') {
+    if (!columns.reservedFor) {
+      errors.push({ path: path('reservedFor'), code: v.ERROR_CODES.required, message: 'Reserved for is required on RESERVED ports' });
+    }
+    if (!columns.reservedUntil) {
+      errors.push({ path: path('reservedUntil'), code: v.ERROR_CODES.required, message: 'Reserved until is required on RESERVED ports' });
+    } else if (changed.includes('reservedUntil') && columns.reservedUntil < todayDate()) {
+      errors.push({ path: path('reservedUntil'), code: v.ERROR_CODES.range, message: 'Reserved until must not be in the past' });
+    }
+  }
+
+  if (!before || !isReservationActive(before)) return errors;
+  const held = `Port ${portNumber} is reserved for ${before.reservedFor} until ${before.reservedUntil}`;
+  if (columns.status === 'RESERVED' && changed.includes('reservedFor') && !sameHolder(columns.reservedFor, before.reservedFor)) {
+    errors.push({ path: path('reservedFor'), code: v.ERROR_CODES.value, message: `${held}; release it before reserving it for someone else` });
+  }
+  if ((changed.includes('destination') || changed.includes('status')) &&
+      columns.destination.trim() && !sameHolder(columns.destination, before.reservedFor)) {
+    errors.push({ path: path('reservedFor'), code: v.ERROR_CODES.value, message: `${held} and cannot be assigned to ${columns.destination.trim()}` });
+  }
+  return errors;
+};
+
+/**
+ * Release every reservation whose expiry date has passed. Each affected ODF
+ * gets a new version, and each port a `port.reservation_expired` audit entry
+ * by the `system` actor. A sub ODF that fails is logged and skipped. Returns
+ * the number of ports released.
+ */
+async function releaseExpiredReservations() {
+  const today = todayDate();
+  const [odfs] = await pool.execute(
+    `SELECT DISTINCT o.region, o.sub
+     FROM ports p
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE p.status = 'RESERVED' AND p.reservedUntil <> '' AND p.reservedUntil < ?
+       AND p.deleted_at IS NULL AND o.deleted_at IS NULL`,
+    [today]
+  );
+
+  let released = 0;
+  for (const { region, sub } of odfs) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const entry = await lockOdfEntry(connection, region, sub);
+      // Checked again under the lock: the reservation may have been extended meanwhile
+      const [rows] = entry ? await connection.execute(
+        `SELECT port_number FROM ports
+         WHERE odf_id = ? AND status = 'RESERVED' AND reservedUntil <> '' AND reservedUntil < ?
+           AND deleted_at IS NULL`,
+        [entry.id, today]
+      ) : [[]];
+      if (rows.length === 0) {
+        await connection.rollback();
+        continue;
+      }
+
+      const version = entry.version + 1;
+      const ports = rows.map(row => ({ id: row.port_number, status: 'INACTIVE' }));
+      const summary = await applyPortChanges(connection, entry.id, ports, { version, partial: true, actor: RESERVATION_ACTOR });
+      await connection.execute(
+        'UPDATE odf_entries SET lastSave = ?, version = ? WHERE id = ?',
+        [new Date(), version, entry.id]
+      );
+      await recordAudit(connection, portAuditEntries(summary.changes, { actor: RESERVATION_ACTOR, region, sub })
+        .map(auditEntry => ({ ...auditEntry, action: 'port.reservation_expired' })));
+      await connection.commit();
+      released += summary.updated;
+    } catch (err) {
+      await connection.rollback();
+      // e.g. RESERVED -> INACTIVE is no longer an allowed transition; the
+      // other sub ODFs are still released
+      console.error(`Releasing expired reservations in ${region} / ${sub} failed:`, err.message);
+    } finally {
+      connection.release();
+    }
+  }
+  return released;
+}
+
+// ========== OTDR TRACES ==========
+// Real .sor files are well under 1 MB
+const MAX_SOR_BYTES = 5_000_000;
+
+const TRACE_COLUMNS = `t.id, t.file_name, t.wavelength, t.pulse_width, t.fiber_length, t.total_loss,
+            t.length_change, t.flagged, t.uploaded_at, t.uploaded_by`;
+
+const mapTraceRow = (row) => ({
+  id: row.id,
+  fileName: row.file_name,
+  wavelength: row.wavelength === null ? null : Number(row.wavelength),
+  pulseWidth: row.pulse_width,
+  fiberLength: row.fiber_length,
+  totalLoss: row.total_loss,
+  lengthChange: row.length_change,
+  flagged: Boolean(row.flagged),
+  uploadedAt: row.uploaded_at,
+  uploadedBy: row.uploaded_by
+});
+
+// History text for a trace, e.g. "span.sor: fibre end 12.345 km at 1550 nm"
+const describeTrace = (trace) =>
+  `${trace.fileName}: fibre end ${trace.fiberLength === null ? 'not found' : `${trace.fiberLength} km`}`
+  + `${trace.wavelength ? ` at ${trace.wavelength} nm` : ''}`;
+
+/**
+ * Traces of one port, newest first, without the parsed detail. Returns null
+ * if the port does not exist.
+ */
+async function listOtdrTraces(region, sub, portNumber) {
+  const port = await findPort(pool, region, sub, portNumber);
+  if (!port) return null;
+  const [rows] = await pool.execute(
+    `SELECT ${TRACE_COLUMNS} FROM otdr_traces t WHERE t.port_id = ? ORDER BY t.id DESC`,
+    [port.id]
+  );
+  return rows.map(mapTraceRow);
+}
+
+/**
+ * One trace with its port and everything parsed from the file (events,
+ * acquisition settings, plot points), or null.
+ */
+async function getOtdrTrace(id) {
+  const [rows] = await pool.execute(
+    `SELECT ${TRACE_COLUMNS}, t.result, p.port_number, o.region, o.sub
+     FROM otdr_traces t
+     JOIN ports p ON p.id = t.port_id
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE t.id = ?`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+  const row = rows[0];
+  return {
+    ...mapTraceRow(row),
+    region: row.region,
+    sub: row.sub,
+    portNumber: row.port_number,
+    result: parseJsonField(row.result, {})
+  };
+}
+
+/**
+ * The uploaded file as { fileName, filePath }, or null.
+ */
+async function getOtdrFile(id) {
+  const [rows] = await pool.execute('SELECT file_name, stored_name FROM otdr_traces WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  return { fileName: rows[0].file_name, filePath: attachmentPath(rows[0].stored_name) };
+}
+
+/**
+ * Stream a .sor file (the request body) to ATTACHMENTS_DIR, parse it and
+ * record it for a port. The fibre end distance is compared with the port's
+ * previous trace at the same wavelength; a change of more than
+ * OTDR_TOLERANCE_METRES flags the trace. Returns the new trace, or null if
+ * the port does not exist.
+ */
+async function uploadOtdrTrace(req, { region, sub, portNumber, fileName = '', actor = '' }) {
+  if (!(await findPort(pool, region, sub, portNumber))) return null;
+  const name = path.basename(String(fileName || '').trim()) || `port-${portNumber}.sor`;
+
+  await fs.promises.mkdir(ATTACHMENTS_DIR, { recursive: true });
+  const storedName = `${crypto.randomUUID()}.sor`;
+  await writeRequestToFile(req, attachmentPath(storedName), MAX_SOR_BYTES);
+
+  const connection = await pool.getConnection();
+  try {
+    const result = parseSor(await fs.promises.readFile(attachmentPath(storedName)));
+    await connection.beginTransaction();
+    const port = await findPort(connection, region, sub, portNumber);
+    if (!port) {
+      await connection.rollback();
+      await removeAttachmentFiles([storedName]);
+      return null;
+    }
+    // One upload at a time per port, so each trace is compared with the one before it
+    await connection.execute('SELECT id FROM ports WHERE id = ? FOR UPDATE', [port.id]);
+    const [previousRows] = await connection.execute(
+      `SELECT ${TRACE_COLUMNS} FROM otdr_traces t
+       WHERE t.port_id = ? AND t.wavelength <=> ?
+       ORDER BY t.id DESC LIMIT 1`,
+      [port.id, result.wavelength]
+    );
+    const previous = previousRows.length > 0 ? mapTraceRow(previousRows[0]) : null;
+    const lengthChange = previous && previous.fiberLength !== null && result.fiberLength !== null
+      ? Math.round((result.fiberLength - previous.fiberLength) * 10000) / 10
+      : null;
+    const flagged = lengthChange !== null && Math.abs(lengthChange) > OTDR_TOLERANCE_METRES;
+
+    const uploadedAt = new Date();
+    const [insert] = await connection.execute(
+      `INSERT INTO otdr_traces (port_id, file_name, stored_name, wavelength, pulse_width, fiber_length, total_loss,
+         length_change, flagged, result, uploaded_at, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [port.id, name, storedName, result.wavelength, result.pulseWidth || null, result.fiberLength, result.totalLoss,
+        lengthChange, flagged ? 1 : 0, JSON.stringify(result), uploadedAt, actor]
+    );
+    const trace = {
+      id: insert.insertId,
+      fileName: name,
+      wavelength: result.wavelength,
+      pulseWidth: result.pulseWidth || null,
+      fiberLength: result.fiberLength,
+      totalLoss: result.totalLoss,
+      lengthChange,
+      flagged,
+      uploadedAt,
+      uploadedBy: actor
+    };
+    await recordAudit(connection, [{
+      actor,
+      action: 'otdr.upload',
+      region: port.region,
+      sub: port.sub,
+      portNumber: port.portNumber,
+      changes: { otdrTrace: { before: previous ? describeTrace(previous) : null, after: describeTrace(trace) } }
+    }]);
+    await connection.commit();
+    return { ...trace, region: port.region, sub: port.sub, portNumber: port.portNumber, result };
+  } catch (err) {
+    await connection.rollback();
+    await removeAttachmentFiles([storedName]);
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Remove a trace. Returns false if it does not exist.
+ */
+async function deleteOtdrTrace(id, { actor = '' } = {}) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      `SELECT ${TRACE_COLUMNS}, t.stored_name, p.port_number, o.region, o.sub
+       FROM otdr_traces t
+       JOIN ports p ON p.id = t.port_id
+       JOIN odf_entries o ON o.id = p.odf_id
+       WHERE t.id = ?
+       FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+    await connection.execute('DELETE FROM otdr_traces WHERE id = ?', [id]);
+    await recordAudit(connection, [{
+      actor,
+      action: 'otdr.delete',
+      region: rows[0].region,
+      sub: rows[0].sub,
+      portNumber: rows[0].port_number,
+      changes: { otdrTrace: { before: describeTrace(mapTraceRow(rows[0])), after: null } }
+    }]);
+    await connection.commit();
+    await removeAttachmentFiles([rows[0].stored_name]);
+    return true;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Ports of a sub ODF whose latest trace is flagged, as
+ * { portNumber, traceId, lengthChange }. Sent with GET /api/odf for the grid.
+ */
+async function listOtdrFlags(region, sub) {
+  const [rows] = await pool.execute(
+    `SELECT p.port_number, t.id, t.length_change
+     FROM otdr_traces t
+     JOIN ports p ON p.id = t.port_id
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE o.region = ? AND o.sub = ? AND o.deleted_at IS NULL AND p.deleted_at IS NULL
+       AND t.flagged = 1
+       AND t.id = (SELECT MAX(latest.id) FROM otdr_traces latest WHERE latest.port_id = t.port_id)
+     ORDER BY p.port_number`,
+    [region, sub]
+  );
+  return rows.map(row => ({ portNumber: row.port_number, traceId: row.id, lengthChange: row.length_change }));
+}
+
+// ========== ATTACHMENTS ==========
+// Accepted files by extension, with the type they are served as. SVG and
+// HTML are left out so an upload can never run script on this origin.
+const ATTACHMENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.sor': 'application/octet-stream'
+};
+// Types browsers show in the page; the rest are downloaded
+const INLINE_ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+
+const ATTACHMENT_SELECT = `SELECT a.id, a.file_name, a.stored_name, a.content_type, a.size, a.caption,
+            a.uploaded_at, a.uploaded_by, p.port_number, o.region, o.sub
+     FROM attachments a
+     JOIN odf_entries o ON o.id = a.odf_id
+     LEFT JOIN ports p ON p.id = a.port_id`;
+
+const mapAttachmentRow = (row) => ({
+  id: row.id,
+  region: row.region,
+  sub: row.sub,
+  portNumber: row.port_number === null || row.port_number === undefined ? null : row.port_number,
+  fileName: row.file_name,
+  contentType: row.content_type,
+  size: Number(row.size),
+  caption: row.caption,
+  uploadedAt: row.uploaded_at,
+  uploadedBy: row.uploaded_by
+});
+
+const attachmentPath = (storedName) => path.join(ATTACHMENTS_DIR, storedName);
+
+// Remove stored files, ignoring ones already gone. Runs after the rows are committed.
+async function removeAttachmentFiles(storedNames) {
+  for (const storedName of storedNames) {
+    try {
+      await fs.promises.rm(attachmentPath(storedName), { force: true });
+    } catch (err) {
+      console.error(`Unable to remove attachment file ${storedName}:`, err);
+    }
+  }
+}
+
+/**
+ * The live sub ODF, and port when `portNumber` is given, that an attachment
+ * belongs to, as { odfId, portId, region, sub, portNumber }; null if missing.
+ */
+async function findAttachmentTarget(db, region, sub, portNumber = null) {
+  const [rows] = await db.execute(
+    `SELECT o.id AS odf_id, p.id AS port_id, p.port_number, o.region, o.sub
+     FROM odf_entries o
+     LEFT JOIN ports p ON p.odf_id = o.id AND p.port_number = ? AND p.deleted_at IS NULL
+     WHERE o.region = ? AND o.sub = ? AND o.deleted_at IS NULL`,
+    [portNumber === null ? 0 : portNumber, region, sub]
+  );
+  if (rows.length === 0 || (portNumber !== null && rows[0].port_id === null)) return null;
+  const row = rows[0];
+  return {
+    odfId: row.odf_id,
+    portId: portNumber === null ? null : row.port_id,
+    region: row.region,
+    sub: row.sub,
+    portNumber
+  };
+}
+
+/**
+ * Attachments of a sub ODF, newest first: those of one port when
+ * `portNumber` is given, otherwise all of them (each with its portNumber,
+ * null for the sub ODF's own files). Returns null if the target is missing.
+ */
+async function listAttachments(region, sub, portNumber = null) {
+  const target = await findAttachmentTarget(pool, region, sub, portNumber);
+  if (!target) return null;
+  const [rows] = await pool.execute(
+    `${ATTACHMENT_SELECT}
+     WHERE a.odf_id = ? ${target.portId ? 'AND a.port_id = ?' : 'AND (p.id IS NULL OR p.deleted_at IS NULL)'}
+     ORDER BY a.id DESC`,
+    target.portId ? [target.odfId, target.portId] : [target.odfId]
+  );
+  return rows.map(mapAttachmentRow);
+}
+
+/**
+ * Stream an uploaded file (the request body) to ATTACHMENTS_DIR and record
+ * it against a sub ODF or port. Returns the attachment, or null if the
+ * target does not exist.
+ */
+async function uploadAttachment(req, { region, sub, portNumber = null, fileName, caption = '', actor = '' }) {
+  const name = path.basename(String(fileName || '').trim());
+  const extension = path.extname(name).toLowerCase();
+  const contentType = ATTACHMENT_TYPES[extension];
+  if (!name || !contentType) {
+    const error = new Error(`Attach a file of type ${Object.keys(ATTACHMENT_TYPES).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const target = await findAttachmentTarget(pool, region, sub, portNumber);
+  if (!target) return null;
+
+  await fs.promises.mkdir(ATTACHMENTS_DIR, { recursive: true });
+  const storedName = `${crypto.randomUUID()}${extension}`;
+  const size = await writeRequestToFile(req, attachmentPath(storedName), MAX_ATTACHMENT_BYTES);
+  if (size === 0) {
+    await removeAttachmentFiles([storedName]);
+    const error = new Error('The uploaded file is empty');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const uploadedAt = new Date();
+    const cleanCaption = String(caption || '').trim().slice(0, 255);
+    const [result] = await connection.execute(
+      `INSERT INTO attachments (odf_id, port_id, file_name, stored_name, content_type, size, caption, uploaded_at, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [target.odfId, target.portId, name, storedName, contentType, size, cleanCaption, uploadedAt, actor]
+    );
+    await recordAudit(connection, [{
+      actor,
+      action: 'attachment.upload',
+      region: target.region,
+      sub: target.sub,
+      ...(target.portNumber === null ? {} : { portNumber: target.portNumber }),
+      changes: { attachment: { before: null, after: name } }
+    }]);
+    await connection.commit();
+    return mapAttachmentRow({
+      id: result.insertId,
+      region: target.region,
+      sub: target.sub,
+      port_number: target.portNumber,
+      file_name: name,
+      content_type: contentType,
+      size,
+      caption: cleanCaption,
+      uploaded_at: uploadedAt,
+      uploaded_by: actor
+    });
+  } catch (err) {
+    await connection.rollback();
+    await removeAttachmentFiles([storedName]);
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * An attachment of a live sub ODF (and port) with the path of its file, or null.
+ */
+async function getAttachment(id) {
+  const [rows] = await pool.execute(
+    `${ATTACHMENT_SELECT}
+     WHERE a.id = ? AND o.deleted_at IS NULL AND (p.id IS NULL OR p.deleted_at IS NULL)`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+  return { ...mapAttachmentRow(rows[0]), filePath: attachmentPath(rows[0].stored_name) };
+}
+
+/**
+ * Delete an attachment and its file. Returns false if it does not exist.
+ */
+async function deleteAttachment(id, { actor = '' } = {}) {
+  const connection = await pool.getConnection();
+  let storedName;
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(`${ATTACHMENT_SELECT} WHERE a.id = ? FOR UPDATE`, [id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+    const attachment = mapAttachmentRow(rows[0]);
+    storedName = rows[0].stored_name;
+    await connection.execute('DELETE FROM attachments WHERE id = ?', [id]);
+    await recordAudit(connection, [{
+      actor,
+      action: 'attachment.delete',
+      region: attachment.region,
+      sub: attachment.sub,
+      ...(attachment.portNumber === null ? {} : { portNumber: attachment.portNumber }),
+      changes: { attachment: { before: attachment.fileName, after: null } }
+    }]);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+  await removeAttachmentFiles([storedName]);
+  return true;
+}
+
+// ========== CUSTOMER MAP ==========
+const MAP_FORMATS = ['geojson', 'kml'];
+
+const escapeXml = (value) => toText(value).replace(/[<>&'"]/g, ch => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[ch]
+));
+
+// KML colours are aabbggrr
+const kmlColor = (hex) => {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  return match ? `ff${match[3]}${match[2]}${match[1]}`.toLowerCase() : 'ff888888';
+};
+
+/**
+ * Customer locations of the live ports in a region, or in one sub ODF,
+ * that have a Customer GPS value. `points` are the readable ones;
+ * `invalid` lists values parseGps() cannot read so they can be fixed.
+ */
+async function listMapPoints({ region, sub = null }) {
+  const where = ['o.region = ?', 'o.deleted_at IS NULL', 'p.deleted_at IS NULL', "p.branchingJoint <> ''"];
+  const params = [region];
+  if (sub) {
+    where.push('o.sub = ?');
+    params.push(sub);
+  }
+  const [rows] = await pool.execute(
+    `SELECT o.region, o.sub, p.port_number, p.label, p.status, p.destination, p.branchingJoint
+     FROM ports p
+     JOIN odf_entries o ON o.id = p.odf_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY o.sub, p.port_number`,
+    params
+  );
+  const points = [];
+  const invalid = [];
+  rows.forEach(row => {
+    const port = {
+      region: row.region,
+      sub: row.sub,
+      portNumber: row.port_number,
+      label: row.label,
+      status: row.status,
+      customer: row.destination || ''
+    };
+    const position = parseGps(row.branchingJoint);
+    if (position) {
+      points.push({ ...port, ...position });
+    } else {
+      invalid.push({ ...port, gps: row.branchingJoint });
+    }
+  });
+  return { points, invalid };
+}
+
+/**
+ * The map points as a GeoJSON FeatureCollection or a KML document with one
+ * style per port status. Returns { fileName, contentType, body }.
+ */
+async function exportMap({ region, sub = null, format = 'geojson' }) {
+  const [{ points }, statuses] = await Promise.all([listMapPoints({ region, sub }), listPortStatuses()]);
+  const date = new Date().toISOString().slice(0, 10);
+  const scope = sub ? `${region}_${sub}` : region;
+  const fileName = `customers_${scope}_${date}.${format}`.replace(/[^\w.-]+/g, '_');
+
+  if (format === 'geojson') {
+    const body = JSON.stringify({
+      type: 'FeatureCollection',
+      features: points.map(({ lat, lon, ...properties }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties
+      }))
+    }, null, 2);
+    return { fileName, contentType: 'application/geo+json; charset=utf-8', body };
+  }
+
+  const styles = statuses.map(status => `    <Style id="status-${escapeXml(status.code)}">
+      <IconStyle><color>${kmlColor(status.color)}</color></IconStyle>
+    </Style>`);
+  const labels = new Map(statuses.map(status => [status.code, status.label]));
+  const placemarks = points.map(point => {
+    const data = [
+      ['region', point.region],
+      ['sub', point.sub],
+      ['port', point.portNumber],
+      ['status', labels.get(point.status) || point.status],
+      ['customer', point.customer]
+    ].map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`);
+    return `    <Placemark>
+      <name>${escapeXml(point.customer || `${point.sub} port ${point.portNumber}`)}</name>
+      <description>${escapeXml(`${point.sub} port ${point.portNumber}${point.label ? ` (${point.label})` : ''}`)}</description>
+      <styleUrl>#status-${escapeXml(point.status)}</styleUrl>
+      <ExtendedData>
+${data.join('\n')}
+      </ExtendedData>
+      <Point><coordinates>${point.lon},${point.lat}</coordinates></Point>
+    </Placemark>`;
+  });
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(sub ? `${region} / ${sub}` : region)}</name>
+${[...styles, ...placemarks].join('\n')}
+  </Document>
+</kml>
+`;
+  return { fileName, contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', body };
+}
+
+// ========== STATISTICS ==========
+/**
+ * Port counts per sub ODF, per region and overall. Each status counts as in
+ * use, free, reserved or unavailable according to its `capacity`; `statuses`
+ * has the count per status code. Utilisation is the share of ports in use. A
+ * sub ODF is almost full when the ports that are not free reach the threshold.
+ */
+async function getPortStats({ region = null } = {}) {
+  const [[rows], statuses] = await Promise.all([
+    pool.query(
+      `SELECT o.region, o.sub, p.status, COUNT(p.id) AS count
+       FROM odf_entries o
+       LEFT JOIN ports p ON p.odf_id = o.id AND p.deleted_at IS NULL
+       WHERE o.deleted_at IS NULL ${region ? 'AND o.region = ?' : ''}
+       GROUP BY o.region, o.sub, p.status
+       ORDER BY o.region, o.sub`,
+      region ? [region] : []
+    ),
+    listPortStatuses()
+  ]);
+  // Ports whose status is no longer defined count as in use
+  const capacityOf = new Map(statuses.map(status => [status.code, status.capacity]));
+  const keys = { in_use: 'inUse', free: 'free', reserved: 'reserved', unavailable: 'unavailable' };
+
+  const emptyCounts = () => ({ total: 0, inUse: 0, reserved: 0, free: 0, unavailable: 0, statuses: {} });
+  const addCount = (counts, status, count) => {
+    counts.total += count;
+    counts[keys[capacityOf.get(status)] || 'inUse'] += count;
+    counts.statuses[status] = (counts.statuses[status] || 0) + count;
+  };
+  const toStats = (counts) => {
+    const percent = (count) => (counts.total > 0 ? Math.round((count / counts.total) * 1000) / 10 : 0);
+    return {
+      ...counts,
+      utilisation: percent(counts.inUse),
+      almostFull: counts.total > 0 && percent(counts.total - counts.free) >= ALMOST_FULL_PERCENT
+    };
+  };
+
+  const totals = emptyCounts();
+  const regions = new Map();
+  const subs = new Map();
+  rows.forEach(row => {
+    if (!regions.has(row.region)) regions.set(row.region, { counts: emptyCounts(), subCount: 0 });
+    const subKey = JSON.stringify([row.region, row.sub]);
+    if (!subs.has(subKey)) {
+      subs.set(subKey, { region: row.region, sub: row.sub, counts: emptyCounts() });
+      regions.get(row.region).subCount += 1;
+    }
+    const count = Number(row.count);
+    if (row.status === null || count === 0) return;
+    addCount(totals, row.status, count);
+    addCount(regions.get(row.region).counts, row.status, count);
+    addCount(subs.get(subKey).counts, row.status, count);
+  });
+
+  return {
+    threshold: ALMOST_FULL_PERCENT,
+    totals: toStats(totals),
+    regions: [...regions.entries()].map(([name, entry]) => ({ region: name, subCount: entry.subCount, ...toStats(entry.counts) })),
+    subs: [...subs.values()].map(entry => ({ region: entry.region, sub: entry.sub, ...toStats(entry.counts) }))
+  };
+}
+
+// ========== PHYSICAL LAYOUT ==========
+// Matches AppState.maxPorts in app.js
+const MAX_PORTS = 576;
+const MAX_PORTS_PER_TRAY = 144;
+const DEFAULT_LABEL_PATTERN = 'T{tray}-P{port}';
+
+/**
+ * Validate a layout from the API. Returns the cleaned layout, or null to go
+ * back to the flat grid.
+ */
+const normalizeLayout = (input) => {
+  if (input === null || input === undefined) return null;
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+  const toInt = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+  const trayCount = toInt(input.trayCount);
+  const portsPerTray = toInt(input.portsPerTray);
+  const traysPerPanel = toInt(input.traysPerPanel, 0);
+  const labelPattern = String(input.labelPattern || DEFAULT_LABEL_PATTERN).trim();
+
+  if (!Number.isInteger(portsPerTray) || portsPerTray < 1 || portsPerTray > MAX_PORTS_PER_TRAY) {
+    throw fail(`portsPerTray must be between 1 and ${MAX_PORTS_PER_TRAY}`);
+  }
+  if (!Number.isInteger(trayCount) || trayCount < 1 || trayCount * portsPerTray > MAX_PORTS) {
+    throw fail(`trayCount must be at least 1 and the layout can hold at most ${MAX_PORTS} ports`);
+  }
+  if (!Number.isInteger(traysPerPanel) || traysPerPanel < 0 || traysPerPanel > trayCount) {
+    throw fail('traysPerPanel must be between 0 (no panels) and trayCount');
+  }
+  if (!labelPattern.includes('{n}') && !(labelPattern.includes('{tray}') && labelPattern.includes('{port}'))) {
+    throw fail('labelPattern must contain {n}, or both {tray} and {port}, so every label is unique');
+  }
+
+  const layout = { trayCount, portsPerTray, traysPerPanel, labelPattern };
+  if (portLabel(layout, trayCount * portsPerTray).length > 50) {
+    throw fail('labelPattern produces labels longer than 50 characters');
+  }
+  return layout;
+};
+
+/**
+ * Store an ODF's layout and relabel its ports to match, in one transaction.
+ * The layout must have room for every live port. Returns null when the ODF
+ * is unknown.
+ */
+async function setOdfLayout(region, sub, input, { actor = '' } = {}) {
+  const layout = normalizeLayout(input);
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const entry = await lockOdfEntry(connection, region, sub);
+    if (!entry) {
+      await connection.rollback();
+      return null;
+    }
+
+    const [[{ layout: storedLayout }]] = await connection.execute(
+      'SELECT layout FROM odf_entries WHERE id = ?',
+      [entry.id]
+    );
+    const [portRows] = await connection.execute(
+      'SELECT port_number FROM ports WHERE odf_id = ? AND deleted_at IS NULL ORDER BY port_number',
+      [entry.id]
+    );
+    const capacity = layout ? layout.trayCount * layout.portsPerTray : MAX_PORTS;
+    if (portRows.length > capacity) {
+      throw conflictError(`The layout holds ${capacity} ports but this ODF has ${portRows.length}. Remove ports first.`);
+    }
+
+    const version = entry.version + 1;
+    const lastSave = new Date();
+    const ports = portRows.map(row => ({ id: row.port_number, label: portLabel(layout, row.port_number) }));
+    const summary = await applyPortChanges(connection, entry.id, ports, { version, partial: true });
+    await connection.execute(
+      'UPDATE odf_entries SET layout = ?, version = ?, lastSave = ? WHERE id = ?',
+      [layout ? JSON.stringify(layout) : null, version, lastSave, entry.id]
+    );
+    await recordAudit(connection, [
+      {
+        actor,
+        action: 'odf.update',
+        region,
+        sub,
+        changes: { layout: { before: parseJsonField(storedLayout, null), after: layout } }
+      },
+      ...portAuditEntries(summary.changes, { actor, region, sub })
+    ]);
+
+    await connection.commit();
+    return { layout, version, lastSave: lastSave.toISOString(), relabelled: summary.updated };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// ========== FIELD SCHEMA ==========
+// Built-in port fields: `key` is the field's proper name, `column` the ports
+// column (and API property) that stores it. `aliases` are extra spreadsheet
+// headers accepted on import besides the key and label.
+const BUILTIN_FIELDS = [
+  { key: 'customer', column: 'destination', label: 'Customer', aliases: ['service', 'destination', 'dest'] },
+  { key: 'cctNumber', column: 'otdrDistance', label: 'CCT Number', aliases: [] },
+  { key: 'ceaOltPort', column: 'fiberType', label: 'CEA/OLT port', aliases: ['dab', 'fiber type', 'fiber'] },
+  { key: 'customerLocation', column: 'connectorType', label: 'Customer Location', aliases: ['port', 'connector type', 'connector'] },
+  { key: 'customerGps', column: 'branchingJoint', label: 'Customer GPS', aliases: ['branching joint', 'branch joint'] },
+  { key: 'liveBranchingJoint', column: 'cxLocation', label: 'Live Branching joint', aliases: ['cx location'] },
+  { key: 'otdrReading', column: 'otdrDistanceValue', label: 'OTDR Distance', aliases: ['otdr', 'actual otdr distance'] }
+];
+
+// Types shared by the built-in fields and an ODF's custom fields (extraFieldDefs)
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'gps', 'phone'];
+// Port text columns are VARCHAR(255)
+const MAX_FIELD_LENGTH = 255;
+const PHONE_PATTERN = /^\+?[\d\s()-]{7,20}$/;
+
+// One coordinate: decimal degrees or degrees, minutes and seconds, with an
+// optional hemisphere letter
+const GPS_PART = String.raw`(-?\d{1,3}(?:\.\d+)?)\s*°?\s*(?:(\d{1,2}(?:\.\d+)?)\s*['′]\s*)?(?:(\d{1,2}(?:\.\d+)?)\s*(?:"|″|'')\s*)?([NSEW])?`;
+const GPS_PATTERN = new RegExp(`^${GPS_PART}\\s*[,;\\s]\\s*${GPS_PART}$`, 'i');
+// Map links carry the position as @lat,lon or q=lat,lon
+const GPS_LINK_PATTERN = /[@=](-?\d{1,2}(?:\.\d+)?),\s*(-?\d{1,3}(?:\.\d+)?)/;
+
+/**
+ * { lat, lon } from a GPS value, or null when it cannot be read. Accepts
+ * "7.4868, 80.3627", "7.4868 80.3627", "7.4868N 80.3627E",
+ * 7°29'12.5"N 80°21'45.7"E and map links such as .../@7.4868,80.3627,15z.
+ */
+const parseGps = (value) => {
+  const text = toText(value).trim();
+  if (!text) return null;
+  let lat;
+  let lon;
+  const link = /^https?:\/\//i.test(text) ? GPS_LINK_PATTERN.exec(text) : null;
+  if (link) {
+    lat = Number(link[1]);
+    lon = Number(link[2]);
+  } else {
+    const match = GPS_PATTERN.exec(text);
+    if (!match) return null;
+    const parts = [match.slice(1, 5), match.slice(5, 9)].map(([degrees, minutes = '0', seconds = '0', hemisphere = '']) => {
+      if (Number(minutes) >= 60 || Number(seconds) >= 60) return null;
+      const magnitude = Math.abs(Number(degrees)) + Number(minutes) / 60 + Number(seconds) / 3600;
+      const negative = degrees.startsWith('-') || /[SW]/i.test(hemisphere);
+      return { value: negative ? -magnitude : magnitude, axis: /[EW]/i.test(hemisphere) ? 'lon' : (hemisphere ? 'lat' : '') };
+    });
+    if (parts.includes(null)) return null;
+    // "80.3627E, 7.4868N" names the axes the other way round
+    if (parts[0].axis === 'lon' || parts[1].axis === 'lat') parts.reverse();
+    if (parts[0].axis === 'lon' || parts[1].axis === 'lat') return null;
+    [lat, lon] = parts.map(part => part.value);
   }
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat: Math.round(lat * 1e6) / 1e6, lon: Math.round(lon * 1e6) / 1e6 };
+};
+
+const fieldError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Why `value` (non-empty, trimmed) is not valid for a field of `def.type`,
+ * or null when it is.
+ */
+const fieldValueProblem = (def, value) => {
+  switch (def.type) {
+    case 'number':
+      return Number.isFinite(Number(value)) ? null : 'must be a number';
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) ? null : 'must be a date (YYYY-MM-DD)';
+    case 'select':
+      return def.options.includes(value) ? null : `must be one of: ${def.options.join(', ')}`;
+    case 'gps':
+      return parseGps(value) ? null : 'must be a GPS coordinate such as "7.4868, 80.3627"';
+    case 'phone':
+      return PHONE_PATTERN.test(value) && value.replace(/\D/g, '').length >= 7 ? null : 'must be a phone number';
+    default:
+      return null;
+  }
+};
 
-  const items = Array.from(resultMap.values()).slice(0, limit);
+// Custom field definitions used to be bare labels; read those as text fields
+const toCustomFieldDef = (def) => {
+  if (typeof def === 'string') return { label: def, type: 'text' };
+  const type = def && FIELD_TYPES.includes(def.type) ? def.type : 'text';
   return {
-    keyword: trimmedKeyword,
-    total: items.length,
-    items
+    label: toText(def && def.label),
+    type,
+    ...(type === 'select' ? { options: Array.isArray(def.options) ? def.options : [] } : {})
+  };
+};
+
+/**
+ * Validate the custom field definitions of a full ODF save. Accepts labels
+ * or { label, type, options }; throws a 400 with `fieldErrors` on bad input.
+ */
+function normalizeCustomFieldDefs(input) {
+  if (!Array.isArray(input)) {
+    throw v.validationError([{ path: 'extraFieldDefs', code: v.ERROR_CODES.type, message: 'extraFieldDefs must be a list' }]);
+  }
+  const errors = [];
+  const seen = new Set();
+  const defs = input.map((raw, index) => {
+    const path = `extraFieldDefs[${index}]`;
+    if (typeof raw !== 'string' && !(raw && typeof raw === 'object' && !Array.isArray(raw))) {
+      errors.push({ path, code: v.ERROR_CODES.type, message: `Field ${index + 1} must be a label or { label, type }` });
+      return null;
+    }
+    const label = String(typeof raw === 'string' ? raw : (raw.label ?? '')).trim();
+    const type = typeof raw === 'string' || raw.type === undefined ? 'text' : raw.type;
+    if (!label || label.length > 100) {
+      errors.push({ path: `${path}.label`, code: v.ERROR_CODES.tooLong, message: `Field ${index + 1} needs a label of 1-100 characters` });
+    } else if (seen.has(label)) {
+      errors.push({ path: `${path}.label`, code: v.ERROR_CODES.duplicate, message: `Field "${label}" is defined twice` });
+    }
+    seen.add(label);
+    if (!FIELD_TYPES.includes(type)) {
+      errors.push({ path: `${path}.type`, code: v.ERROR_CODES.value, message: `${label || `Field ${index + 1}`}: type must be one of: ${FIELD_TYPES.join(', ')}` });
+      return null;
+    }
+    if (type !== 'select') return { label, type };
+    const options = Array.isArray(raw.options)
+      ? [...new Set(raw.options.map(option => String(option).trim()).filter(Boolean))]
+      : [];
+    if (options.length === 0) {
+      errors.push({ path: `${path}.options`, code: v.ERROR_CODES.required, message: `${label || `Field ${index + 1}`}: a dropdown needs at least one option` });
+    }
+    return { label, type, options };
+  });
+
+  if (errors.length > 0) {
+    throw v.validationError(errors);
+  }
+  return defs;
+}
+
+/**
+ * Field definitions in effect for `region` (global ones when empty), in
+ * display order. A region row overrides the global row with the same key.
+ */
+async function listFieldDefinitions({ region = '' } = {}) {
+  const [rows] = await pool.execute(
+    `SELECT id, region, field_key, label, type, required, allowed_values, sort_order
+     FROM field_definitions WHERE region = '' OR region = ?`,
+    [region || '']
+  );
+  const byKey = new Map();
+  rows
+    .sort((a, b) => (a.region === '' ? 0 : 1) - (b.region === '' ? 0 : 1))
+    .forEach(row => byKey.set(row.field_key, row));
+
+  return BUILTIN_FIELDS.map((field, index) => {
+    const row = byKey.get(field.key);
+    return {
+      key: field.key,
+      column: field.column,
+      label: row ? row.label : field.label,
+      type: row && FIELD_TYPES.includes(row.type) ? row.type : 'text',
+      required: Boolean(row && row.required),
+      options: row ? parseJsonField(row.allowed_values, []) : [],
+      sortOrder: row ? row.sort_order : (index + 1) * 10,
+      scope: row && row.region ? 'region' : 'global',
+      aliases: field.aliases
+    };
+  }).sort((a, b) => a.sortOrder - b.sortOrder);
+}
+
+/**
+ * Create or replace the definition of a built-in field, globally or for one
+ * region. Returns the definitions now in effect for that region.
+ */
+async function saveFieldDefinition(key, region, input, { actor = '' } = {}) {
+  if (!BUILTIN_FIELDS.some(field => field.key === key)) {
+    throw fieldError(`Unknown field "${key}"`, 404);
+  }
+  const label = String(input.label || '').trim();
+  const type = input.type || 'text';
+  const options = Array.isArray(input.options)
+    ? [...new Set(input.options.map(option => String(option).trim()).filter(Boolean))]
+    : [];
+  if (!label || label.length > 100) {
+    throw fieldError('label must be 1-100 characters');
+  }
+  if (!FIELD_TYPES.includes(type)) {
+    throw fieldError(`type must be one of: ${FIELD_TYPES.join(', ')}`);
+  }
+  if (type === 'select' && options.length === 0) {
+    throw fieldError('A select field needs at least one option');
+  }
+  const sortOrder = input.sortOrder === undefined ? null : Number(input.sortOrder);
+  if (sortOrder !== null && !Number.isInteger(sortOrder)) {
+    throw fieldError('sortOrder must be an integer');
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [existing] = await connection.execute(
+      `SELECT label, type, required, allowed_values, sort_order FROM field_definitions
+       WHERE region = ? AND field_key = ? FOR UPDATE`,
+      [region || '', key]
+    );
+    const before = existing[0] || null;
+    const after = {
+      label,
+      type,
+      required: Boolean(input.required),
+      options: type === 'select' ? options : [],
+      sortOrder: sortOrder !== null ? sortOrder : (before ? before.sort_order : (BUILTIN_FIELDS.findIndex(f => f.key === key) + 1) * 10)
+    };
+    await connection.execute(
+      `INSERT INTO field_definitions (region, field_key, label, type, required, allowed_values, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE label = VALUES(label), type = VALUES(type), required = VALUES(required),
+         allowed_values = VALUES(allowed_values), sort_order = VALUES(sort_order)`,
+      [region || '', key, after.label, after.type, after.required ? 1 : 0, JSON.stringify(after.options), after.sortOrder]
+    );
+    await recordAudit(connection, [{
+      actor,
+      action: 'field.update',
+      region: region || '',
+      changes: {
+        [key]: {
+          before: before ? {
+            label: before.label,
+            type: before.type,
+            required: Boolean(before.required),
+            options: parseJsonField(before.allowed_values, []),
+            sortOrder: before.sort_order
+          } : null,
+          after
+        }
+      }
+    }]);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+  return listFieldDefinitions({ region });
+}
+
+/**
+ * Drop a region's override so the global definition applies again.
+ * Global definitions cannot be removed. Returns false when there was none.
+ */
+async function deleteFieldDefinition(key, region, { actor = '' } = {}) {
+  if (!region) {
+    throw fieldError('Global field definitions cannot be deleted; edit them instead');
+  }
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      'DELETE FROM field_definitions WHERE region = ? AND field_key = ?',
+      [region, key]
+    );
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+    await recordAudit(connection, [{
+      actor,
+      action: 'field.delete',
+      region,
+      changes: { [key]: { before: 'region override', after: null } }
+    }]);
+    await connection.commit();
+    return true;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Build the applyPortChanges `validate` callback for the built-in field
+ * definitions and the ODF's custom field definitions. Only values that
+ * changed are checked, so older data never blocks a save; required fields
+ * must be filled on ACTIVE ports.
+ */
+const portFieldValidator = (defs, customDefs = []) => (portNumber, columns, changed, before = null) => {
+  const errors = [];
+  const statusChanged = changed.includes('status');
+  defs.forEach(def => {
+    if (!changed.includes(def.column) && !(def.required && statusChanged)) return;
+    const value = toText(columns[def.column]).trim();
+    const path = `ports[${portNumber}].${def.key}`;
+    if (!value) {
+      if (def.required && columns.status === 'ACTIVE') {
+        errors.push({ path, code: v.ERROR_CODES.required, message: `${def.label} is required on ACTIVE ports` });
+      }
+      return;
+    }
+    if (value.length > MAX_FIELD_LENGTH) {
+      errors.push({ path, code: v.ERROR_CODES.tooLong, message: `${def.label} must be at most ${MAX_FIELD_LENGTH} characters` });
+      return;
+    }
+    const problem = fieldValueProblem(def, value);
+    if (problem) errors.push({ path, code: v.ERROR_CODES.value, message: `${def.label} ${problem}` });
+  });
+
+  if (customDefs.length > 0 && changed.includes('customFields')) {
+    const values = parseJsonField(columns.customFields, {});
+    const previous = parseJsonField(before && before.customFields, {});
+    customDefs.forEach(def => {
+      const value = toText(values[def.label]).trim();
+      if (!value || value === toText(previous[def.label]).trim()) return;
+      const problem = fieldValueProblem(def, value);
+      if (problem) {
+        errors.push({
+          path: `ports[${portNumber}].customFields.${def.label}`,
+          code: v.ERROR_CODES.value,
+          message: `${def.label} ${problem}`
+        });
+      }
+    });
+  }
+  return errors;
+};
+
+// ========== PORT STATUSES ==========
+// Statuses live in port_statuses (migration 013). These four have server
+// behaviour attached and cannot be deleted: ACTIVE (required fields),
+// INACTIVE (the default), FAULTY (fault tickets) and RESERVED (reservations).
+const SYSTEM_STATUSES = ['ACTIVE', 'INACTIVE', 'FAULTY', 'RESERVED'];
+// How a status counts in the capacity statistics (migration 017)
+const STATUS_CAPACITIES = ['in_use', 'free', 'reserved', 'unavailable'];
+const STATUS_CODE_PATTERN = /^[A-Z][A-Z0-9_]{0,19}$/;
+
+const mapStatusRow = (row) => ({
+  code: row.code,
+  label: row.label,
+  color: row.color,
+  description: row.description,
+  transitions: parseJsonField(row.transitions, []),
+  capacity: row.capacity,
+  sortOrder: row.sort_order,
+  system: SYSTEM_STATUSES.includes(row.code)
+});
+
+/**
+ * Every port status in display order. Pass a connection to read inside a
+ * transaction.
+ */
+async function listPortStatuses(db = pool) {
+  const [rows] = await db.execute(
+    `SELECT code, label, color, description, transitions, capacity, sort_order
+     FROM port_statuses ORDER BY sort_order, code`
+  );
+  return rows.map(mapStatusRow);
+}
+
+/**
+ * Status check for a written port, with the same arguments as a
+ * portFieldValidator() check: the status must be defined, and a change must
+ * be one of the old status's transitions. A port whose stored status is no
+ * longer defined may move to any status.
+ */
+const statusValidator = (statuses) => (portNumber, columns, changed, before) => {
+  if (!changed.includes('status')) return [];
+  const byCode = new Map(statuses.map(status => [status.code, status]));
+  const path = `ports[${portNumber}].status`;
+  if (!byCode.has(columns.status)) {
+    return [{
+      path,
+      code: v.ERROR_CODES.value,
+      message: `Port ${portNumber} status must be one of: ${statuses.map(status => status.code).join(', ')}`
+    }];
+  }
+  const from = before ? byCode.get(before.status) : null;
+  if (from && !from.transitions.includes(columns.status)) {
+    const allowed = from.transitions.length > 0 ? from.transitions.join(', ') : 'none';
+    return [{
+      path,
+      code: v.ERROR_CODES.value,
+      message: `Port ${portNumber} cannot go from ${from.code} to ${columns.status} (allowed: ${allowed})`
+    }];
+  }
+  return [];
+};
+
+/**
+ * Create or replace a status. `transitions` lists the statuses a port in
+ * this one may move to, and each must already exist. Returns the full list.
+ */
+async function savePortStatus(code, input, { actor = '' } = {}) {
+  if (!STATUS_CODE_PATTERN.test(code)) {
+    throw fieldError('Status codes are capital letters, digits and underscores (at most 20), starting with a letter');
+  }
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [locked] = await connection.execute('SELECT code FROM port_statuses WHERE code = ? FOR UPDATE', [code]);
+    const statuses = await listPortStatuses(connection);
+    const before = locked.length > 0 ? statuses.find(status => status.code === code) : null;
+
+    const known = new Set([...statuses.map(status => status.code), code]);
+    const transitions = input.transitions === undefined
+      ? (before ? before.transitions : [])
+      : [...new Set(input.transitions.map(t => String(t).trim().toUpperCase()))].filter(t => t !== code);
+    const unknown = transitions.filter(t => !known.has(t));
+    if (unknown.length > 0) {
+      throw fieldError(`Unknown status(es) in transitions: ${unknown.join(', ')}`);
+    }
+    const after = {
+      label: input.label,
+      color: input.color.toLowerCase(),
+      description: input.description !== undefined ? input.description : (before ? before.description : ''),
+      transitions,
+      capacity: input.capacity || (before ? before.capacity : 'in_use'),
+      sortOrder: input.sortOrder !== undefined ? input.sortOrder
+        : (before ? before.sortOrder : Math.max(0, ...statuses.map(status => status.sortOrder)) + 10)
+    };
+
+    await connection.execute(
+      `INSERT INTO port_statuses (code, label, color, description, transitions, capacity, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE label = VALUES(label), color = VALUES(color), description = VALUES(description),
+         transitions = VALUES(transitions), capacity = VALUES(capacity), sort_order = VALUES(sort_order)`,
+      [code, after.label, after.color, after.description, JSON.stringify(after.transitions), after.capacity, after.sortOrder]
+    );
+    const { code: _code, system, ...previous } = before || {};
+    await recordAudit(connection, [{
+      actor,
+      action: 'status.update',
+      region: '',
+      changes: { [code]: { before: before ? previous : null, after } }
+    }]);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+  return listPortStatuses();
+}
+
+/**
+ * Delete a status no live port uses and drop it from the other statuses'
+ * transitions. Built-in statuses cannot be deleted. Returns false when the
+ * status does not exist.
+ */
+async function deletePortStatus(code, { actor = '' } = {}) {
+  if (SYSTEM_STATUSES.includes(code)) {
+    throw fieldError(`${code} is built in and cannot be deleted`);
+  }
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [[{ count }]] = await connection.execute(
+      'SELECT COUNT(*) AS count FROM ports WHERE status = ? AND deleted_at IS NULL',
+      [code]
+    );
+    if (Number(count) > 0) {
+      throw fieldError(`${count} port(s) still have status ${code}; move them to another status first`, 409);
+    }
+    const [result] = await connection.execute('DELETE FROM port_statuses WHERE code = ?', [code]);
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+    await connection.execute(
+      `UPDATE port_statuses
+       SET transitions = JSON_REMOVE(transitions, JSON_UNQUOTE(JSON_SEARCH(transitions, 'one', ?)))
+       WHERE JSON_SEARCH(transitions, 'one', ?) IS NOT NULL`,
+      [code, code]
+    );
+    await recordAudit(connection, [{
+      actor,
+      action: 'status.delete',
+      region: '',
+      changes: { [code]: { before: 'status', after: null } }
+    }]);
+    await connection.commit();
+    return true;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// ========== IMPORT / EXPORT ==========
+// Spreadsheets use the same columns as the browser export in app.js, and
+// import accepts the same headers as DatabaseService.rowToPort: a field's
+// label, key or aliases, ignoring case, spaces, dashes and underscores.
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+const EXPORT_CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8'
+};
+// Lists the sub ODF behind each sheet of a multi-sheet export
+const META_SHEET = 'Meta';
+const STATUS_HEADERS = ['status', 'port status'];
+const NOTES_HEADERS = ['notes', 'note', 'remarks', 'comment'];
+const LAST_MODIFIED_HEADERS = ['last modified', 'last maintained', 'date', 'last maintenance date'];
+const RESERVATION_HEADERS = {
+  reservedFor: ['reserved for'],
+  workOrder: ['work order'],
+  reservedUntil: ['reserved until']
+};
+const REGION_HEADERS = ['region'];
+const SUB_HEADERS = ['sub odf', 'sub'];
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[\s_\-]+/g, '');
+
+const importError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const exportHeaders = (fieldDefs, customDefs) => [
+  'ID', 'Label', 'Port Status',
+  ...fieldDefs.map(def => def.label),
+  'Last Modified', 'Notes', 'Reserved For', 'Work Order', 'Reserved Until',
+  ...customDefs.map(def => def.label)
+];
+
+const exportRow = (port, fieldDefs, customDefs) => [
+  port.id, port.label, port.status,
+  ...fieldDefs.map(def => port[def.column]),
+  port.lastMaintained, port.notes, port.reservedFor, port.workOrder, port.reservedUntil,
+  ...customDefs.map(def => toText(port.customFields[def.label]))
+];
+
+// Excel sheet names: at most 31 characters, unique, none of : \ / ? * [ ]
+const uniqueSheetName = (base, used) => {
+  const clean = String(base).replace(/[:\\/?*[\]]/g, '-').trim().slice(0, 31) || 'Sheet';
+  let name = clean;
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = clean.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Export one sub ODF, a whole region or (with neither) everything as an
+ * .xlsx workbook with one sheet per sub ODF, or as a single CSV with Region
+ * and Sub ODF columns. Returns { fileName, contentType, body }.
+ */
+async function exportSpreadsheet({ region = null, sub = null, format = 'xlsx' } = {}) {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+  if (region) {
+    conditions.push('region = ?');
+    params.push(region);
+  }
+  if (sub) {
+    conditions.push('sub = ?');
+    params.push(sub);
+  }
+  const [rows] = await pool.execute(
+    `SELECT region, sub FROM odf_entries WHERE ${conditions.join(' AND ')} ORDER BY region, sub`,
+    params
+  );
+
+  const fieldDefsByRegion = new Map();
+  const sheets = [];
+  for (const row of rows) {
+    if (!fieldDefsByRegion.has(row.region)) {
+      fieldDefsByRegion.set(row.region, await listFieldDefinitions({ region: row.region }));
+    }
+    const fieldDefs = fieldDefsByRegion.get(row.region);
+    const entry = await getOdfEntry(row.region, row.sub);
+    if (!entry) continue;
+    sheets.push({
+      region: entry.region,
+      sub: entry.sub,
+      displayCount: entry.displayCount,
+      headers: exportHeaders(fieldDefs, entry.extraFieldDefs),
+      rows: entry.ports.map(port => exportRow(port, fieldDefs, entry.extraFieldDefs))
+    });
+  }
+  if (sheets.length === 0) {
+    throw importError(sub ? 'Sub ODF not found' : 'No sub ODFs to export', 404);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const scope = sub ? `${region}_${sub}` : (region || 'all');
+  const fileName = `odf_${scope}_${date}.${format}`.replace(/[^\w.-]+/g, '_');
+
+  if (format === 'csv') {
+    // Sub ODFs can have different custom fields, so the CSV has every column
+    // any of them uses
+    const headers = ['Region', 'Sub ODF'];
+    sheets.forEach(sheet => sheet.headers.forEach(h => {
+      if (!headers.includes(h)) headers.push(h);
+    }));
+    const table = [headers];
+    sheets.forEach(sheet => sheet.rows.forEach(row => {
+      const byHeader = new Map(sheet.headers.map((h, i) => [h, row[i]]));
+      table.push(headers.map((h, i) => (i === 0 ? sheet.region : i === 1 ? sheet.sub : (byHeader.get(h) ?? ''))));
+    }));
+    // The BOM makes Excel open the file as UTF-8
+    const csv = '\uFEFF' + XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(table));
+    return { fileName, contentType: EXPORT_CONTENT_TYPES.csv, body: Buffer.from(csv, 'utf8') };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const used = new Set([META_SHEET.toLowerCase()]);
+  const meta = [['Sheet', 'Region', 'Sub ODF', 'Display Count', 'Exported']];
+  sheets.forEach(sheet => {
+    const name = uniqueSheetName(region ? sheet.sub : `${sheet.region} ${sheet.sub}`, used);
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([sheet.headers, ...sheet.rows]), name);
+    meta.push([name, sheet.region, sheet.sub, sheet.displayCount, date]);
+  });
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(meta), META_SHEET);
+  const body = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  return { fileName, contentType: EXPORT_CONTENT_TYPES.xlsx, body };
+}
+
+// Uploads name their format with ?format=, the Content-Type or, failing
+// both, by content: .xlsx files are zip archives starting with "PK"
+const detectImportFormat = (req, buffer) => {
+  const type = String(req.headers['content-type'] || '').toLowerCase();
+  if (type.includes('csv') || type.startsWith('text/')) return 'csv';
+  if (type.includes('spreadsheet') || type.includes('excel')) return 'xlsx';
+  return buffer.subarray(0, 2).toString('latin1') === 'PK' ? 'xlsx' : 'csv';
+};
+
+const sheetRows = (sheet) => XLSX.utils.sheet_to_json(sheet, { defval: '' });
+
+/**
+ * Split an uploaded file into [{ name, region, sub, rows }], rows being
+ * objects keyed by header. With a target region and sub the whole file goes
+ * there; otherwise an .xlsx needs the Meta sheet written by the export and a
+ * CSV needs Region and Sub ODF columns.
+ */
+function readImportFile(buffer, format, target) {
+  let workbook;
+  try {
+    workbook = format === 'csv'
+      ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+      : XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  } catch (err) {
+    throw importError(`Unreadable ${format} file: ${err.message}`);
+  }
+  const dataSheets = workbook.SheetNames.filter(name => name !== META_SHEET);
+  if (dataSheets.length === 0) throw importError('The file has no sheets to import');
+
+  if (target.region && target.sub) {
+    const name = dataSheets.includes('Ports') ? 'Ports' : dataSheets[0];
+    return [{ name, region: target.region, sub: target.sub, rows: sheetRows(workbook.Sheets[name]) }];
+  }
+
+  const pickText = (row, headers) => {
+    const key = Object.keys(row).find(k => headers.map(normalizeHeader).includes(normalizeHeader(k)));
+    return key ? toText(row[key]).trim() : '';
+  };
+
+  if (format === 'csv') {
+    const groups = new Map();
+    sheetRows(workbook.Sheets[dataSheets[0]]).forEach((row, index) => {
+      const region = pickText(row, REGION_HEADERS);
+      const sub = pickText(row, SUB_HEADERS);
+      if (!region || !sub) {
+        throw importError(`Row ${index + 2} has no Region or Sub ODF; add them or import with ?region=&sub=`);
+      }
+      const key = JSON.stringify([region, sub]);
+      if (!groups.has(key)) groups.set(key, { name: `${region} / ${sub}`, region, sub, rows: [] });
+      groups.get(key).rows.push(row);
+    });
+    return [...groups.values()];
+  }
+
+  if (!workbook.Sheets[META_SHEET]) {
+    throw importError(`Without ?region=&sub= the file needs the "${META_SHEET}" sheet from an export`);
+  }
+  return sheetRows(workbook.Sheets[META_SHEET]).map(row => {
+    const name = pickText(row, ['sheet']);
+    const region = pickText(row, REGION_HEADERS);
+    const sub = pickText(row, SUB_HEADERS);
+    if (!workbook.Sheets[name] || !region || !sub) {
+      throw importError(`The "${META_SHEET}" sheet names a missing sheet or leaves out its region or sub ODF`);
+    }
+    return { name, region, sub, rows: sheetRows(workbook.Sheets[name]) };
+  });
+}
+
+/**
+ * Port `portNumber` from a spreadsheet row. Mirrors
+ * DatabaseService.rowToPort in app.js; `customDefs` are the ODF's custom
+ * fields including any added from new headers. The status cell may hold a
+ * status code or label; anything else imports as INACTIVE.
+ */
+const importRowToPort = (row, portNumber, { layout, fieldDefs, customDefs, statuses }) => {
+  const lookup = new Map(Object.entries(row).map(([key, value]) => [normalizeHeader(key), value]));
+  const pick = (headers) => {
+    const key = headers.map(normalizeHeader).find(h => lookup.has(h));
+    return key === undefined ? '' : lookup.get(key);
+  };
+  const cell = (value) => (value instanceof Date ? toSqlDate(value) : toText(value));
+
+  const status = toText(pick(STATUS_HEADERS)).trim().toUpperCase();
+  const match = statuses.find(s => s.code === status || s.label.toUpperCase() === status);
+  const port = {
+    id: portNumber,
+    label: portLabel(layout, portNumber),
+    status: match ? match.code : 'INACTIVE'
   };
+  fieldDefs.forEach(def => {
+    port[def.column] = cell(pick([def.label, def.key, ...def.aliases]));
+  });
+  // Older sheets only had the OTDR column where the CCT number now goes
+  if (!port.otdrDistance) port.otdrDistance = port.otdrDistanceValue;
+  port.notes = cell(pick(NOTES_HEADERS));
+  port.lastMaintained = toSqlDate(pick(LAST_MODIFIED_HEADERS)) || new Date().toISOString().slice(0, 10);
+  port.reservedFor = cell(pick(RESERVATION_HEADERS.reservedFor));
+  port.workOrder = cell(pick(RESERVATION_HEADERS.workOrder));
+  port.reservedUntil = toSqlDate(pick(RESERVATION_HEADERS.reservedUntil));
+  port.customFields = Object.fromEntries(customDefs.map(def => [def.label, cell(pick([def.label]))]));
+  return port;
+};
+
+// Headers that are not custom fields. Mirrors DatabaseService.detectColumnMapping.
+const standardHeaders = (fieldDefs) => new Set([
+  'id', 'label', ...STATUS_HEADERS, ...NOTES_HEADERS, ...LAST_MODIFIED_HEADERS, ...REGION_HEADERS, ...SUB_HEADERS,
+  ...Object.values(RESERVATION_HEADERS).flat(),
+  ...fieldDefs.flatMap(def => [def.label, def.key, ...def.aliases])
+].map(normalizeHeader));
+
+/**
+ * Replace the ports of every sub ODF in an uploaded .xlsx or .csv file, in
+ * one transaction: a bad sheet leaves all of them unchanged. The sub ODFs must
+ * already exist, and a file with fewer rows than ports needs `allowRemove`.
+ * Headers the ODF does not know become new text custom fields.
+ */
+async function importSpreadsheet(buffer, { format, region = null, sub = null, allowRemove = false, actor = '' }) {
+  const sheets = readImportFile(buffer, format, { region, sub });
+  const statuses = await listPortStatuses();
+  const seen = new Set();
+  const plans = [];
+  for (const [index, sheet] of sheets.entries()) {
+    const key = JSON.stringify([sheet.region, sheet.sub]);
+    if (seen.has(key)) throw importError(`Sub ODF "${sheet.sub}" appears more than once in the file`);
+    seen.add(key);
+
+    const entry = await getOdfEntry(sheet.region, sheet.sub);
+    if (!entry) throw importError(`Sub ODF "${sheet.sub}" not found in ${sheet.region}`, 404);
+    const capacity = entry.layout ? entry.layout.trayCount * entry.layout.portsPerTray : MAX_PORTS;
+    if (sheet.rows.length === 0) throw importError(`Sheet "${sheet.name}" has no port rows`);
+    if (sheet.rows.length > capacity) {
+      throw importError(`Sheet "${sheet.name}" has ${sheet.rows.length} rows but ${sheet.sub} holds at most ${capacity} ports`);
+    }
+
+    const fieldDefs = await listFieldDefinitions({ region: sheet.region });
+    const known = standardHeaders(fieldDefs);
+    entry.extraFieldDefs.forEach(def => known.add(normalizeHeader(def.label)));
+    const addedFields = [];
+    Object.keys(sheet.rows[0]).forEach(header => {
+      const label = header.trim();
+      const normalized = normalizeHeader(label);
+      // sheet_to_json names columns with an empty header __EMPTY, __EMPTY_1, ...
+      if (!normalized || /^__EMPTY/.test(header) || known.has(normalized)) return;
+      known.add(normalized);
+      addedFields.push(label);
+    });
+    const customDefs = [...entry.extraFieldDefs, ...addedFields.map(label => ({ label, type: 'text' }))];
+
+    const ports = sheet.rows.map((row, i) => importRowToPort(row, i + 1, { layout: entry.layout, fieldDefs, customDefs, statuses }));
+    plans.push({
+      sheet,
+      addedFields,
+      customDefs,
+      ports: v.validate(portList(), ports, `sheets[${index}].ports`)
+    });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const items = [];
+    for (const [index, { sheet, addedFields, customDefs, ports }] of plans.entries()) {
+      let result;
+      try {
+        result = await writeOdfEntry(connection, sheet.region, sheet.sub, ports, ports.length, customDefs, { allowRemove, actor });
+      } catch (err) {
+        if (!err.fieldErrors) throw err;
+        throw v.validationError(err.fieldErrors.map(e => ({
+          ...e,
+          path: `sheets[${index}].${e.path}`,
+          message: `Sheet "${sheet.name}": ${e.message}`
+        })));
+      }
+      items.push({
+        region: sheet.region,
+        sub: sheet.sub,
+        version: result.version,
+        inserted: result.inserted,
+        updated: result.updated,
+        deleted: result.deleted,
+        addedFields
+      });
+    }
+    await connection.commit();
+    return items;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
 }
 
+// ========== REQUEST SCHEMAS ==========
+// Shapes of query strings and JSON bodies, checked before a route runs (see
+// validate.js). The functions behind the routes still apply their own rules
+// that need the database, such as unknown ports, duplicate names or port
+// statuses (statusValidator).
+
+const regionName = v.string({ min: 1, max: 100 });
+const subName = v.string({ min: 1, max: 150 });
+const portText = v.optional(v.nullable(v.string({ max: MAX_FIELD_LENGTH })));
+const longText = v.optional(v.nullable(v.string({ max: 65535 })));
+
+const faultDetails = v.optional(v.nullable(v.object({
+  description: longText,
+  otdrReading: portText
+})));
+
+// Column sizes from the ports table; `fault` opens a fault ticket when the
+// status changes to FAULTY
+const portFields = {
+  label: v.optional(v.string({ max: 50 })),
+  status: v.optional(v.string({ min: 1, max: 20 })),
+  fiberType: portText,
+  connectorType: portText,
+  destination: portText,
+  otdrDistance: portText,
+  otdrDistanceValue: portText,
+  branchingJoint: portText,
+  cxLocation: portText,
+  lastMaintained: v.optional(v.nullable(v.string({ max: 20 }))),
+  notes: longText,
+  reservedFor: portText,
+  workOrder: v.optional(v.nullable(v.string({ max: 100 }))),
+  reservedUntil: v.optional(v.nullable(v.string({ max: 20 }))),
+  customFields: v.optional(v.nullable(v.record(v.nullable(v.string({ max: 65535 }))))),
+  fault: faultDetails
+};
+
+const portNumber = v.integer({ min: 1, max: MAX_PORTS });
+const portList = (options = {}) => v.array(v.object({ id: portNumber, ...portFields }), {
+  max: MAX_PORTS,
+  uniqueBy: port => (port && Number.isInteger(port.id) ? port.id : undefined),
+  ...options
+});
+const odfQuery = { region: regionName, sub: subName };
+const portRef = v.object({ region: regionName, sub: subName, port: v.integer({ min: 1 }) });
+
+const schemas = {
+  login: v.object({
+    username: v.string({ min: 1, max: 64 }),
+    password: v.string({ min: 1, max: 1024 })
+  }),
+  changePassword: v.object({
+    currentPassword: v.string({ max: 1024 }),
+    newPassword: v.string({ min: 1, max: 1024 })
+  }),
+  createUser: v.object({
+    username: v.string({ min: 1, max: 64 }),
+    password: v.string({ min: 1, max: 1024 }),
+    role: v.optional(v.string({ oneOf: auth.ROLES })),
+    displayName: v.optional(v.string({ max: 100 }))
+  }),
+  updateUser: v.object({
+    role: v.optional(v.string({ oneOf: auth.ROLES })),
+    displayName: v.optional(v.string({ max: 100 })),
+    password: v.optional(v.string({ min: 1, max: 1024 })),
+    disabled: v.optional(v.boolean())
+  }),
+
+  odfQuery: v.object(odfQuery),
+  saveOdf: v.object({
+    ...odfQuery,
+    ports: portList(),
+    displayCount: v.optional(v.integer({ min: 0, max: MAX_PORTS })),
+    extraFieldDefs: v.optional(v.nullable(v.array(v.any()))),
+    version: v.optional(v.integer({ min: 0 }))
+  }, {
+    check: (body, addError) => {
+      if (body.displayCount !== undefined && body.displayCount !== body.ports.length) {
+        addError('displayCount', v.ERROR_CODES.mismatch, `must match the number of ports (${body.ports.length})`);
+      }
+    }
+  }),
+  updatePorts: v.object({ ports: portList() }),
+  updatePort: v.object(portFields),
+  bulkUpdatePorts: v.object({
+    ports: v.array(portNumber, { min: 1, max: MAX_PORTS, uniqueBy: number => number }),
+    set: v.optional(v.object(Object.fromEntries(BULK_PORT_FIELDS.map(key => [key, portFields[key]])))),
+    customFields: portFields.customFields,
+    fault: faultDetails
+  }),
+  history: v.object({
+    ...odfQuery,
+    port: v.optional(v.integer({ min: 1 })),
+    before: v.optional(v.integer({ min: 1 })),
+    limit: v.optional(v.integer({ min: 1, max: 500 }))
+  }),
+  portQuery: v.object({ ...odfQuery, port: v.integer({ min: 1 }) }),
+  attachmentQuery: v.object({ ...odfQuery, port: v.optional(v.integer({ min: 1 })) }),
+  attachmentUploadQuery: v.object({
+    ...odfQuery,
+    port: v.optional(v.integer({ min: 1 })),
+    name: v.string({ min: 1, max: 255 }),
+    caption: v.optional(v.string({ max: 255 }))
+  }),
+  otdrUploadQuery: v.object({ ...odfQuery, port: v.integer({ min: 1 }), name: v.optional(v.string({ max: 255 })) }),
+  createLink: v.object({
+    from: portRef,
+    to: portRef,
+    type: v.optional(v.string({ oneOf: LINK_TYPES })),
+    notes: v.optional(v.nullable(v.string({ max: 255 })))
+  }),
+  layout: v.object({
+    layout: v.nullable(v.object({
+      trayCount: v.integer({ min: 1, max: MAX_PORTS }),
+      portsPerTray: v.integer({ min: 1, max: MAX_PORTS_PER_TRAY }),
+      traysPerPanel: v.optional(v.nullable(v.integer({ min: 0 }))),
+      labelPattern: v.optional(v.nullable(v.string({ max: 50 })))
+    }))
+  }),
+  faultsQuery: v.object({
+    region: v.optional(v.string({ max: 100 })),
+    sub: v.optional(v.string({ max: 150 })),
+    status: v.optional(v.string({ oneOf: ['open', 'closed', 'all'] }))
+  }),
+  assignFault: v.object({ assignee: v.optional(v.nullable(v.string({ max: 100 }))) }),
+  faultComment: v.object({ body: v.string({ min: 1, max: 65535, trim: true }) }),
+  closeFault: v.object({ resolution: longText }),
+  search: v.object({
+    q: v.optional(v.string({ max: 500 })),
+    keyword: v.optional(v.string({ max: 500 })),
+    cursor: v.optional(v.string({ max: 2000 })),
+    limit: v.optional(v.integer({ min: 1, max: MAX_SEARCH_PAGE_SIZE }))
+  }, {
+    check: (query, addError) => {
+      if (!(query.q || query.keyword || '').trim()) {
+        addError('q', v.ERROR_CODES.required, 'is required');
+      }
+    }
+  }),
+  region: v.object({
+    code: v.string({ min: 1, max: 20 }),
+    name: regionName,
+    sortOrder: v.optional(v.integer())
+  }),
+  updateRegion: v.object({
+    code: v.optional(v.string({ min: 1, max: 20 })),
+    name: v.optional(regionName),
+    sortOrder: v.optional(v.integer())
+  }),
+  regionQuery: v.object({ region: v.optional(v.string({ max: 100 })) }),
+  subregionsQuery: v.object({ region: regionName }),
+  fieldDefinition: v.object({
+    label: v.string({ min: 1, max: 100, trim: true }),
+    type: v.optional(v.string({ oneOf: FIELD_TYPES })),
+    required: v.optional(v.boolean()),
+    options: v.optional(v.array(v.string({ min: 1, max: 100 }), { max: 200 })),
+    sortOrder: v.optional(v.integer())
+  }),
+  portStatus: v.object({
+    label: v.string({ min: 1, max: 50, trim: true }),
+    color: v.string({ pattern: /^#[0-9a-fA-F]{6}$/ }),
+    description: v.optional(v.string({ max: 255, trim: true })),
+    transitions: v.optional(v.array(v.string({ min: 1, max: 20 }), { max: 50 })),
+    capacity: v.optional(v.string({ oneOf: STATUS_CAPACITIES })),
+    sortOrder: v.optional(v.integer())
+  }),
+  purge: v.object({ olderThanDays: v.optional(v.number({ min: 0 })) }),
+  mapQuery: v.object({
+    region: regionName,
+    sub: v.optional(subName),
+    format: v.optional(v.string({ oneOf: MAP_FORMATS }))
+  }),
+  saveSubregions: v.object({
+    region: regionName,
+    items: v.array(v.nullable(v.string({ max: 150 })))
+  }),
+  renameSubregion: v.object({
+    region: regionName,
+    from: subName,
+    to: v.string({ max: 150 })
+  }),
+  exportQuery: v.object({
+    region: v.optional(regionName),
+    sub: v.optional(subName),
+    format: v.optional(v.string({ oneOf: EXPORT_FORMATS }))
+  }, {
+    check: (query, addError) => {
+      if (query.sub && !query.region) addError('region', v.ERROR_CODES.required, 'is required with sub');
+    }
+  }),
+  importQuery: v.object({
+    region: v.optional(regionName),
+    sub: v.optional(subName),
+    format: v.optional(v.string({ oneOf: EXPORT_FORMATS }))
+  }, {
+    check: (query, addError) => {
+      if (Boolean(query.region) !== Boolean(query.sub)) {
+        addError(query.region ? 'sub' : 'region', v.ERROR_CODES.required, 'is required when importing into one sub ODF');
+      }
+    }
+  })
+};
+
+// Query parameters as a plain object for validation
+const queryOf = (searchParams) => Object.fromEntries(searchParams);
+
 // ========== STATIC FILE SERVING ==========
 const getMimeType = (filePath) => {
   const ext = path.extname(filePath).toLowerCase();
@@ -425,15 +4066,34 @@ const getMimeType = (filePath) => {
   return mimes[ext] || 'application/octet-stream';
 };
 
+// Only these project files, and files under STATIC_DIRS, are served. The rest
+// of the project folder (server code, migrations, .env, attachments) is not.
+const STATIC_FILES = new Set([
+  'index.html', 'subregions.html', 'odf.html', 'dashboard.html', 'faults.html', 'recycle.html', 'map.html',
+  'login.html', 'logout.html', 'app.js', 'session.js', 'labels.js', 'style.css', 'SLTMobitel_Logo.svg.png'
+]);
+// Local map tiles for MAP_TILE_URL
+const STATIC_DIRS = new Set(['tiles']);
+
+const isStaticFile = (relativePath) => {
+  const parts = relativePath.split(path.sep);
+  if (parts.some(part => part === '' || part.startsWith('.'))) return false;
+  return parts.length === 1 ? STATIC_FILES.has(parts[0]) : STATIC_DIRS.has(parts[0]);
+};
+
 const serveStatic = (req, res, pathname) => {
   let filePath = pathname === '/' ? '/index.html' : pathname;
   const fullPath = path.join(ROOT_DIR, decodeURIComponent(filePath));
   const normalized = path.normalize(fullPath);
 
-  if (!normalized.startsWith(ROOT_DIR)) {
+  if (!normalized.startsWith(ROOT_DIR + path.sep)) {
     sendText(res, 403, 'Forbidden');
     return;
   }
+  if (!isStaticFile(path.relative(ROOT_DIR, normalized))) {
+    sendText(res, 404, 'Not Found');
+    return;
+  }
 
   fs.stat(normalized, (err, stats) => {
     if (err || !stats.isFile()) {
@@ -446,6 +4106,44 @@ const serveStatic = (req, res, pathname) => {
   });
 };
 
+// ========== ACCESS CONTROL ==========
+// Pages reachable without signing in; every other .html page redirects to login
+const PUBLIC_PAGES = new Set(['/login.html', '/logout.html']);
+
+// Routes that need more than the default role. By default GET needs
+// viewer and any other method needs technician.
+const ROUTE_ROLES = [
+  { method: 'POST', path: /^\/api\/subregions(\/rename)?$/, role: 'admin' },
+  { method: 'DELETE', path: '/api/odf', role: 'admin' },
+  { path: /^\/api\/users(\/\d+)?$/, role: 'admin' },
+  { method: 'POST', path: '/api/regions', role: 'admin' },
+  { method: 'PATCH', path: /^\/api\/regions\/\d+$/, role: 'admin' },
+  { method: 'DELETE', path: /^\/api\/regions\/\d+$/, role: 'admin' },
+  { method: 'POST', path: /^\/api\/recycle-bin\/(odf\/\d+\/restore|purge)$/, role: 'admin' },
+  { method: 'PUT', path: '/api/odf/layout', role: 'admin' },
+  { method: 'PUT', path: /^\/api\/fields\/\w+$/, role: 'admin' },
+  { method: 'DELETE', path: /^\/api\/fields\/\w+$/, role: 'admin' },
+  { method: 'PUT', path: /^\/api\/statuses\/\w+$/, role: 'admin' },
+  { method: 'DELETE', path: /^\/api\/statuses\/\w+$/, role: 'admin' }
+];
+
+const getRequiredRole = (method, pathname) => {
+  const rule = ROUTE_ROLES.find(r =>
+    (!r.method || r.method === method) &&
+    (r.path instanceof RegExp ? r.path.test(pathname) : r.path === pathname)
+  );
+  if (rule) return rule.role;
+  return method === 'GET' || method === 'HEAD' ? 'viewer' : 'technician';
+};
+
+const isProtectedPage = (pathname) =>
+  (pathname === '/' || pathname.endsWith('.html')) && !PUBLIC_PAGES.has(pathname);
+
+const redirect = (res, location) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
 // ========== HTTP SERVER ==========
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
@@ -453,69 +4151,659 @@ const server = http.createServer(async (req, res) => {
 
   if (pathname.startsWith('/api/')) {
     try {
-      // ===== GET /api/odf =====
-      if (pathname === '/api/odf' && req.method === 'GET') {
-        const region = searchParams.get('region');
-        const sub = searchParams.get('sub');
-        if (!region || !sub) {
-          sendJson(res, 400, { error: 'Missing region or sub' });
+      // ===== POST /api/auth/login =====
+      if (pathname === '/api/auth/login' && req.method === 'POST') {
+        const { username, password } = v.validate(schemas.login, await readJson(req));
+        const user = await auth.authenticate(username, password);
+        if (!user) {
+          sendError(res, 401, 'Invalid username or password');
+          return;
+        }
+        const token = await auth.createSession(user.id);
+        sendJson(res, 200, { ok: true, user }, { 'Set-Cookie': auth.sessionCookie(token) });
+        return;
+      }
+
+      // ===== POST /api/auth/logout =====
+      if (pathname === '/api/auth/logout' && req.method === 'POST') {
+        await auth.destroySession(req);
+        sendJson(res, 200, { ok: true }, { 'Set-Cookie': auth.clearSessionCookie() });
+        return;
+      }
+
+      // Everything below needs a signed-in user with the route's role
+      req.user = await auth.getSessionUser(req);
+      if (!req.user) {
+        sendError(res, 401, 'Not signed in');
+        return;
+      }
+      const requiredRole = getRequiredRole(req.method, pathname);
+      if (!auth.hasRole(req.user, requiredRole)) {
+        sendError(res, 403, 'Forbidden', { details: `This action requires the ${requiredRole} role.` });
+        return;
+      }
+
+      // ===== GET /api/auth/me =====
+      if (pathname === '/api/auth/me' && req.method === 'GET') {
+        sendJson(res, 200, { user: req.user });
+        return;
+      }
+
+      // ===== POST /api/auth/password =====
+      if (pathname === '/api/auth/password' && req.method === 'POST') {
+        const { currentPassword, newPassword } = v.validate(schemas.changePassword, await readJson(req));
+        const verified = await auth.authenticate(req.user.username, currentPassword);
+        if (!verified) {
+          sendError(res, 400, 'Current password is incorrect');
+          return;
+        }
+        await auth.updateUser(req.user.id, { password: newPassword });
+        sendJson(res, 200, { ok: true }, { 'Set-Cookie': auth.clearSessionCookie() });
+        return;
+      }
+
+      // ===== GET /api/users =====
+      if (pathname === '/api/users' && req.method === 'GET') {
+        const items = await auth.listUsers();
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== POST /api/users =====
+      if (pathname === '/api/users' && req.method === 'POST') {
+        const payload = v.validate(schemas.createUser, await readJson(req));
+        const user = await auth.createUser(payload);
+        sendJson(res, 201, { ok: true, user });
+        return;
+      }
+
+      // ===== PATCH /api/users/:id =====
+      const userMatch = pathname.match(/^\/api\/users\/(\d+)$/);
+      if (userMatch && req.method === 'PATCH') {
+        const userId = Number(userMatch[1]);
+        const { role, displayName, password, disabled } = v.validate(schemas.updateUser, await readJson(req));
+        // Keep at least the acting admin able to sign in and manage accounts
+        if (userId === req.user.id && ((role !== undefined && role !== 'admin') || disabled)) {
+          sendError(res, 400, 'You cannot demote or disable your own account');
           return;
         }
+        const updated = await auth.updateUser(userId, { role, displayName, password, disabled });
+        sendJson(res, updated ? 200 : 404, { ok: updated });
+        return;
+      }
+
+      // ===== GET /api/odf =====
+      if (pathname === '/api/odf' && req.method === 'GET') {
+        const { region, sub } = v.validate(schemas.odfQuery, queryOf(searchParams));
         const entry = await getOdfEntry(region, sub);
         if (!entry) {
-          sendJson(res, 404, { error: 'Not found' });
+          sendError(res, 404, 'Not found');
           return;
         }
-        sendJson(res, 200, entry);
+        const openFaults = await listFaults({ region, sub, status: 'open' });
+        const otdrFlags = await listOtdrFlags(region, sub);
+        sendJson(res, 200, { ...entry, openFaults, otdrFlags }, { ETag: toEtag(entry.version) });
         return;
       }
 
       // ===== POST /api/odf =====
       if (pathname === '/api/odf' && req.method === 'POST') {
-        const body = await readBody(req);
-        const payload = JSON.parse(body || '{}');
-        const { region, sub, ports, displayCount, extraFieldDefs } = payload;
-        if (!region || !sub || !Array.isArray(ports)) {
-          sendJson(res, 400, { error: 'Invalid payload' });
+        const payload = v.validate(schemas.saveOdf, await readJson(req));
+        const { region, sub, ports, extraFieldDefs } = payload;
+        const displayCount = payload.displayCount === undefined ? ports.length : payload.displayCount;
+        const headerVersion = getBaseVersion(req);
+        const baseVersion = headerVersion !== null
+          ? headerVersion
+          : (payload.version === undefined ? null : payload.version);
+        const result = await saveOdfEntry(region, sub, ports, displayCount, extraFieldDefs || [], {
+          baseVersion,
+          allowRemove: auth.hasRole(req.user, 'admin'),
+          actor: getActor(req)
+        });
+        if (result.conflict) {
+          await sendConflict(res, region, sub);
           return;
         }
-        const result = await saveOdfEntry(region, sub, ports, displayCount, extraFieldDefs || []);
-        sendJson(res, 200, { ok: true, lastSave: result.lastSave });
+        sendJson(res, 200, {
+          ok: true,
+          lastSave: result.lastSave,
+          version: result.version,
+          inserted: result.inserted,
+          updated: result.updated,
+          deleted: result.deleted
+        });
         return;
       }
 
-      // ===== DELETE /api/odf =====
-      if (pathname === '/api/odf' && req.method === 'DELETE') {
-        const region = searchParams.get('region');
-        const sub = searchParams.get('sub');
-        if (!region || !sub) {
-          sendJson(res, 400, { error: 'Missing region or sub' });
+      // ===== PATCH /api/odf/ports =====
+      // Diff-based bulk update: body { ports: [{ id, ...changedFields }] }
+      if (pathname === '/api/odf/ports' && req.method === 'PATCH') {
+        const { region, sub } = v.validate(schemas.odfQuery, queryOf(searchParams));
+        const payload = v.validate(schemas.updatePorts, await readJson(req));
+        const result = await updateOdfPorts(region, sub, payload.ports, {
+          baseVersion: getBaseVersion(req),
+          actor: getActor(req)
+        });
+        if (!result) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        if (result.conflict) {
+          await sendConflict(res, region, sub);
+          return;
+        }
+        sendJson(res, 200, {
+          ok: true,
+          lastSave: result.lastSave,
+          version: result.version,
+          updated: result.updated,
+          changes: result.changes
+        });
+        return;
+      }
+
+      // ===== POST /api/odf/ports/bulk =====
+      // Body { ports: [portNumber], set: { field: value }, customFields: { label: value }, fault }
+      if (pathname === '/api/odf/ports/bulk' && req.method === 'POST') {
+        const { region, sub } = v.validate(schemas.odfQuery, queryOf(searchParams));
+        const payload = v.validate(schemas.bulkUpdatePorts, await readJson(req));
+        const result = await bulkUpdatePorts(region, sub, payload.ports, {
+          set: payload.set || {},
+          customFields: payload.customFields || null,
+          fault: payload.fault || null
+        }, {
+          baseVersion: getBaseVersion(req),
+          actor: getActor(req)
+        });
+        if (!result) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        if (result.conflict) {
+          await sendConflict(res, region, sub);
+          return;
+        }
+        sendJson(res, 200, {
+          ok: true,
+          lastSave: result.lastSave,
+          version: result.version,
+          updated: result.updated
+        });
+        return;
+      }
+
+      // ===== PATCH /api/odf/ports/:portNumber =====
+      const portMatch = pathname.match(/^\/api\/odf\/ports\/(\d+)$/);
+      if (portMatch && req.method === 'PATCH') {
+        const { region, sub } = v.validate(schemas.odfQuery, queryOf(searchParams));
+        const fields = v.validate(schemas.updatePort, await readJson(req));
+        const portNumber = Number(portMatch[1]);
+        const result = await updateOdfPorts(region, sub, [{ ...fields, id: portNumber }], {
+          baseVersion: getBaseVersion(req),
+          actor: getActor(req)
+        });
+        if (!result) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        if (result.conflict) {
+          await sendConflict(res, region, sub);
+          return;
+        }
+        const change = result.changes[0];
+        sendJson(res, 200, {
+          ok: true,
+          lastSave: result.lastSave,
+          version: result.version,
+          changed: change ? change.fields : []
+        });
+        return;
+      }
+
+      // ===== GET /api/odf/history =====
+      if (pathname === '/api/odf/history' && req.method === 'GET') {
+        const query = v.validate(schemas.history, queryOf(searchParams));
+        const items = await getAuditHistory(query.region, query.sub, {
+          portNumber: query.port === undefined ? null : query.port,
+          before: query.before === undefined ? null : query.before,
+          limit: query.limit === undefined ? 100 : query.limit
+        });
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== GET /api/export =====
+      if (pathname === '/api/export' && req.method === 'GET') {
+        const query = v.validate(schemas.exportQuery, queryOf(searchParams));
+        const file = await exportSpreadsheet({ ...query, format: query.format || 'xlsx' });
+        res.writeHead(200, {
+          'Content-Type': file.contentType,
+          'Content-Disposition': `attachment; filename="${file.fileName}"`
+        });
+        res.end(file.body);
+        return;
+      }
+
+      // ===== GET /api/map =====
+      if (pathname === '/api/map' && req.method === 'GET') {
+        const query = v.validate(schemas.mapQuery, queryOf(searchParams));
+        const { points, invalid } = await listMapPoints(query);
+        sendJson(res, 200, { points, invalid, tileUrl: MAP_TILE_URL });
+        return;
+      }
+
+      // ===== GET /api/map/export =====
+      if (pathname === '/api/map/export' && req.method === 'GET') {
+        const query = v.validate(schemas.mapQuery, queryOf(searchParams));
+        const file = await exportMap({ ...query, format: query.format || 'geojson' });
+        res.writeHead(200, {
+          'Content-Type': file.contentType,
+          'Content-Disposition': `attachment; filename="${file.fileName}"`
+        });
+        res.end(file.body);
+        return;
+      }
+
+      // ===== POST /api/import =====
+      // Body is the .xlsx or .csv file itself
+      if (pathname === '/api/import' && req.method === 'POST') {
+        const query = v.validate(schemas.importQuery, queryOf(searchParams));
+        const buffer = await readRawBody(req);
+        const items = await importSpreadsheet(buffer, {
+          region: query.region || null,
+          sub: query.sub || null,
+          format: query.format || detectImportFormat(req, buffer),
+          allowRemove: auth.hasRole(req.user, 'admin'),
+          actor: getActor(req)
+        });
+        sendJson(res, 200, { ok: true, items });
+        return;
+      }
+
+      // ===== GET /api/links and GET /api/trace =====
+      if ((pathname === '/api/links' || pathname === '/api/trace') && req.method === 'GET') {
+        const { region, sub, port: portParam } = v.validate(schemas.portQuery, queryOf(searchParams));
+        if (pathname === '/api/trace') {
+          const trace = await tracePort(region, sub, portParam);
+          if (!trace) {
+            sendError(res, 404, 'Not found');
+            return;
+          }
+          sendJson(res, 200, trace);
           return;
         }
-        const deleted = await deleteOdfEntry(region, sub);
+        const port = await findPort(pool, region, sub, portParam);
+        if (!port) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        const items = await getPortLinks(pool, port.id);
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== POST /api/links =====
+      if (pathname === '/api/links' && req.method === 'POST') {
+        const { from, to, type, notes } = v.validate(schemas.createLink, await readJson(req));
+        const link = await createPortLink(from, to, { type, notes, actor: getActor(req) });
+        sendJson(res, 201, { ok: true, link });
+        return;
+      }
+
+      // ===== DELETE /api/links/:id =====
+      const linkMatch = pathname.match(/^\/api\/links\/(\d+)$/);
+      if (linkMatch && req.method === 'DELETE') {
+        const deleted = await deletePortLink(Number(linkMatch[1]), { actor: getActor(req) });
         sendJson(res, deleted ? 200 : 404, { ok: deleted });
         return;
       }
 
-      // ===== GET /api/search =====
-      if (pathname === '/api/search' && req.method === 'GET') {
-        const keyword = (searchParams.get('keyword') || '').trim();
-        if (!keyword) {
-          sendJson(res, 400, { error: 'Missing keyword' });
+      // ===== GET /api/otdr =====
+      if (pathname === '/api/otdr' && req.method === 'GET') {
+        const { region, sub, port: portParam } = v.validate(schemas.portQuery, queryOf(searchParams));
+        const items = await listOtdrTraces(region, sub, portParam);
+        if (!items) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 200, { items, toleranceMetres: OTDR_TOLERANCE_METRES });
+        return;
+      }
+
+      // ===== POST /api/otdr =====
+      // Body is the .sor file itself; ?name= is the original file name
+      if (pathname === '/api/otdr' && req.method === 'POST') {
+        const query = v.validate(schemas.otdrUploadQuery, queryOf(searchParams));
+        const trace = await uploadOtdrTrace(req, {
+          region: query.region,
+          sub: query.sub,
+          portNumber: query.port,
+          fileName: query.name,
+          actor: getActor(req)
+        });
+        if (!trace) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 201, { ok: true, trace });
+        return;
+      }
+
+      // ===== GET /api/otdr/:id and /api/otdr/:id/file =====
+      const otdrMatch = pathname.match(/^\/api\/otdr\/(\d+)(\/file)?$/);
+      if (otdrMatch && req.method === 'GET') {
+        const id = Number(otdrMatch[1]);
+        if (otdrMatch[2]) {
+          const file = await getOtdrFile(id);
+          if (!file) {
+            sendError(res, 404, 'Not found');
+            return;
+          }
+          await sendFile(res, file.filePath, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${file.fileName.replace(/["\\\r\n]/g, '_')}"`
+          });
+          return;
+        }
+        const trace = await getOtdrTrace(id);
+        if (!trace) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 200, trace);
+        return;
+      }
+
+      // ===== DELETE /api/otdr/:id =====
+      if (otdrMatch && !otdrMatch[2] && req.method === 'DELETE') {
+        const deleted = await deleteOtdrTrace(Number(otdrMatch[1]), { actor: getActor(req) });
+        sendJson(res, deleted ? 200 : 404, { ok: deleted });
+        return;
+      }
+
+      // ===== GET /api/attachments =====
+      // With ?port= the files of that port, otherwise every file of the sub ODF
+      if (pathname === '/api/attachments' && req.method === 'GET') {
+        const { region, sub, port: portParam } = v.validate(schemas.attachmentQuery, queryOf(searchParams));
+        const items = await listAttachments(region, sub, portParam === undefined ? null : portParam);
+        if (!items) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 200, { items, maxBytes: MAX_ATTACHMENT_BYTES, types: Object.keys(ATTACHMENT_TYPES) });
+        return;
+      }
+
+      // ===== POST /api/attachments =====
+      // Body is the file itself, streamed to disk; leave out ?port= to attach it to the sub ODF
+      if (pathname === '/api/attachments' && req.method === 'POST') {
+        const query = v.validate(schemas.attachmentUploadQuery, queryOf(searchParams));
+        const attachment = await uploadAttachment(req, {
+          region: query.region,
+          sub: query.sub,
+          portNumber: query.port === undefined ? null : query.port,
+          fileName: query.name,
+          caption: query.caption,
+          actor: getActor(req)
+        });
+        if (!attachment) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 201, { ok: true, attachment });
+        return;
+      }
+
+      // ===== GET /api/attachments/:id/file =====
+      // ?download=1 saves the file instead of showing it
+      const attachmentMatch = pathname.match(/^\/api\/attachments\/(\d+)(\/file)?$/);
+      if (attachmentMatch && attachmentMatch[2] && req.method === 'GET') {
+        const attachment = await getAttachment(Number(attachmentMatch[1]));
+        if (!attachment) {
+          sendError(res, 404, 'Not found');
           return;
         }
-        const response = await searchData(keyword);
+        const inline = INLINE_ATTACHMENT_TYPES.includes(attachment.contentType) && searchParams.get('download') !== '1';
+        const asciiName = attachment.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+        await sendFile(res, attachment.filePath, {
+          'Content-Type': attachment.contentType,
+          'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+          'X-Content-Type-Options': 'nosniff',
+          'Cache-Control': 'private, max-age=3600'
+        });
+        return;
+      }
+
+      // ===== DELETE /api/attachments/:id =====
+      if (attachmentMatch && !attachmentMatch[2] && req.method === 'DELETE') {
+        const deleted = await deleteAttachment(Number(attachmentMatch[1]), { actor: getActor(req) });
+        sendJson(res, deleted ? 200 : 404, { ok: deleted });
+        return;
+      }
+
+      // ===== PUT /api/odf/layout =====
+      // Body { layout: { trayCount, portsPerTray, traysPerPanel, labelPattern } | null }
+      if (pathname === '/api/odf/layout' && req.method === 'PUT') {
+        const { region, sub } = v.validate(schemas.odfQuery, queryOf(searchParams));
+        const payload = v.validate(schemas.layout, await readJson(req));
+        const result = await setOdfLayout(region, sub, payload.layout, { actor: getActor(req) });
+        if (!result) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 200, { ok: true, ...result }, { ETag: toEtag(result.version) });
+        return;
+      }
+
+      // ===== GET /api/stats =====
+      if (pathname === '/api/stats' && req.method === 'GET') {
+        const { region } = v.validate(schemas.regionQuery, queryOf(searchParams));
+        const stats = await getPortStats({ region: region || null });
+        sendJson(res, 200, stats);
+        return;
+      }
+
+      // ===== GET /api/faults =====
+      if (pathname === '/api/faults' && req.method === 'GET') {
+        const query = v.validate(schemas.faultsQuery, queryOf(searchParams));
+        const items = await listFaults({
+          region: query.region || null,
+          sub: query.sub || null,
+          status: query.status || 'open'
+        });
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== GET /api/faults/assignees =====
+      if (pathname === '/api/faults/assignees' && req.method === 'GET') {
+        const users = await auth.listUsers();
+        const items = users
+          .filter(user => !user.disabled && auth.hasRole(user, 'technician'))
+          .map(user => ({ username: user.username, displayName: user.displayName }));
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== GET /api/faults/:id =====
+      const faultMatch = pathname.match(/^\/api\/faults\/(\d+)(?:\/(assign|comments|close))?$/);
+      if (faultMatch && !faultMatch[2] && req.method === 'GET') {
+        const fault = await getFault(Number(faultMatch[1]));
+        if (!fault) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 200, fault);
+        return;
+      }
+
+      // ===== POST /api/faults/:id/assign, /comments and /close =====
+      if (faultMatch && faultMatch[2] && req.method === 'POST') {
+        const body = await readJson(req);
+        const id = Number(faultMatch[1]);
+        const options = { actor: getActor(req) };
+        let fault;
+        if (faultMatch[2] === 'assign') {
+          const payload = v.validate(schemas.assignFault, body);
+          fault = await assignFault(id, payload.assignee || null, options);
+        } else if (faultMatch[2] === 'comments') {
+          const payload = v.validate(schemas.faultComment, body);
+          fault = await addFaultComment(id, payload.body, options);
+        } else {
+          const payload = v.validate(schemas.closeFault, body);
+          fault = await closeFault(id, payload.resolution, options);
+        }
+        sendJson(res, 200, { ok: true, fault });
+        return;
+      }
+
+      // ===== DELETE /api/odf =====
+      if (pathname === '/api/odf' && req.method === 'DELETE') {
+        const { region, sub } = v.validate(schemas.odfQuery, queryOf(searchParams));
+        const deleted = await deleteOdfEntry(region, sub, { actor: getActor(req) });
+        sendJson(res, deleted ? 200 : 404, { ok: deleted });
+        return;
+      }
+
+      // ===== GET /api/search =====
+      if (pathname === '/api/search' && req.method === 'GET') {
+        const query = v.validate(schemas.search, queryOf(searchParams));
+        const response = await searchData((query.q || query.keyword).trim(), {
+          cursor: query.cursor || null,
+          limit: query.limit
+        });
         sendJson(res, 200, response);
         return;
       }
 
-      // ===== GET /api/subregions =====
-      if (pathname === '/api/subregions' && req.method === 'GET') {
-        const region = searchParams.get('region');
+      // ===== GET /api/regions =====
+      if (pathname === '/api/regions' && req.method === 'GET') {
+        const items = await listRegions();
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== POST /api/regions =====
+      if (pathname === '/api/regions' && req.method === 'POST') {
+        const payload = v.validate(schemas.region, await readJson(req));
+        const region = await createRegion(payload, { actor: getActor(req) });
+        sendJson(res, 201, { ok: true, region });
+        return;
+      }
+
+      // ===== PATCH /api/regions/:id =====
+      const regionMatch = pathname.match(/^\/api\/regions\/(\d+)$/);
+      if (regionMatch && req.method === 'PATCH') {
+        const payload = v.validate(schemas.updateRegion, await readJson(req));
+        const region = await updateRegion(Number(regionMatch[1]), payload, { actor: getActor(req) });
         if (!region) {
-          sendJson(res, 400, { error: 'Missing region' });
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 200, { ok: true, region });
+        return;
+      }
+
+      // ===== DELETE /api/regions/:id =====
+      if (regionMatch && req.method === 'DELETE') {
+        const result = await deleteRegion(Number(regionMatch[1]), { actor: getActor(req) });
+        if (result.inUse) {
+          sendError(res, 409, 'Region still has sub regions or ODF data (including the recycle bin)');
+          return;
+        }
+        sendJson(res, result.deleted ? 200 : 404, { ok: result.deleted });
+        return;
+      }
+
+      // ===== GET /api/fields =====
+      if (pathname === '/api/fields' && req.method === 'GET') {
+        const { region } = v.validate(schemas.regionQuery, queryOf(searchParams));
+        const items = await listFieldDefinitions({ region: region || '' });
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== PUT /api/fields/:key =====
+      // ?region= sets a region override; without it the global definition changes
+      const fieldMatch = pathname.match(/^\/api\/fields\/(\w+)$/);
+      if (fieldMatch && req.method === 'PUT') {
+        const { region } = v.validate(schemas.regionQuery, queryOf(searchParams));
+        const payload = v.validate(schemas.fieldDefinition, await readJson(req));
+        const items = await saveFieldDefinition(fieldMatch[1], region || '', payload, {
+          actor: getActor(req)
+        });
+        sendJson(res, 200, { ok: true, items });
+        return;
+      }
+
+      // ===== DELETE /api/fields/:key =====
+      if (fieldMatch && req.method === 'DELETE') {
+        const { region } = v.validate(schemas.regionQuery, queryOf(searchParams));
+        const deleted = await deleteFieldDefinition(fieldMatch[1], region || '', {
+          actor: getActor(req)
+        });
+        sendJson(res, deleted ? 200 : 404, { ok: deleted });
+        return;
+      }
+
+      // ===== GET /api/statuses =====
+      if (pathname === '/api/statuses' && req.method === 'GET') {
+        const items = await listPortStatuses();
+        sendJson(res, 200, { items });
+        return;
+      }
+
+      // ===== PUT /api/statuses/:code =====
+      const statusMatch = pathname.match(/^\/api\/statuses\/(\w+)$/);
+      if (statusMatch && req.method === 'PUT') {
+        const payload = v.validate(schemas.portStatus, await readJson(req));
+        const items = await savePortStatus(statusMatch[1].toUpperCase(), payload, { actor: getActor(req) });
+        sendJson(res, 200, { ok: true, items });
+        return;
+      }
+
+      // ===== DELETE /api/statuses/:code =====
+      if (statusMatch && req.method === 'DELETE') {
+        const deleted = await deletePortStatus(statusMatch[1].toUpperCase(), { actor: getActor(req) });
+        sendJson(res, deleted ? 200 : 404, { ok: deleted });
+        return;
+      }
+
+      // ===== GET /api/recycle-bin =====
+      if (pathname === '/api/recycle-bin' && req.method === 'GET') {
+        const { region } = v.validate(schemas.regionQuery, queryOf(searchParams));
+        const result = await listRecycleBin({ region: region || null });
+        sendJson(res, 200, result);
+        return;
+      }
+
+      // ===== POST /api/recycle-bin/odf/:id/restore and /ports/:id/restore =====
+      const restoreMatch = pathname.match(/^\/api\/recycle-bin\/(odf|ports)\/(\d+)\/restore$/);
+      if (restoreMatch && req.method === 'POST') {
+        const restore = restoreMatch[1] === 'odf' ? restoreOdfEntry : restorePort;
+        const result = await restore(Number(restoreMatch[2]), { actor: getActor(req) });
+        if (!result) {
+          sendError(res, 404, 'Not found');
           return;
         }
+        sendJson(res, 200, { ok: true, ...result });
+        return;
+      }
+
+      // ===== POST /api/recycle-bin/purge =====
+      if (pathname === '/api/recycle-bin/purge' && req.method === 'POST') {
+        const payload = v.validate(schemas.purge, await readJson(req));
+        const olderThanDays = payload.olderThanDays === undefined
+          ? RECYCLE_RETENTION_DAYS
+          : payload.olderThanDays;
+        const purged = await purgeRecycleBin({ olderThanDays, actor: getActor(req) });
+        sendJson(res, 200, { ok: true, purged });
+        return;
+      }
+
+      // ===== GET /api/subregions =====
+      if (pathname === '/api/subregions' && req.method === 'GET') {
+        const { region } = v.validate(schemas.subregionsQuery, queryOf(searchParams));
         const [rows] = await pool.execute(
           'SELECT sub FROM subregions WHERE region = ? ORDER BY sub',
           [region]
@@ -527,13 +4815,7 @@ const server = http.createServer(async (req, res) => {
 
       // ===== POST /api/subregions =====
       if (pathname === '/api/subregions' && req.method === 'POST') {
-        const body = await readBody(req);
-        const payload = JSON.parse(body || '{}');
-        const { region, items } = payload;
-        if (!region || !Array.isArray(items)) {
-          sendJson(res, 400, { error: 'Invalid payload' });
-          return;
-        }
+        const { region, items } = v.validate(schemas.saveSubregions, await readJson(req));
 
         const normalizedItems = [...new Set(
           items
@@ -562,17 +4844,17 @@ const server = http.createServer(async (req, res) => {
             await connection.query('INSERT INTO subregions (region, sub) VALUES ?', [values]);
           }
 
-          if (removedSubs.length > 0) {
-            const placeholders = removedSubs.map(() => '?').join(', ');
-            await connection.execute(
-              `DELETE FROM odf_entries WHERE region = ? AND sub IN (${placeholders})`,
-              [region, ...removedSubs]
-            );
-          }
+          const actor = getActor(req);
+          await recordAudit(connection, [
+            ...addedSubs.map(sub => ({ actor, action: 'subregion.add', region, sub, changes: {} })),
+            ...removedSubs.map(sub => ({ actor, action: 'subregion.remove', region, sub, changes: {} }))
+          ]);
+
+          await deleteOdfEntries(connection, region, removedSubs, { actor });
 
           let createdCount = 0;
           for (const sub of addedSubs) {
-            const created = await ensureOdfEntryExists(connection, region, sub);
+            const created = await ensureOdfEntryExists(connection, region, sub, { actor });
             if (created) createdCount += 1;
           }
 
@@ -592,21 +4874,96 @@ const server = http.createServer(async (req, res) => {
         return;
       }
 
-      sendJson(res, 404, { error: 'Unknown API route' });
+      // ===== POST /api/subregions/rename =====
+      if (pathname === '/api/subregions/rename' && req.method === 'POST') {
+        const { region, from, to } = v.validate(schemas.renameSubregion, await readJson(req));
+        const result = await renameSubregion(region, from, to, { actor: getActor(req) });
+        if (!result) {
+          sendError(res, 404, 'Not found');
+          return;
+        }
+        sendJson(res, 200, { ok: true, sub: result.sub });
+        return;
+      }
+
+      sendError(res, 404, 'Unknown API route');
     } catch (error) {
       console.error('API Error:', error);
       const statusCode = error && error.statusCode ? error.statusCode : 500;
-      sendJson(res, statusCode, { error: 'Server error', details: error.message });
+      // Errors raised for bad requests carry their own message and code;
+      // anything else (database errors included) is a plain server error
+      // whose cause stays in the server log
+      const clientError = statusCode < 500;
+      sendError(res, statusCode, clientError ? error.message : 'Server error', {
+        ...(clientError && error.code ? { code: error.code } : {}),
+        ...(clientError ? { details: error.message } : {}),
+        ...(error.fieldErrors ? { fieldErrors: error.fieldErrors } : {})
+      });
     }
     return;
   }
 
+  if (isProtectedPage(pathname)) {
+    let user = null;
+    try {
+      user = await auth.getSessionUser(req);
+    } catch (error) {
+      console.error('Session lookup failed:', error);
+      sendText(res, 500, 'Server error');
+      return;
+    }
+    if (!user) {
+      redirect(res, `/login.html?next=${encodeURIComponent(pathname + url.search)}`);
+      return;
+    }
+  }
+
   serveStatic(req, res, pathname);
 });
 
-server.listen(PORT, () => {
-  console.log(`ODF app running at http://localhost:${PORT}`);
+const start = async () => {
+  if (AUTO_MIGRATE) {
+    try {
+      const result = await runMigrations(pool);
+      console.log(`Database schema version: ${result.version}`);
+    } catch (error) {
+      console.error('Database migration failed:', error);
+      process.exit(1);
+    }
+  }
+
+  try {
+    await auth.ensureBootstrapAdmin();
+  } catch (error) {
+    console.error('Unable to check user accounts:', error.message);
+  }
+
+  server.listen(PORT, () => {
+    console.log(`ODF app running at http://localhost:${PORT}`);
+  });
 
-});
+  const checkReservations = async () => {
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) console.log(`Released ${released} expired port reservation(s)`);
+    } catch (error) {
+      console.error('Releasing expired reservations failed:', error.message);
+    }
+  };
+  checkReservations();
+  setInterval(checkReservations, RESERVATION_CHECK_MS).unref();
+};
+
+// Exported for the tests; `node server.js` starts the server
+module.exports = {
+  getBaseVersion, toPortColumns, diffPortColumns, saveOdfEntry, updateOdfPorts,
+  parseSearchQuery, decodeCursor, searchData, normalizeLayout,
+  exportHeaders, exportRow, readImportFile, importRowToPort,
+  reservationErrors, exportSpreadsheet, importSpreadsheet, statusValidator, parseGps
+};
+
+if (require.main === module) {
+  start();
+}
 
 
@@ -0,0 +1,58 @@
+// ========== SESSION ==========
+// Loaded by every signed-in page: shows the current user in the nav bar and
+// exposes the user's role so pages can hide actions they are not allowed.
+const ODFSession = (() => {
+    const ROLES = ['viewer', 'technician', 'admin'];
+    let currentUser = null;
+
+    const redirectToLogin = () => {
+        const next = `${window.location.pathname}${window.location.search}`;
+        window.location.href = `/login.html?next=${encodeURIComponent(next)}`;
+    };
+
+    const ready = fetch('/api/auth/me')
+        .then((res) => {
+            if (res.status === 401) {
+                redirectToLogin();
+                return null;
+            }
+            return res.ok ? res.json() : null;
+        })
+        .then((data) => {
+            currentUser = data && data.user ? data.user : null;
+            return currentUser;
+        })
+        .catch(() => null);
+
+    const hasRole = (role) =>
+        Boolean(currentUser) && ROLES.includes(currentUser.role) && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+
+    const renderUserBadge = (user) => {
+        const nav = document.querySelector('.nav-controls');
+        if (!nav || !user) return;
+
+        const badge = document.createElement('span');
+        badge.className = 'user-badge';
+        badge.textContent = `${user.displayName} (${user.role})`;
+
+        const logout = document.createElement('a');
+        logout.className = 'btn btn-outline';
+        logout.href = 'logout.html';
+        logout.textContent = 'Log out';
+
+        nav.appendChild(badge);
+        nav.appendChild(logout);
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        ready.then(renderUserBadge);
+    });
+
+    return {
+        ready,
+        hasRole,
+        get user() {
+            return currentUser;
+        }
+    };
+})();
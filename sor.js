@@ -0,0 +1,241 @@
+// ========== OTDR TRACE FILES ==========
+// Reader for Telcordia SR-4731 (.sor) files, versions 1 and 2. A file is a
+// list of blocks named in the leading Map block; this reads GenParams,
+// SupParams, FxdParams, KeyEvents and DataPts and skips the rest. Numbers are
+// little-endian. Times in the file are one-way travel times in 100 ps units;
+// distances are returned in km.
+
+const SPEED_OF_LIGHT_KM_S = 299792.458;
+// Plot points kept from DataPts; a trace has tens of thousands of samples
+const MAX_PLOT_POINTS = 1000;
+
+const sorError = (message) => {
+  const error = new Error(`Not a valid .sor file: ${message}`);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Sequential reader over one block. Reads past the end of the block throw,
+ * so a truncated file fails with a 400 instead of returning garbage.
+ */
+const blockReader = (buffer, start, end) => {
+  let offset = start;
+  const need = (bytes) => {
+    if (offset + bytes > end) throw sorError('a block ends early');
+  };
+  const read = (bytes, fn) => {
+    need(bytes);
+    const value = fn(offset);
+    offset += bytes;
+    return value;
+  };
+  return {
+    get remaining() { return end - offset; },
+    uint16: () => read(2, at => buffer.readUInt16LE(at)),
+    int16: () => read(2, at => buffer.readInt16LE(at)),
+    uint32: () => read(4, at => buffer.readUInt32LE(at)),
+    int32: () => read(4, at => buffer.readInt32LE(at)),
+    chars: (count) => read(count, at => buffer.toString('latin1', at, at + count)),
+    // Zero-terminated string
+    string: () => {
+      const stop = buffer.indexOf(0, offset);
+      if (stop === -1 || stop >= end) throw sorError('a text field is not terminated');
+      const text = buffer.toString('latin1', offset, stop);
+      offset = stop + 1;
+      return text.trim();
+    },
+    skip: (count) => read(count, () => undefined)
+  };
+};
+
+/**
+ * Block names, versions and positions from the Map block. Version 2 files
+ * start with the text "Map" and repeat each block's name at its start.
+ */
+const readMap = (buffer) => {
+  if (buffer.length < 8) throw sorError('the file is too short');
+  const version = buffer.toString('latin1', 0, 4) === 'Map\0' ? 2 : 1;
+  const header = blockReader(buffer, version === 2 ? 4 : 0, buffer.length);
+  const revision = header.uint16();
+  const mapSize = header.uint32();
+  const count = header.uint16();
+  if (mapSize > buffer.length || count < 1) throw sorError('the block map is damaged');
+
+  // The map's size covers the whole block, so the first block follows it
+  const blocks = new Map();
+  let position = mapSize;
+  for (let i = 1; i < count; i += 1) {
+    const name = header.string();
+    header.uint16();
+    const size = header.uint32();
+    if (position + size > buffer.length) throw sorError(`the ${name || 'unnamed'} block runs past the end of the file`);
+    blocks.set(name, { start: position, end: position + size });
+    position += size;
+  }
+  return { version, revision, blocks };
+};
+
+// Reader positioned after the block's own name (version 2), or null if absent
+const openBlock = (buffer, map, name) => {
+  const block = map.blocks.get(name);
+  if (!block) return null;
+  const reader = blockReader(buffer, block.start, block.end);
+  if (map.version === 2) reader.string();
+  return reader;
+};
+
+const readGeneral = (reader, version) => {
+  if (!reader) return {};
+  const general = { language: reader.chars(2), cableId: reader.string(), fiberId: reader.string() };
+  if (version === 2) general.fiberType = reader.uint16();
+  general.wavelength = reader.uint16();
+  general.locationA = reader.string();
+  general.locationB = reader.string();
+  general.cableCode = reader.string();
+  general.buildCondition = reader.chars(2);
+  reader.int32();
+  if (version === 2) reader.int32();
+  general.operator = reader.string();
+  general.comment = reader.string();
+  return general;
+};
+
+const readSupplier = (reader) => {
+  if (!reader) return {};
+  return {
+    name: reader.string(),
+    mainframe: reader.string(),
+    mainframeSerial: reader.string(),
+    module: reader.string(),
+    moduleSerial: reader.string(),
+    software: reader.string(),
+    other: reader.string()
+  };
+};
+
+const readFixed = (reader, version) => {
+  if (!reader) throw sorError('the FxdParams block is missing');
+  const fixed = {
+    timestamp: reader.uint32(),
+    units: reader.chars(2),
+    wavelength: reader.uint16() / 10
+  };
+  reader.int32();
+  if (version === 2) reader.int32();
+  const pulseCount = reader.uint16();
+  const pulseWidths = Array.from({ length: pulseCount }, () => reader.uint16());
+  const dataSpacing = Array.from({ length: pulseCount }, () => reader.uint32());
+  const pointCounts = Array.from({ length: pulseCount }, () => reader.uint32());
+  fixed.pulseWidth = pulseWidths[0] || 0;
+  fixed.dataSpacing = dataSpacing[0] || 0;
+  fixed.pointCount = pointCounts[0] || 0;
+  fixed.groupIndex = reader.uint32() / 100000;
+  fixed.backscatter = -reader.uint16() / 10;
+  fixed.averages = reader.uint32();
+  return fixed;
+};
+
+const readEvents = (reader, version, km) => {
+  if (!reader) return { events: [], totalLoss: null, orl: null, lossEnd: null };
+  const count = reader.uint16();
+  const events = [];
+  for (let i = 0; i < count; i += 1) {
+    const number = reader.uint16();
+    const distance = km(reader.uint32());
+    const slope = reader.int16() / 1000;
+    const loss = reader.int16() / 1000;
+    const reflectance = reader.int32() / 1000;
+    const code = reader.chars(6);
+    reader.chars(2);
+    if (version === 2) reader.skip(20);
+    const comment = reader.string();
+    events.push({
+      number,
+      distance,
+      loss,
+      reflectance: reflectance === 0 ? null : reflectance,
+      slope,
+      reflective: code[0] === '1' || code[0] === '2',
+      end: code[1] === 'E',
+      code,
+      comment
+    });
+  }
+  // Summary: total loss, loss start/end, ORL. Some writers leave it out.
+  if (reader.remaining < 14) return { events, totalLoss: null, orl: null, lossEnd: null };
+  const totalLoss = reader.int32() / 1000;
+  reader.int32();
+  const lossEnd = km(reader.uint32());
+  const orl = reader.uint16() / 1000;
+  return { events, totalLoss, orl: orl === 0 ? null : orl, lossEnd };
+};
+
+/**
+ * Trace samples as [distance km, level dB] pairs, thinned to at most
+ * MAX_PLOT_POINTS. Each kept point is the highest level in its stretch so
+ * reflective peaks stay visible.
+ */
+const readPlot = (reader, pointKm) => {
+  if (!reader) return [];
+  const count = reader.uint32();
+  const traces = reader.uint16();
+  if (traces < 1) return [];
+  reader.uint32();
+  const scale = reader.uint16() / 1000 || 1;
+  reader.skip((traces - 1) * 6);
+  const available = Math.min(count, Math.floor(reader.remaining / 2));
+  const step = Math.max(1, Math.ceil(available / MAX_PLOT_POINTS));
+  const points = [];
+  for (let first = 0; first < available; first += step) {
+    let best = null;
+    for (let i = first; i < Math.min(first + step, available); i += 1) {
+      const level = -reader.uint16() * scale / 1000;
+      if (!best || level > best[1]) best = [pointKm(i), level];
+    }
+    points.push([Math.round(best[0] * 100000) / 100000, Math.round(best[1] * 1000) / 1000]);
+  }
+  return points;
+};
+
+/**
+ * Parse a .sor file. Returns the fibre end distance (`fiberLength`, km), the
+ * key events, total loss and ORL, acquisition settings and up to
+ * MAX_PLOT_POINTS trace points. Throws a 400 for files it cannot read.
+ */
+const parseSor = (buffer) => {
+  const map = readMap(buffer);
+  const general = readGeneral(openBlock(buffer, map, 'GenParams'), map.version);
+  const supplier = readSupplier(openBlock(buffer, map, 'SupParams'));
+  const fixed = readFixed(openBlock(buffer, map, 'FxdParams'), map.version);
+  if (!fixed.groupIndex) throw sorError('the group index is zero');
+
+  const kmPerTime = 1e-10 * SPEED_OF_LIGHT_KM_S / fixed.groupIndex;
+  const km = (time) => Math.round(time * kmPerTime * 100000) / 100000;
+  // Data spacing is the time for 10,000 samples
+  const pointKm = (index) => index * fixed.dataSpacing * kmPerTime / 10000;
+
+  const { events, totalLoss, orl, lossEnd } = readEvents(openBlock(buffer, map, 'KeyEvents'), map.version, km);
+  const plot = readPlot(openBlock(buffer, map, 'DataPts'), pointKm);
+  const endEvent = events.find(event => event.end) || events[events.length - 1];
+  const fiberLength = endEvent ? endEvent.distance : lossEnd;
+
+  return {
+    version: map.version,
+    wavelength: fixed.wavelength || general.wavelength || null,
+    pulseWidth: fixed.pulseWidth,
+    groupIndex: fixed.groupIndex,
+    backscatter: fixed.backscatter,
+    averages: fixed.averages,
+    measuredAt: fixed.timestamp ? new Date(fixed.timestamp * 1000).toISOString() : null,
+    fiberLength: fiberLength || null,
+    totalLoss,
+    orl,
+    events,
+    general,
+    supplier,
+    plot
+  };
+};
+
+module.exports = { parseSor };
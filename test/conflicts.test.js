@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storedPort, fakeOdf } = require('./fake-db');
+const { getBaseVersion, saveOdfEntry, updateOdfPorts } = require('../server');
+
+const withIfMatch = (value) => ({ headers: value === undefined ? {} : { 'if-match': value } });
+
+test('If-Match takes the ETag with or without quotes or W/', () => {
+  assert.equal(getBaseVersion(withIfMatch('"5"')), 5);
+  assert.equal(getBaseVersion(withIfMatch('W/"5"')), 5);
+  assert.equal(getBaseVersion(withIfMatch('5')), 5);
+});
+
+test('a missing If-Match or * saves without a version check', () => {
+  assert.equal(getBaseVersion(withIfMatch()), null);
+  assert.equal(getBaseVersion(withIfMatch('*')), null);
+});
+
+test('an If-Match that is not a version fails with 400', () => {
+  assert.throws(() => getBaseVersion(withIfMatch('"abc"')), { statusCode: 400 });
+});
+
+test('a full save against an old version is a conflict and writes nothing', async () => {
+  const { writes } = fakeOdf([storedPort(1)], { version: 3 });
+  const result = await saveOdfEntry('North', 'A', [storedPort(1, { notes: 'x' })], 1, [], { baseVersion: 2 });
+  assert.deepEqual(result, { conflict: true, version: 3 });
+  assert.deepEqual(writes, []);
+});
+
+test('a full save against the current version bumps it', async () => {
+  fakeOdf([storedPort(1)], { version: 3 });
+  const result = await saveOdfEntry('North', 'A', [storedPort(1, { notes: 'x' })], 1, [], { baseVersion: 3 });
+  assert.equal(result.version, 4);
+});
+
+test('a port save conflicts only when that port changed after the base version', async () => {
+  const ports = [storedPort(1, { version: 2 }), storedPort(2, { version: 5 })];
+
+  fakeOdf(ports, { version: 5 });
+  const other = await updateOdfPorts('North', 'A', [{ id: 1, notes: 'x' }], { baseVersion: 4 });
+  assert.equal(other.conflict, undefined);
+  assert.equal(other.version, 6);
+
+  const { writes } = fakeOdf(ports, { version: 5 });
+  const same = await updateOdfPorts('North', 'A', [{ id: 2, notes: 'x' }], { baseVersion: 4 });
+  assert.deepEqual(same, { conflict: true, version: 5 });
+  assert.deepEqual(writes, []);
+});
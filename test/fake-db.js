@@ -0,0 +1,83 @@
+const { pool } = require('../db');
+
+// port_statuses rows for the statuses the server always has, free to move
+// between each other
+const STATUS_CODES = ['ACTIVE', 'INACTIVE', 'FAULTY', 'RESERVED'];
+const STATUS_ROWS = STATUS_CODES.map((code, index) => ({
+  code,
+  label: code.charAt(0) + code.slice(1).toLowerCase(),
+  color: '#95a5a6',
+  description: '',
+  transitions: JSON.stringify(STATUS_CODES.filter(other => other !== code)),
+  capacity: { INACTIVE: 'free', RESERVED: 'reserved' }[code] || 'in_use',
+  sort_order: (index + 1) * 10
+}));
+
+/**
+ * Replace the MySQL pool with an in-memory stand-in so the save paths can run
+ * without a database. `handlers` is a list of [pattern, (params) => rows];
+ * the first pattern that matches the SQL answers it. Other SELECTs find no
+ * rows, except port_statuses. Every statement that is not a SELECT is
+ * recorded in `writes`.
+ */
+function fakeDb(handlers = []) {
+  const writes = [];
+  const all = [...handlers, [/FROM port_statuses/, () => STATUS_ROWS]];
+  const run = async (sql, params = []) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    if (!/^SELECT/i.test(text)) writes.push({ sql: text, params });
+    const handler = all.find(([pattern]) => pattern.test(text));
+    if (handler) return [handler[1](params)];
+    return /^SELECT/i.test(text) ? [[]] : [{ affectedRows: 1, insertId: writes.length }];
+  };
+  const connection = {
+    execute: run,
+    query: run,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {}
+  };
+  pool.execute = run;
+  pool.query = run;
+  pool.getConnection = async () => connection;
+  return { writes };
+}
+
+// A port row as PORT_SELECT_COLUMNS selects it
+const storedPort = (id, fields = {}) => ({
+  id,
+  label: `Port ${id}`,
+  status: 'INACTIVE',
+  fiberType: '',
+  connectorType: '',
+  destination: '',
+  otdrDistance: '',
+  otdrDistanceValue: '',
+  lastMaintained: '',
+  branchingJoint: '',
+  cxLocation: '',
+  notes: '',
+  reservedFor: '',
+  workOrder: '',
+  reservedUntil: '',
+  customFields: {},
+  ...fields
+});
+
+/**
+ * One stored sub ODF (North / A, id 7, at `version`) holding `ports`. A
+ * port's `version` field is the ODF version that last changed it (default 1).
+ */
+const fakeOdf = (ports, { version = 1 } = {}) => fakeDb([
+  [/^SELECT region, sub FROM odf_entries/, () => [{ region: 'North', sub: 'A' }]],
+  [/^SELECT id, region, sub, displayCount\b.* FROM odf_entries WHERE region = \? AND sub = \?/, () =>
+    [{ id: 7, region: 'North', sub: 'A', displayCount: ports.length, lastSave: null, extraFieldDefs: '[]', layout: null, version }]],
+  [/^SELECT id, version\b.* FROM odf_entries WHERE region = \? AND sub = \?.* FOR UPDATE/, () =>
+    [{ id: 7, version, displayCount: ports.length, extraFieldDefs: '[]' }]],
+  [/^SELECT port_number, version FROM ports WHERE odf_id/, () =>
+    ports.map(port => ({ port_number: port.id, version: port.version || 1 }))],
+  [/FROM ports WHERE odf_id = \?.* ORDER BY port_number/, () => ports]
+]);
+
+module.exports = { fakeDb, storedPort, fakeOdf };
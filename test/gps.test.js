@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGps } = require('../server');
+
+const KANDY = { lat: 7.4868, lon: 80.3627 };
+
+test('reads decimal degrees with any separator', () => {
+  assert.deepEqual(parseGps('7.4868, 80.3627'), KANDY);
+  assert.deepEqual(parseGps('7.4868 80.3627'), KANDY);
+  assert.deepEqual(parseGps(' 7.4868;80.3627 '), KANDY);
+  assert.deepEqual(parseGps('-33.8688, 151.2093'), { lat: -33.8688, lon: 151.2093 });
+});
+
+test('reads hemisphere letters, also with the axes swapped', () => {
+  assert.deepEqual(parseGps('7.4868N 80.3627E'), KANDY);
+  assert.deepEqual(parseGps('80.3627E, 7.4868N'), KANDY);
+  assert.deepEqual(parseGps('33.8688S 151.2093E'), { lat: -33.8688, lon: 151.2093 });
+  assert.equal(parseGps('7.4868E 80.3627E'), null);
+});
+
+test('reads degrees, minutes and seconds', () => {
+  assert.deepEqual(parseGps(`7°29'12.5"N 80°21'45.7"E`), { lat: 7.486806, lon: 80.362694 });
+  assert.deepEqual(parseGps(`7°29′12.5″N, 80°21′45.7″E`), { lat: 7.486806, lon: 80.362694 });
+  assert.equal(parseGps(`7°61'0"N 80°21'0"E`), null);
+});
+
+test('reads the position from map links', () => {
+  assert.deepEqual(parseGps('https://www.google.com/maps/@7.4868,80.3627,15z'), KANDY);
+  assert.deepEqual(parseGps('https://maps.google.com/?q=7.4868,80.3627'), KANDY);
+  assert.equal(parseGps('https://example.com/no-position'), null);
+});
+
+test('returns null for empty, unreadable and out-of-range values', () => {
+  assert.equal(parseGps(''), null);
+  assert.equal(parseGps(null), null);
+  assert.equal(parseGps('Kandy junction box'), null);
+  assert.equal(parseGps('95, 80'), null);
+  assert.equal(parseGps('7.4868, 181'), null);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportHeaders, exportRow, readImportFile, importRowToPort } = require('../server');
+
+const fieldDefs = [
+  { key: 'customer', column: 'destination', label: 'Customer', aliases: ['service', 'destination', 'dest'] },
+  { key: 'cctNumber', column: 'otdrDistance', label: 'CCT Number', aliases: [] },
+  { key: 'ceaOltPort', column: 'fiberType', label: 'CEA/OLT port', aliases: ['dab', 'fiber type', 'fiber'] },
+  { key: 'otdrReading', column: 'otdrDistanceValue', label: 'OTDR Distance', aliases: ['otdr'] }
+];
+const customDefs = [{ label: 'Owner', type: 'text' }];
+const statuses = [
+  { code: 'ACTIVE', label: 'Active' },
+  { code: 'INACTIVE', label: 'Inactive' },
+  { code: 'FAULTY', label: 'Faulty' }
+];
+const options = { layout: null, fieldDefs, customDefs, statuses };
+
+const csv = (lines) => Buffer.from(lines.join('\n'), 'utf8');
+
+test('columns are matched by label, key or older header, ignoring case and spacing', () => {
+  const port = importRowToPort({
+    'customer': 'Bank',
+    'CCT_Number': 'C-1',
+    'Fiber Type': 'OLT 3/1',
+    'Port Status': 'active',
+    'Owner': 'SLT'
+  }, 4, options);
+  assert.equal(port.id, 4);
+  assert.equal(port.label, 'PORT-004');
+  assert.equal(port.status, 'ACTIVE');
+  assert.equal(port.destination, 'Bank');
+  assert.equal(port.otdrDistance, 'C-1');
+  assert.equal(port.fiberType, 'OLT 3/1');
+  assert.deepEqual(port.customFields, { Owner: 'SLT' });
+});
+
+test('an unknown status imports as INACTIVE and an older OTDR column fills the CCT number', () => {
+  const port = importRowToPort({ 'Status': 'broken', 'OTDR': '1.2 km' }, 1, options);
+  assert.equal(port.status, 'INACTIVE');
+  assert.equal(port.otdrDistance, '1.2 km');
+  assert.equal(port.otdrDistanceValue, '1.2 km');
+});
+
+test('an exported row imports back to the same port', () => {
+  const port = {
+    id: 3,
+    label: 'PORT-003',
+    status: 'FAULTY',
+    destination: 'Bank',
+    otdrDistance: 'C-9',
+    fiberType: 'OLT 1/4',
+    otdrDistanceValue: '2.5 km',
+    lastMaintained: '2024-05-01',
+    notes: 'bend at joint',
+    reservedFor: '',
+    workOrder: '',
+    reservedUntil: '',
+    customFields: { Owner: 'SLT' }
+  };
+  const headers = exportHeaders(fieldDefs, customDefs);
+  const values = exportRow(port, fieldDefs, customDefs);
+  const row = Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+  assert.deepEqual(importRowToPort(row, 3, options), port);
+});
+
+test('a CSV without a target is split by its Region and Sub ODF columns', () => {
+  const sheets = readImportFile(csv([
+    'Region,Sub ODF,ID,Customer',
+    'North,A,1,Bank',
+    'North,B,1,School',
+    'North,A,2,Shop'
+  ]), 'csv', {});
+  assert.deepEqual(sheets.map(sheet => [sheet.region, sheet.sub, sheet.rows.map(row => row.Customer)]), [
+    ['North', 'A', ['Bank', 'Shop']],
+    ['North', 'B', ['School']]
+  ]);
+});
+
+test('with a target region and sub the whole file goes there', () => {
+  const [sheet, ...rest] = readImportFile(csv(['ID,Customer', '1,Bank']), 'csv', { region: 'North', sub: 'A' });
+  assert.deepEqual([sheet.region, sheet.sub, sheet.rows.length, rest.length], ['North', 'A', 1, 0]);
+});
+
+test('a CSV row without Region or Sub ODF fails with 400', () => {
+  assert.throws(() => readImportFile(csv(['ID,Customer', '1,Bank']), 'csv', {}), { statusCode: 400 });
+});
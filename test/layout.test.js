@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { portLabel } = require('../labels');
+const { normalizeLayout } = require('../server');
+
+const layout = { trayCount: 4, portsPerTray: 12, traysPerPanel: 2, labelPattern: 'P{panel}-T{tray}-{port}' };
+
+test('without a layout ports get the flat PORT-001 labels', () => {
+  assert.equal(portLabel(null, 7), 'PORT-007');
+});
+
+test('labels count trays and panels from the port number', () => {
+  assert.equal(portLabel(layout, 1), 'P01-T01-01');
+  assert.equal(portLabel(layout, 12), 'P01-T01-12');
+  assert.equal(portLabel(layout, 13), 'P01-T02-01');
+  assert.equal(portLabel(layout, 25), 'P02-T03-01');
+  assert.equal(portLabel({ ...layout, labelPattern: 'ODF-{n}' }, 25), 'ODF-025');
+});
+
+test('a layout is cleaned up and gets the default label pattern', () => {
+  assert.deepEqual(normalizeLayout({ trayCount: '4', portsPerTray: 12 }), {
+    trayCount: 4, portsPerTray: 12, traysPerPanel: 0, labelPattern: 'T{tray}-P{port}'
+  });
+  assert.equal(normalizeLayout(null), null);
+});
+
+test('a layout that does not fit or gives duplicate labels fails with 400', () => {
+  assert.throws(() => normalizeLayout({ trayCount: 10, portsPerTray: 144 }), { statusCode: 400 });
+  assert.throws(() => normalizeLayout({ trayCount: 2, portsPerTray: 0 }), { statusCode: 400 });
+  assert.throws(() => normalizeLayout({ trayCount: 2, portsPerTray: 12, traysPerPanel: 3 }), { statusCode: 400 });
+  assert.throws(() => normalizeLayout({ trayCount: 2, portsPerTray: 12, labelPattern: 'T{tray}' }), { statusCode: 400 });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storedPort, fakeOdf } = require('./fake-db');
+const { toPortColumns, diffPortColumns, saveOdfEntry, updateOdfPorts } = require('../server');
+
+const portWrites = (writes) => writes.filter(write => /\bports\b/.test(write.sql) && !/odf_entries/.test(write.sql));
+
+test('only the columns that changed are reported', () => {
+  const before = toPortColumns(storedPort(1, { lastMaintained: '2024-03-01' }));
+  const after = toPortColumns({ ...storedPort(1), lastMaintained: '2024-03-01T00:00:00.000Z', notes: 'spliced' });
+  assert.deepEqual(diffPortColumns(before, after), ['notes']);
+});
+
+test('custom fields compare equal whatever their key order', () => {
+  const before = toPortColumns(storedPort(1, { customFields: { b: '2', a: '1' } }));
+  const after = toPortColumns(storedPort(1, { customFields: { a: '1', b: '2' } }));
+  assert.deepEqual(diffPortColumns(before, after), []);
+});
+
+test('a PATCH updates only the changed columns of the given port', async () => {
+  const { writes } = fakeOdf([storedPort(1), storedPort(2)], { version: 3 });
+  const result = await updateOdfPorts('North', 'A', [{ id: 2, notes: 'spliced' }]);
+
+  assert.equal(result.updated, 1);
+  assert.deepEqual(result.changes.map(({ portNumber, type, fields }) => ({ portNumber, type, fields })),
+    [{ portNumber: 2, type: 'update', fields: ['notes'] }]);
+  const [update, ...rest] = portWrites(writes);
+  assert.match(update.sql, /^UPDATE ports SET notes = \?, version = \? WHERE odf_id = \? AND port_number = \?/);
+  assert.deepEqual(update.params, ['spliced', 4, 7, 2]);
+  assert.deepEqual(rest, []);
+});
+
+test('a PATCH that changes nothing writes nothing', async () => {
+  const { writes } = fakeOdf([storedPort(1)]);
+  const result = await updateOdfPorts('North', 'A', [{ id: 1, label: 'Port 1' }]);
+  assert.deepEqual(result.changes, []);
+  assert.deepEqual(writes, []);
+});
+
+test('a PATCH for an unknown port fails with 404', async () => {
+  fakeOdf([storedPort(1)]);
+  await assert.rejects(updateOdfPorts('North', 'A', [{ id: 9, notes: 'x' }]), { statusCode: 404 });
+});
+
+test('a full save writes only new and changed ports and moves removed ones to the recycle bin', async () => {
+  const { writes } = fakeOdf([storedPort(1), storedPort(2), storedPort(3)]);
+  const result = await saveOdfEntry('North', 'A', [
+    storedPort(1),
+    storedPort(2, { status: 'ACTIVE' }),
+    storedPort(4)
+  ], 4, [], { allowRemove: true });
+
+  assert.deepEqual(
+    result.changes.map(change => [change.portNumber, change.type]),
+    [[2, 'update'], [4, 'insert'], [3, 'delete']]
+  );
+  const [update, insert, remove] = portWrites(writes);
+  assert.match(update.sql, /^UPDATE ports SET status = \?/);
+  assert.match(insert.sql, /^INSERT INTO ports/);
+  assert.match(remove.sql, /^UPDATE ports SET deleted_at = \?/);
+});
+
+test('a full save that leaves out ports fails with 403 unless removing is allowed', async () => {
+  const { writes } = fakeOdf([storedPort(1), storedPort(2)]);
+  await assert.rejects(saveOdfEntry('North', 'A', [storedPort(1)], 1, []), { statusCode: 403 });
+  assert.deepEqual(portWrites(writes), []);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storedPort, fakeOdf } = require('./fake-db');
+const { reservationErrors, exportSpreadsheet, importSpreadsheet } = require('../server');
+
+const FUTURE = '2099-12-31';
+const PAST = '2000-01-01';
+
+const port = (fields) => ({ status: 'INACTIVE', destination: '', reservedFor: '', workOrder: '', reservedUntil: '', ...fields });
+const reserved = port({ status: 'RESERVED', reservedFor: 'ABC Holdings', reservedUntil: FUTURE });
+const paths = (errors) => errors.map(error => error.path);
+
+test('a RESERVED port needs a holder and an expiry date', () => {
+  const errors = reservationErrors(12, port({ status: 'RESERVED' }), ['status'], null);
+  assert.deepEqual(paths(errors), ['ports[12].reservedFor', 'ports[12].reservedUntil']);
+});
+
+test('a new reservation cannot expire in the past', () => {
+  const errors = reservationErrors(12, { ...reserved, reservedUntil: PAST }, ['reservedUntil'], null);
+  assert.deepEqual(paths(errors), ['ports[12].reservedUntil']);
+});
+
+test('a reserved port cannot go to another customer', () => {
+  const errors = reservationErrors(12, { ...reserved, status: 'ACTIVE', destination: 'XYZ Ltd' }, ['status', 'destination'], reserved);
+  assert.deepEqual(paths(errors), ['ports[12].reservedFor']);
+});
+
+test('a reserved port can go ACTIVE for its holder', () => {
+  const errors = reservationErrors(12, { ...reserved, status: 'ACTIVE', destination: 'abc holdings ' }, ['status', 'destination'], reserved);
+  assert.deepEqual(errors, []);
+});
+
+test('the holder of a running reservation cannot be changed', () => {
+  const errors = reservationErrors(12, { ...reserved, reservedFor: 'XYZ Ltd' }, ['reservedFor'], reserved);
+  assert.deepEqual(paths(errors), ['ports[12].reservedFor']);
+});
+
+test('an expired reservation no longer holds the port', () => {
+  const expired = { ...reserved, reservedUntil: PAST };
+  const errors = reservationErrors(12, { ...expired, status: 'ACTIVE', destination: 'XYZ Ltd' }, ['status', 'destination'], expired);
+  assert.deepEqual(errors, []);
+});
+
+test('an exported ODF with a reserved port imports back unchanged', async () => {
+  const ports = [
+    storedPort(1, { label: 'PORT-001', status: 'ACTIVE', destination: 'Bank', lastMaintained: '2024-05-01' }),
+    storedPort(2, {
+      label: 'PORT-002',
+      status: 'RESERVED',
+      reservedFor: 'ABC Holdings',
+      workOrder: 'WO-1182',
+      reservedUntil: FUTURE,
+      lastMaintained: '2024-05-01'
+    })
+  ];
+  fakeOdf(ports);
+  const file = await exportSpreadsheet({ region: 'North', sub: 'A', format: 'csv' });
+
+  const { writes } = fakeOdf(ports);
+  const [item] = await importSpreadsheet(file.body, { format: 'csv', region: 'North', sub: 'A' });
+  assert.deepEqual([item.inserted, item.updated, item.deleted], [0, 0, 0]);
+  assert.deepEqual(writes.filter(write => /^(UPDATE|INSERT INTO) ports\b/.test(write.sql)), []);
+});
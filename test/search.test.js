@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb } = require('./fake-db');
+const { parseSearchQuery, decodeCursor, searchData } = require('../server');
+
+const summarize = (terms) => terms.map(term => [term.field ? term.field.name : null, term.value, term.mode]);
+
+test('field qualifiers, aliases and quoted values are parsed', () => {
+  assert.deepEqual(summarize(parseSearchQuery('status:FAULTY odf:B12 customer:"Bank of Ceylon"')), [
+    ['status', 'FAULTY', 'exact'],
+    ['sub', 'B12', 'contains'],
+    ['customer', 'Bank of Ceylon', 'contains']
+  ]);
+});
+
+test('= asks for an exact match and a trailing * for a prefix', () => {
+  assert.deepEqual(summarize(parseSearchQuery('label:=P1 notes:splice* fibre*')), [
+    ['label', 'P1', 'exact'],
+    ['notes', 'splice', 'prefix'],
+    [null, 'fibre', 'prefix']
+  ]);
+});
+
+test('custom fields are searched by label', () => {
+  const [term] = parseSearchQuery('custom.Circuit:"C 12"');
+  assert.equal(term.field.path, 'customFields.Circuit');
+  assert.equal(term.value, 'C 12');
+});
+
+test('an unknown field prefix is plain text', () => {
+  assert.deepEqual(summarize(parseSearchQuery('http://x')), [[null, 'http://x', 'contains']]);
+});
+
+test('a cursor that was not handed out fails with 400', () => {
+  assert.throws(() => decodeCursor('not-a-cursor'), { statusCode: 400 });
+  assert.throws(() => decodeCursor(Buffer.from('[1,2]').toString('base64url')), { statusCode: 400 });
+});
+
+test('pages continue after the last port of the previous page', async () => {
+  const rows = [1, 2, 3].map(port => ({ region: 'North', sub: 'A', port_number: port, label: `Port ${port}`, status: 'ACTIVE' }));
+  const seen = [];
+  fakeDb([
+    [/^SELECT COUNT\(\*\) AS total/, () => [{ total: rows.length }]],
+    [/FROM ports p JOIN odf_entries o .* LIMIT \?$/, (params) => {
+      seen.push(params);
+      const limit = params[params.length - 1];
+      const after = params.length > 2 ? params[params.length - 2] : 0;
+      return rows.filter(row => row.port_number > after).slice(0, limit);
+    }]
+  ]);
+
+  const first = await searchData('label:port', { limit: 2 });
+  assert.deepEqual(first.items.map(item => item.portNumber), [1, 2]);
+  assert.equal(first.total, 3);
+  assert.deepEqual(decodeCursor(first.nextCursor), ['North', 'A', 2]);
+
+  const second = await searchData('label:port', { limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(second.items.map(item => item.portNumber), [3]);
+  assert.equal(second.nextCursor, null);
+  assert.deepEqual(seen[1].slice(-4), ['North', 'A', 2, 3]);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSor } = require('../sor');
+
+// ---- A small SR-4731 version 2 file ----
+const text = (value) => Buffer.from(`${value}\0`, 'latin1');
+const int = (bytes, write) => (value) => {
+  const buffer = Buffer.alloc(bytes);
+  buffer[write](value);
+  return buffer;
+};
+const u16 = int(2, 'writeUInt16LE');
+const i16 = int(2, 'writeInt16LE');
+const u32 = int(4, 'writeUInt32LE');
+const i32 = int(4, 'writeInt32LE');
+const join = (...parts) => Buffer.concat(parts);
+
+const GROUP_INDEX = 146850;
+const SAMPLES = 5000;
+// One-way travel time in 100 ps units for a distance in km
+const timeOf = (km) => Math.round(km / (1e-10 * 299792.458 / (GROUP_INDEX / 100000)));
+
+const buildSor = ({ endKm = 12.345, blocks: only = null } = {}) => {
+  const general = join(text('GenParams'), Buffer.from('EN'), text('CAB1'), text('F7'), u16(652), u16(1550),
+    text('KLY'), text('NKT'), text(''), Buffer.from('BC'), i32(0), i32(0), text('tech'), text('note'));
+  const supplier = join(text('SupParams'), ...['EXFO', 'FTB', 'S1', 'M', 'S2', '1.0', ''].map(text));
+  const fixed = join(text('FxdParams'), u32(1700000000), Buffer.from('mt'), u16(15500), i32(0), i32(0),
+    u16(1), u16(100), u32(Math.round((timeOf(endKm * 1.2) / SAMPLES) * 10000)), u32(SAMPLES),
+    u32(GROUP_INDEX), u16(816), u32(1000));
+  const event = (number, km, loss, reflectance, code) => join(u16(number), u32(timeOf(km)), i16(200), i16(loss),
+    i32(reflectance), Buffer.from(code), Buffer.from('LS'), Buffer.alloc(20), text(''));
+  const events = join(text('KeyEvents'), u16(2), event(1, 0, 0, -45000, '1F9999'), event(2, endKm, 300, -14000, '1E9999'),
+    i32(4567), i32(0), u32(timeOf(endKm)), u16(32000), i32(0), u32(0));
+  const samples = Buffer.alloc(SAMPLES * 2);
+  for (let i = 0; i < SAMPLES; i += 1) samples.writeUInt16LE(5000 + i * 3, i * 2);
+  const data = join(text('DataPts'), u32(SAMPLES), u16(1), u32(SAMPLES), u16(1000), samples);
+
+  const blocks = [['GenParams', general], ['SupParams', supplier], ['FxdParams', fixed], ['KeyEvents', events], ['DataPts', data]]
+    .filter(([name]) => !only || only.includes(name));
+  const entries = join(...blocks.map(([name, block]) => join(text(name), u16(200), u32(block.length))));
+  const map = join(text('Map'), u16(200), u32(4 + 2 + 4 + 2 + entries.length), u16(blocks.length + 1), entries);
+  return join(map, ...blocks.map(([, block]) => block));
+};
+
+const rejects = (buffer, message) => assert.throws(() => parseSor(buffer), (err) => {
+  assert.equal(err.statusCode, 400);
+  assert.match(err.message, message);
+  return true;
+});
+
+test('reads the fibre end, losses and settings of a version 2 file', () => {
+  const result = parseSor(buildSor());
+  assert.equal(result.version, 2);
+  assert.equal(result.wavelength, 1550);
+  assert.equal(result.pulseWidth, 100);
+  assert.equal(result.groupIndex, 1.4685);
+  assert.equal(result.fiberLength, 12.345);
+  assert.equal(result.totalLoss, 4.567);
+  assert.equal(result.orl, 32);
+  assert.equal(result.measuredAt, '2023-11-14T22:13:20.000Z');
+  assert.deepEqual(
+    { cableId: result.general.cableId, fiberId: result.general.fiberId, locationA: result.general.locationA },
+    { cableId: 'CAB1', fiberId: 'F7', locationA: 'KLY' }
+  );
+  assert.equal(result.supplier.name, 'EXFO');
+});
+
+test('lists the key events with the end of fibre marked', () => {
+  const { events, fiberLength } = parseSor(buildSor({ endKm: 3.2 }));
+  assert.deepEqual(events.map(event => [event.loss, event.reflectance, event.end]), [
+    [0, -45, false],
+    [0.3, -14, true]
+  ]);
+  // Times are stored in 100 ps steps, about 2 cm of fibre
+  assert.ok(Math.abs(events[1].distance - 3.2) < 0.0001);
+  assert.equal(fiberLength, events[1].distance);
+});
+
+test('thins the plot and keeps it in distance order', () => {
+  const { plot } = parseSor(buildSor());
+  assert.equal(plot.length, 1000);
+  assert.deepEqual(plot[0], [0, -5]);
+  assert.ok(plot.every((point, i) => i === 0 || point[0] > plot[i - 1][0]));
+  assert.ok(plot[plot.length - 1][0] > 12.345);
+});
+
+test('files without events or data points still parse', () => {
+  const result = parseSor(buildSor({ blocks: ['FxdParams'] }));
+  assert.deepEqual(result.events, []);
+  assert.deepEqual(result.plot, []);
+  assert.equal(result.fiberLength, null);
+});
+
+test('rejects files that are not .sor files', () => {
+  rejects(Buffer.alloc(0), /too short/);
+  rejects(Buffer.from('PK\u0003\u0004 not a trace at all'), /Not a valid \.sor file/);
+});
+
+test('rejects truncated files and files without FxdParams', () => {
+  const file = buildSor();
+  rejects(file.subarray(0, file.length - 100), /runs past the end of the file/);
+  rejects(buildSor({ blocks: ['GenParams', 'KeyEvents'] }), /FxdParams block is missing/);
+});
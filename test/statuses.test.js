@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { statusValidator } = require('../server');
+
+const STATUSES = [
+  { code: 'ACTIVE', transitions: ['INACTIVE', 'FAULTY'] },
+  { code: 'INACTIVE', transitions: ['ACTIVE', 'RESERVED'] },
+  { code: 'FAULTY', transitions: ['ACTIVE'] },
+  { code: 'RESERVED', transitions: [] }
+];
+const check = statusValidator(STATUSES);
+
+test('a port may move along a configured transition', () => {
+  assert.deepEqual(check(4, { status: 'FAULTY' }, ['status'], { status: 'ACTIVE' }), []);
+});
+
+test('a transition that is not configured is rejected', () => {
+  const errors = check(4, { status: 'RESERVED' }, ['status'], { status: 'ACTIVE' });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, 'ports[4].status');
+  assert.equal(errors[0].code, 'invalid_value');
+  assert.match(errors[0].message, /cannot go from ACTIVE to RESERVED \(allowed: INACTIVE, FAULTY\)/);
+});
+
+test('a status without transitions allows none', () => {
+  const [error] = check(1, { status: 'ACTIVE' }, ['status'], { status: 'RESERVED' });
+  assert.match(error.message, /\(allowed: none\)$/);
+});
+
+test('closing a fault is checked like any other change', () => {
+  const closeFault = (statuses) => statusValidator(statuses)(7, { status: 'ACTIVE' }, ['status'], { status: 'FAULTY' });
+  assert.deepEqual(closeFault(STATUSES), []);
+  const repairFirst = STATUSES.map(status => (status.code === 'FAULTY' ? { ...status, transitions: ['INACTIVE'] } : status));
+  assert.equal(closeFault(repairFirst).length, 1);
+});
+
+test('unknown statuses are rejected', () => {
+  const [error] = check(2, { status: 'BROKEN' }, ['status'], { status: 'ACTIVE' });
+  assert.match(error.message, /must be one of: ACTIVE, INACTIVE, FAULTY, RESERVED$/);
+});
+
+test('new ports and ports in a removed status may take any status', () => {
+  assert.deepEqual(check(3, { status: 'RESERVED' }, ['status'], null), []);
+  assert.deepEqual(check(3, { status: 'RESERVED' }, ['status'], { status: 'PLANNED' }), []);
+});
+
+test('writes that leave the status alone are not checked', () => {
+  assert.deepEqual(check(5, { status: 'RESERVED', customer: 'Bank' }, ['customer'], { status: 'ACTIVE' }), []);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const v = require('../validate');
+
+const fieldErrors = (schema, value) => {
+  try {
+    v.validate(schema, value);
+  } catch (err) {
+    assert.equal(err.statusCode, 400);
+    assert.equal(err.code, 'validation_failed');
+    return err.fieldErrors;
+  }
+  assert.fail('expected a validation error');
+};
+
+test('string() converts numbers and trims on request', () => {
+  assert.equal(v.validate(v.string(), 12), '12');
+  assert.equal(v.validate(v.string({ trim: true }), '  KLY '), 'KLY');
+});
+
+test('string() reports type, length, list and pattern problems', () => {
+  assert.equal(fieldErrors(v.string(), {})[0].code, v.ERROR_CODES.type);
+  assert.equal(fieldErrors(v.string({ min: 1 }), '')[0].code, v.ERROR_CODES.required);
+  assert.equal(fieldErrors(v.string({ max: 2 }), 'abc')[0].code, v.ERROR_CODES.tooLong);
+  assert.equal(fieldErrors(v.string({ oneOf: ['a', 'b'] }), 'c')[0].code, v.ERROR_CODES.value);
+  assert.equal(fieldErrors(v.string({ pattern: /^\d+$/ }), 'x1')[0].code, v.ERROR_CODES.value);
+});
+
+test('integer() and number() accept numeric query strings and check the range', () => {
+  assert.equal(v.validate(v.integer({ min: 1 }), '42'), 42);
+  assert.equal(v.validate(v.number(), '1.5'), 1.5);
+  assert.equal(fieldErrors(v.integer(), '1.5')[0].code, v.ERROR_CODES.type);
+  assert.equal(fieldErrors(v.integer({ min: 1, max: 576 }), 600)[0].code, v.ERROR_CODES.range);
+  assert.equal(fieldErrors(v.number(), 'abc')[0].code, v.ERROR_CODES.type);
+});
+
+test('object() reports every bad property with its path and keeps unknown ones', () => {
+  const schema = v.object({ region: v.string({ min: 1 }), port: v.integer({ min: 1 }), note: v.optional(v.string()) });
+  assert.deepEqual(v.validate(schema, { region: 'KLY', port: '3', extra: true }), { region: 'KLY', port: 3, extra: true });
+
+  const errors = fieldErrors(schema, { region: '', port: 0 });
+  assert.deepEqual(errors.map(e => [e.path, e.code]), [
+    ['region', v.ERROR_CODES.required],
+    ['port', v.ERROR_CODES.range]
+  ]);
+  assert.equal(fieldErrors(schema, { port: 1 })[0].message, 'region is required');
+});
+
+test('object() runs check() only when the properties are valid', () => {
+  const schema = v.object({ from: v.integer(), to: v.integer() }, {
+    check: (value, addError) => {
+      if (value.to < value.from) addError('to', v.ERROR_CODES.range, 'must not be before from');
+    }
+  });
+  assert.deepEqual(fieldErrors(schema, { from: 5, to: 2 }).map(e => e.path), ['to']);
+  assert.deepEqual(fieldErrors(schema, { from: 'x', to: 2 }).map(e => e.path), ['from']);
+});
+
+test('array() checks its items, size and duplicates', () => {
+  const ports = v.array(v.object({ id: v.integer({ min: 1 }) }), { min: 1, uniqueBy: port => port.id });
+  assert.deepEqual(v.validate(ports, [{ id: '1' }, { id: 2 }]), [{ id: 1 }, { id: 2 }]);
+  assert.equal(fieldErrors(ports, [])[0].code, v.ERROR_CODES.required);
+
+  const duplicate = fieldErrors(ports, [{ id: 1 }, { id: 1 }]);
+  assert.equal(duplicate[0].path, '[1]');
+  assert.equal(duplicate[0].code, v.ERROR_CODES.duplicate);
+  assert.equal(fieldErrors(ports, [{ id: 0 }])[0].path, '[0].id');
+});
+
+test('optional() allows undefined but nullable() is needed for null', () => {
+  const schema = v.object({ note: v.optional(v.string()), gps: v.nullable(v.string()) });
+  assert.deepEqual(v.validate(schema, { gps: null }), { gps: null });
+  assert.equal(fieldErrors(schema, { gps: null, note: null })[0].path, 'note');
+});
+
+test('validate() prefixes paths', () => {
+  assert.throws(() => v.validate(v.integer(), 'x', 'query.port'), (err) => {
+    assert.equal(err.fieldErrors[0].path, 'query.port');
+    assert.match(err.message, /^query\.port must be a whole number/);
+    return true;
+  });
+});
+
+test('record() validates every value under its key', () => {
+  assert.throws(() => v.validate(v.record(v.boolean()), { a: true, b: 'yes' }, 'flags'), (err) => {
+    assert.deepEqual(err.fieldErrors.map(e => e.path), ['flags.b']);
+    return true;
+  });
+});
@@ -0,0 +1,190 @@
+// ========== REQUEST VALIDATION ==========
+// A schema is a function `(value, path, errors) => cleanedValue`. Problems are
+// pushed to `errors` as { path, code, message } so one response can report
+// every bad field; validate() turns them into a single 400.
+
+const ERROR_CODES = {
+  required: 'required',
+  type: 'invalid_type',
+  tooShort: 'too_short',
+  tooLong: 'too_long',
+  range: 'out_of_range',
+  value: 'invalid_value',
+  duplicate: 'duplicate',
+  mismatch: 'mismatch'
+};
+
+const describe = (path) => path || 'Body';
+
+const add = (errors, path, code, message) => {
+  errors.push({ path, code, message: `${describe(path)} ${message}` });
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Marks a property that may be left out (undefined); null is still checked
+const optional = (schema) => {
+  const wrapped = (value, path, errors) => (value === undefined ? undefined : schema(value, path, errors));
+  wrapped.optional = true;
+  return wrapped;
+};
+
+const nullable = (schema) => (value, path, errors) => (value === null ? null : schema(value, path, errors));
+
+const any = () => (value) => value;
+
+/**
+ * Text value. Numbers are accepted and converted, since spreadsheet imports
+ * and older clients send them for text columns.
+ */
+const string = ({ min = 0, max = Infinity, pattern = null, oneOf = null, trim = false } = {}) => (value, path, errors) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    add(errors, path, ERROR_CODES.type, 'must be text');
+    return value;
+  }
+  const text = trim ? String(value).trim() : String(value);
+  if (oneOf && !oneOf.includes(text)) {
+    add(errors, path, ERROR_CODES.value, `must be one of: ${oneOf.join(', ')}`);
+  } else if (text.length < min) {
+    add(errors, path, min === 1 ? ERROR_CODES.required : ERROR_CODES.tooShort,
+      min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+  } else if (text.length > max) {
+    add(errors, path, ERROR_CODES.tooLong, `must be at most ${max} characters`);
+  } else if (pattern && !pattern.test(text)) {
+    add(errors, path, ERROR_CODES.value, 'has an invalid format');
+  }
+  return text;
+};
+
+// Whole number; digit strings (query parameters) are converted
+const integer = ({ min = -Infinity, max = Infinity } = {}) => (value, path, errors) => {
+  const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+  if (!Number.isInteger(number)) {
+    add(errors, path, ERROR_CODES.type, 'must be a whole number');
+    return value;
+  }
+  if (number < min || number > max) {
+    add(errors, path, ERROR_CODES.range, max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const number = ({ min = -Infinity, max = Infinity } = {}) => (value, path, errors) => {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+    add(errors, path, ERROR_CODES.type, 'must be a number');
+    return value;
+  }
+  if (parsed < min || parsed > max) {
+    add(errors, path, ERROR_CODES.range, max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+  }
+  return parsed;
+};
+
+const boolean = () => (value, path, errors) => {
+  if (typeof value !== 'boolean') add(errors, path, ERROR_CODES.type, 'must be true or false');
+  return value;
+};
+
+/**
+ * Array of `item`. `uniqueBy(value)` returns the key that must not repeat
+ * (e.g. the port number).
+ */
+const array = (item, { min = 0, max = Infinity, uniqueBy = null } = {}) => (value, path, errors) => {
+  if (!Array.isArray(value)) {
+    add(errors, path, ERROR_CODES.type, 'must be a list');
+    return value;
+  }
+  if (value.length < min) {
+    add(errors, path, min === 1 ? ERROR_CODES.required : ERROR_CODES.tooShort,
+      min === 1 ? 'must not be empty' : `must have at least ${min} items`);
+  } else if (value.length > max) {
+    add(errors, path, ERROR_CODES.tooLong, `must have at most ${max} items`);
+  }
+  const seen = new Map();
+  return value.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    const cleaned = item(entry, entryPath, errors);
+    if (uniqueBy) {
+      const key = uniqueBy(cleaned);
+      if (key !== undefined && seen.has(key)) {
+        add(errors, entryPath, ERROR_CODES.duplicate, `repeats ${describe(seen.get(key))}`);
+      } else if (key !== undefined) {
+        seen.set(key, entryPath);
+      }
+    }
+    return cleaned;
+  });
+};
+
+/**
+ * Object with the given properties. Properties not in `shape` are kept as
+ * they are. `check(value, addError)` runs after the properties validate and
+ * covers rules between fields; `addError(path, code, message)` takes a path
+ * relative to this object.
+ */
+const object = (shape = {}, { check = null } = {}) => (value, path, errors) => {
+  if (!isPlainObject(value)) {
+    add(errors, path, ERROR_CODES.type, 'must be an object');
+    return value;
+  }
+  const result = { ...value };
+  const before = errors.length;
+  Object.entries(shape).forEach(([key, schema]) => {
+    const childPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined && !schema.optional) {
+      add(errors, childPath, ERROR_CODES.required, 'is required');
+      return;
+    }
+    const cleaned = schema(value[key], childPath, errors);
+    if (cleaned !== undefined) result[key] = cleaned;
+  });
+  if (check && errors.length === before) {
+    check(result, (childKey, code, message) => add(errors, path && childKey ? `${path}.${childKey}` : (childKey || path), code, message));
+  }
+  return result;
+};
+
+// Object with arbitrary keys whose values all match `valueSchema`
+const record = (valueSchema) => (value, path, errors) => {
+  if (!isPlainObject(value)) {
+    add(errors, path, ERROR_CODES.type, 'must be an object');
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, valueSchema(entry, `${path}.${key}`, errors)]));
+};
+
+const validationError = (fieldErrors) => {
+  const error = new Error(fieldErrors.map(e => e.message).join('; '));
+  error.statusCode = 400;
+  error.code = 'validation_failed';
+  error.fieldErrors = fieldErrors;
+  return error;
+};
+
+/**
+ * Run `schema` on `value` and return the cleaned value, or throw a 400
+ * with `fieldErrors` listing every problem. `path` prefixes the error paths.
+ */
+const validate = (schema, value, path = '') => {
+  const errors = [];
+  const cleaned = schema(value, path, errors);
+  if (errors.length > 0) throw validationError(errors);
+  return cleaned;
+};
+
+module.exports = {
+  ERROR_CODES,
+  validate,
+  validationError,
+  optional,
+  nullable,
+  any,
+  string,
+  integer,
+  number,
+  boolean,
+  array,
+  object,
+  record
+};